@@ -0,0 +1,177 @@
+/**
+ * migrate.js
+ * Versioned schema migrations for the SQLite database. Each file in ./migrations is
+ * named NNN-description.js and exports up(db, helpers) and down(db, helpers); applied
+ * versions are recorded in schema_migrations. The app applies pending migrations at boot
+ * (unless MIGRATE_ON_BOOT=0); this file is also the CLI.
+ *
+ * Run:
+ *   node migrate.js                 # apply pending migrations (same as `up`)
+ *   node migrate.js status          # applied / pending versions
+ *   node migrate.js down [steps]    # roll back the latest migration(s), default 1
+ *   node migrate.js reset --yes     # roll back everything and migrate again (drops all data)
+ *   node migrate.js create <name>   # new empty migration file
+ *   DB_FILE=other.db node migrate.js status
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Helpers handed to every migration
+// Returns true when the column had to be added (lets callers backfill old rows)
+function ensureColumn(db, table, column, ddl) {
+  const cols = db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+  if (cols.includes(column)) return false;
+  db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${ddl}`);
+  return true;
+}
+// SQLite can't add a constraint to an existing table, so each table in `foreignKeys`
+// ({ table: { column: 'parent(col) ON DELETE ...' } }) that has none yet is rebuilt with them.
+// Rows that already point nowhere are never silently dropped: a nullable reference is cleared,
+// a NOT NULL one moves the row out of the table. Either way fk_orphans keeps a JSON copy of the
+// row as it was, so nothing is lost and it can be put back by hand.
+function addForeignKeys(db, foreignKeys) {
+  for (const [table, refs] of Object.entries(foreignKeys)) {
+    if (db.prepare(`PRAGMA foreign_key_list(${table})`).all().length) continue;
+    const notNull = new Set(db.prepare(`PRAGMA table_info(${table})`).all().filter(c => c.notnull).map(c => c.name));
+    for (const [col, ref] of Object.entries(refs)) {
+      const [, parent, parentCol] = ref.match(/^(\w+)\((\w+)\)/);
+      const orphan = `${col} IS NOT NULL AND ${col} NOT IN (SELECT ${parentCol} FROM ${parent})`;
+      const rows = db.prepare(`SELECT rowid AS fk_rowid, * FROM ${table} WHERE ${orphan}`).all();
+      if (!rows.length) continue;
+      const action = notNull.has(col) ? 'detached' : 'nulled';
+      recordOrphans(db, table, col, action, rows);
+      if (action === 'detached') db.exec(`DELETE FROM ${table} WHERE ${orphan}`);
+      else db.exec(`UPDATE ${table} SET ${col}=NULL WHERE ${orphan}`);
+      console.warn(`migrate: ${rows.length} ${table} row(s) pointed at a missing ${parent} via ${col} — ${action}, copies kept in fk_orphans`);
+    }
+    const { sql } = db.prepare("SELECT sql FROM sqlite_master WHERE type='table' AND name=?").get(table);
+    const extras = db.prepare("SELECT sql FROM sqlite_master WHERE tbl_name=? AND type IN ('index','trigger') AND sql IS NOT NULL").all(table).map(r => r.sql);
+    const seq = db.prepare('SELECT seq FROM sqlite_sequence WHERE name=?').get(table);
+    const constraints = Object.entries(refs).map(([col, ref]) => `FOREIGN KEY (${col}) REFERENCES ${ref}`);
+    db.exec(sql.replace(/^CREATE TABLE\s+("?)\w+\1/i, `CREATE TABLE ${table}__fk`).replace(/\)\s*$/, `,\n    ${constraints.join(',\n    ')}\n  )`));
+    db.exec(`INSERT INTO ${table}__fk SELECT * FROM ${table}`);
+    db.exec(`DROP TABLE ${table}`);
+    db.exec(`ALTER TABLE ${table}__fk RENAME TO ${table}`);
+    extras.forEach(x => db.exec(x));
+    if (seq) db.prepare('UPDATE sqlite_sequence SET seq=MAX(seq,?) WHERE name=?').run(seq.seq, table);
+  }
+}
+// Holding table for rows addForeignKeys had to touch (action: nulled | detached)
+function recordOrphans(db, table, column, action, rows) {
+  db.exec(`CREATE TABLE IF NOT EXISTS fk_orphans (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    table_name TEXT NOT NULL,
+    column_name TEXT NOT NULL,
+    row_id INTEGER,
+    action TEXT NOT NULL,
+    row_json TEXT NOT NULL,     -- the row before it was changed or moved
+    created_at TEXT DEFAULT (datetime('now'))
+  )`);
+  const insert = db.prepare('INSERT INTO fk_orphans(table_name,column_name,row_id,action,row_json) VALUES (?,?,?,?,?)');
+  for (const { fk_rowid, ...row } of rows) insert.run(table, column, fk_rowid, action, JSON.stringify(row));
+}
+const helpers = { ensureColumn, addForeignKeys };
+
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(f => /^\d+-[\w-]+\.js$/.test(f))
+    .sort()
+    .map(file => ({ version: file.split('-')[0], name: file.replace(/^\d+-|\.js$/g, ''), file, ...require(path.join(MIGRATIONS_DIR, file)) }));
+}
+function appliedVersions(db) {
+  db.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version TEXT PRIMARY KEY,
+    name TEXT,
+    applied_at TEXT DEFAULT (datetime('now'))
+  )`);
+  return db.prepare('SELECT version FROM schema_migrations ORDER BY version').all().map(r => r.version);
+}
+
+// Each step runs in its own transaction with foreign keys off (table rebuilds need that);
+// a step that leaves dangling references is rolled back.
+function runStep(db, migration, direction) {
+  db.pragma('foreign_keys = OFF');
+  try {
+    db.transaction(() => {
+      migration[direction](db, helpers);
+      if (direction === 'up') db.prepare('INSERT INTO schema_migrations(version,name) VALUES (?,?)').run(migration.version, migration.name);
+      else db.prepare('DELETE FROM schema_migrations WHERE version=?').run(migration.version);
+      const broken = db.pragma('foreign_key_check');
+      if (broken.length) throw new Error(`${migration.file}: foreign key check failed ${JSON.stringify(broken.slice(0, 5))}`);
+    })();
+  } finally {
+    db.pragma('foreign_keys = ON');
+  }
+}
+
+// Applies every pending migration in order; returns the versions applied
+function migrate(db, log = () => {}) {
+  const applied = appliedVersions(db);
+  const pending = loadMigrations().filter(m => !applied.includes(m.version));
+  for (const m of pending) { runStep(db, m, 'up'); log(`applied ${m.file}`); }
+  return pending.map(m => m.version);
+}
+function rollback(db, steps = 1, log = () => {}) {
+  const byVersion = Object.fromEntries(loadMigrations().map(m => [m.version, m]));
+  const done = appliedVersions(db).reverse().slice(0, steps);
+  for (const version of done) {
+    const m = byVersion[version];
+    if (!m || !m.down) throw new Error(`Migration ${version} has no down step`);
+    runStep(db, m, 'down');
+    log(`rolled back ${m.file}`);
+  }
+  return done;
+}
+function status(db) {
+  appliedVersions(db);
+  const applied = Object.fromEntries(db.prepare('SELECT version, applied_at FROM schema_migrations').all().map(r => [r.version, r.applied_at]));
+  return loadMigrations().map(m => ({ version: m.version, name: m.name, applied_at: applied[m.version] || null }));
+}
+
+module.exports = { migrate, rollback, status, ensureColumn, addForeignKeys };
+
+if (require.main === module) {
+  const Database = require('better-sqlite3');
+  const [command = 'up', arg] = process.argv.slice(2);
+  const dbFile = process.env.DB_FILE || 'smm_matrix_complete.db';
+  const log = msg => console.log(msg);
+  const fail = msg => { console.error(msg); process.exit(1); };
+
+  if (command === 'create') {
+    if (!/^[a-z0-9_-]+$/i.test(arg || '')) fail('Usage: node migrate.js create <name> (letters, digits, - and _)');
+    const last = loadMigrations().pop();
+    const version = String(Number(last ? last.version : 0) + 1).padStart(3, '0');
+    const file = path.join(MIGRATIONS_DIR, `${version}-${arg}.js`);
+    fs.writeFileSync(file, `// ${arg}\nexports.up = function (db, { ensureColumn }) {\n};\n\nexports.down = function (db) {\n};\n`);
+    log(`created ${path.relative(process.cwd(), file)}`);
+    process.exit(0);
+  }
+
+  const db = new Database(dbFile);
+  db.pragma('foreign_keys = ON');
+  try {
+    if (command === 'up') {
+      if (!migrate(db, log).length) log('Nothing to migrate');
+    } else if (command === 'down') {
+      const steps = arg === undefined ? 1 : Number(arg);
+      if (!Number.isInteger(steps) || steps < 1) fail('Usage: node migrate.js down [steps]');
+      if (!rollback(db, steps, log).length) log('Nothing to roll back');
+    } else if (command === 'reset') {
+      if (arg !== '--yes') fail(`This drops every table in ${dbFile}. Run again with --yes to confirm.`);
+      rollback(db, Infinity, log);
+      migrate(db, log);
+    } else if (command === 'status') {
+      log(`${dbFile}:`);
+      status(db).forEach(m => log(`  ${m.applied_at ? 'applied ' + m.applied_at : 'pending            '}  ${m.version}-${m.name}`));
+    } else {
+      fail(`Unknown command "${command}". Use up, down [steps], status, reset --yes or create <name>.`);
+    }
+  } catch (e) {
+    fail(`Migration failed: ${e.message}`);
+  } finally {
+    db.close();
+  }
+}
@@ -0,0 +1,408 @@
+/**
+ * 001 baseline: the schema as initDb() last built it, plus the reference data the app can't run
+ * without (billing periods, default role capabilities). Written to also bring databases created
+ * by any older initDb() up to date — tables are created if missing, columns added, foreign keys
+ * rebuilt — so it is safe to apply to an existing smm_matrix database. Demo content is seeding,
+ * not schema (see seedDatabase() in smm-matrix-node.js).
+ *
+ * Migrations are frozen: they must not require app code, which keeps changing after they ship.
+ */
+
+// Foreign keys per table ({ column: 'parent(col) ON DELETE ...' }), added by rebuilding the table.
+// Rows owned by an account cascade when it is purged; actor / assignee references become NULL.
+// audit_log deliberately has none: it is append-only and keeps ids of purged accounts.
+const FOREIGN_KEYS = {
+  users: { deleted_by: 'users(id) ON DELETE SET NULL' },
+  login_attempts: { user_id: 'users(id) ON DELETE SET NULL' },
+  app_settings: { updated_by: 'users(id) ON DELETE SET NULL' },
+  auth_tokens: { user_id: 'users(id) ON DELETE CASCADE' },
+  plan_prices: { plan_id: 'plans(id) ON DELETE CASCADE', period_code: 'billing_periods(code) ON DELETE CASCADE' },
+  orders: { user_id: 'users(id) ON DELETE SET NULL', plan_id: 'plans(id)', subscription_id: 'subscriptions(id) ON DELETE SET NULL' },
+  order_history: { order_id: 'orders(id) ON DELETE CASCADE', actor_id: 'users(id) ON DELETE SET NULL' },
+  subscriptions: { user_id: 'users(id) ON DELETE CASCADE', plan_id: 'plans(id)', last_order_id: 'orders(id) ON DELETE SET NULL' },
+  payments: { order_id: 'orders(id) ON DELETE CASCADE' },
+  tickets: { user_id: 'users(id) ON DELETE CASCADE', assigned_to: 'users(id) ON DELETE SET NULL' },
+  ticket_messages: { ticket_id: 'tickets(id) ON DELETE CASCADE', author_id: 'users(id) ON DELETE SET NULL' },
+  metrics: { user_id: 'users(id) ON DELETE CASCADE' },
+  targets: { user_id: 'users(id) ON DELETE CASCADE' },
+  target_history: { user_id: 'users(id) ON DELETE CASCADE', actor_id: 'users(id) ON DELETE SET NULL' },
+  statuses: { user_id: 'users(id) ON DELETE CASCADE' },
+  automation_audit: { user_id: 'users(id) ON DELETE CASCADE', actor_id: 'users(id) ON DELETE SET NULL' },
+  campaigns: { created_by: 'users(id) ON DELETE SET NULL' },
+  campaign_recipients: { campaign_id: 'campaigns(id) ON DELETE CASCADE', mail_id: 'mail_queue(id) ON DELETE SET NULL' }
+};
+
+const DEFAULT_ROLE_CAPABILITIES = {
+  staff: ['users.view', 'users.edit', 'targeting.edit', 'automation.edit', 'metrics.edit', 'tickets.manage', 'performance.view'],
+  user: []
+};
+
+// Older targets rows stored competitors / hashtags as free text; same rules as normalizeList()
+function legacyList(text, prefix) {
+  const re = prefix === '@' ? /^[a-z0-9._]{1,30}$/ : /^[\p{L}\p{N}_]{1,100}$/u;
+  const items = String(text || '').split(/[\s,;]+/).map(x => x.replace(/^[@#]+/, '').toLowerCase()).filter(x => re.test(x));
+  return JSON.stringify([...new Set(items)].map(x => prefix + x));
+}
+
+exports.up = function (db, { ensureColumn, addForeignKeys }) {
+  db.exec(`
+  CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    email TEXT UNIQUE NOT NULL,
+    password_hash TEXT NOT NULL,
+    name TEXT,
+    role TEXT DEFAULT 'user',
+    instagram TEXT,
+    unsubscribed INTEGER DEFAULT 0,
+    email_verified_at TEXT,
+    totp_secret TEXT,           -- base32, set once enrollment is confirmed
+    totp_pending_secret TEXT,   -- shown as QR until the first code is verified
+    totp_enabled_at TEXT,
+    totp_backup_codes TEXT,     -- JSON array of sha256(code)
+    totp_last_step INTEGER,     -- last accepted time step (no code replay)
+    locked_until TEXT,          -- set by login throttling
+    throttle_reset_at TEXT,     -- failures before this don't count (admin unlock / password reset)
+    deleted_at TEXT,            -- soft delete: purged after ACCOUNT_RETENTION_DAYS
+    deleted_by INTEGER,
+    created_at TEXT DEFAULT (datetime('now'))
+  );
+  CREATE TABLE IF NOT EXISTS login_attempts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    email TEXT,
+    user_id INTEGER,
+    ip TEXT,
+    user_agent TEXT,
+    success INTEGER,
+    reason TEXT,                -- bad_password, unknown_email, bad_2fa, throttled, locked
+    created_at TEXT DEFAULT (datetime('now'))
+  );
+  CREATE INDEX IF NOT EXISTS login_attempts_email ON login_attempts(email, created_at);
+  CREATE INDEX IF NOT EXISTS login_attempts_ip ON login_attempts(ip, created_at);
+  CREATE TABLE IF NOT EXISTS role_capabilities (
+    role TEXT NOT NULL,
+    capability TEXT NOT NULL,
+    PRIMARY KEY (role, capability)
+  );
+  CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    actor_id INTEGER,
+    actor_email TEXT,
+    action TEXT NOT NULL,       -- e.g. user.promote, metrics.add, order.refund
+    target_type TEXT,           -- user, order, campaign, role, setting, ...
+    target_id INTEGER,
+    target_label TEXT,          -- email / subject / key at the time of the action
+    before_value TEXT,          -- JSON
+    after_value TEXT,           -- JSON
+    ip TEXT,
+    created_at TEXT DEFAULT (datetime('now'))
+  );
+  CREATE INDEX IF NOT EXISTS audit_log_target ON audit_log(target_type, target_id);
+  CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+  CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+  CREATE TABLE IF NOT EXISTS app_settings (
+    key TEXT PRIMARY KEY,
+    value TEXT,
+    updated_by INTEGER,
+    updated_at TEXT
+  );
+  CREATE TABLE IF NOT EXISTS auth_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    purpose TEXT NOT NULL,      -- reset, verify
+    token_hash TEXT UNIQUE NOT NULL, -- sha256 of the emailed token
+    expires_at TEXT NOT NULL,
+    used_at TEXT,
+    created_at TEXT DEFAULT (datetime('now'))
+  );
+  CREATE TABLE IF NOT EXISTS posts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    title TEXT NOT NULL,
+    author TEXT,
+    image TEXT,
+    excerpt TEXT,
+    body TEXT,
+    views INTEGER DEFAULT 0,
+    created_at TEXT DEFAULT (datetime('now'))
+  );
+  CREATE TABLE IF NOT EXISTS plans (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT,
+    price_usd REAL,             -- base monthly price
+    features TEXT,
+    description TEXT,
+    badge TEXT DEFAULT 'kickoff', -- kickoff, growth, advanced (badge colour)
+    featured INTEGER DEFAULT 0,
+    sort_order INTEGER DEFAULT 0
+  );
+  CREATE TABLE IF NOT EXISTS billing_periods (
+    code TEXT PRIMARY KEY,      -- monthly, quarterly, yearly
+    label TEXT,
+    months INTEGER NOT NULL,
+    discount_pct REAL DEFAULT 0,
+    note TEXT DEFAULT ''
+  );
+  -- optional per-plan override of the discounted monthly price for a period
+  CREATE TABLE IF NOT EXISTS plan_prices (
+    plan_id INTEGER NOT NULL,
+    period_code TEXT NOT NULL,
+    monthly_price_usd REAL NOT NULL,
+    PRIMARY KEY (plan_id, period_code)
+  );
+  CREATE TABLE IF NOT EXISTS orders (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER,
+    plan_id INTEGER,
+    ig_username TEXT,
+    notes TEXT,
+    status TEXT DEFAULT 'pending', -- pending, paid, declined, cancelled, refunded
+    billing_period TEXT DEFAULT 'monthly',
+    amount_usd REAL,            -- price of the whole billing period at time of order
+    currency TEXT DEFAULT 'USD',
+    captured_usd REAL,          -- money actually captured by the payment provider
+    refunded_usd REAL,
+    payment_provider TEXT,
+    payment_ref TEXT,           -- provider intent id
+    paid_at TEXT,
+    subscription_id INTEGER,    -- set on the first order of a subscription and on its renewals
+    created_at TEXT DEFAULT (datetime('now'))
+  );
+  CREATE TABLE IF NOT EXISTS order_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    order_id INTEGER NOT NULL,
+    from_status TEXT,
+    to_status TEXT NOT NULL,
+    reason TEXT,
+    actor_id INTEGER,           -- NULL for system changes (webhooks, scheduled jobs)
+    created_at TEXT DEFAULT (datetime('now'))
+  );
+  CREATE TABLE IF NOT EXISTS subscriptions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER,
+    plan_id INTEGER,
+    billing_period TEXT DEFAULT 'monthly',
+    status TEXT DEFAULT 'active', -- active, past_due, cancelled, expired
+    current_period_start TEXT,
+    current_period_end TEXT,
+    cancel_at_period_end INTEGER DEFAULT 0,
+    grace_until TEXT,           -- past_due only: service stops after this
+    last_order_id INTEGER,
+    cancelled_at TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT DEFAULT (datetime('now'))
+  );
+  CREATE TABLE IF NOT EXISTS payments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    order_id INTEGER,
+    provider TEXT NOT NULL,
+    intent_id TEXT UNIQUE NOT NULL,
+    idempotency_key TEXT UNIQUE,
+    amount_usd REAL,
+    currency TEXT DEFAULT 'USD',
+    status TEXT DEFAULT 'requires_confirmation', -- requires_confirmation, succeeded, failed, refunded, refund_due
+    redirect_url TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT DEFAULT (datetime('now'))
+  );
+  CREATE TABLE IF NOT EXISTS payment_events (
+    event_id TEXT PRIMARY KEY,
+    provider TEXT,
+    type TEXT,
+    payload TEXT,
+    received_at TEXT DEFAULT (datetime('now'))
+  );
+  CREATE TABLE IF NOT EXISTS reviews (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT,
+    stars INTEGER,
+    content TEXT,
+    avatar TEXT,
+    created_at TEXT DEFAULT (datetime('now'))
+  );
+  CREATE TABLE IF NOT EXISTS tickets (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER,
+    email TEXT,
+    instagram TEXT,
+    subject TEXT,
+    message TEXT,
+    status TEXT DEFAULT 'open', -- open, pending (waiting on customer), closed
+    assigned_to INTEGER,
+    updated_at TEXT DEFAULT (datetime('now')),
+    created_at TEXT DEFAULT (datetime('now'))
+  );
+  CREATE TABLE IF NOT EXISTS ticket_messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    ticket_id INTEGER NOT NULL,
+    author_id INTEGER,          -- NULL for system events
+    kind TEXT DEFAULT 'reply',  -- reply (customer-visible), note (internal), event (internal)
+    body TEXT,
+    created_at TEXT DEFAULT (datetime('now'))
+  );
+  CREATE TABLE IF NOT EXISTS metrics (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER,
+    likes INTEGER DEFAULT 0,
+    follows INTEGER DEFAULT 0,
+    created_at TEXT DEFAULT (datetime('now'))
+  );
+  CREATE TABLE IF NOT EXISTS targets (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER,
+    niche TEXT,
+    competitors TEXT,           -- JSON array of normalized @handles
+    hashtags TEXT,              -- JSON array of normalized #tags
+    geo TEXT,
+    notes TEXT,
+    created_at TEXT DEFAULT (datetime('now'))
+  );
+  CREATE TABLE IF NOT EXISTS target_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    actor_id INTEGER,
+    changes TEXT,               -- JSON { field: [old, new] }
+    created_at TEXT DEFAULT (datetime('now'))
+  );
+  CREATE TABLE IF NOT EXISTS statuses (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER UNIQUE,
+    following_status TEXT DEFAULT 'Select status',
+    like_enabled INTEGER DEFAULT 0,
+    follow_enabled INTEGER DEFAULT 1,
+    comment_enabled INTEGER DEFAULT 0,
+    dm_enabled INTEGER DEFAULT 0,
+    hashtags TEXT DEFAULT '',
+    team_complaint TEXT DEFAULT '',
+    client_complaint TEXT DEFAULT '',
+    complaint_explanation TEXT DEFAULT ''
+  );
+  CREATE TABLE IF NOT EXISTS automation_audit (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,   -- client whose automation changed
+    actor_id INTEGER,
+    field TEXT,
+    old_value TEXT,
+    new_value TEXT,
+    created_at TEXT DEFAULT (datetime('now'))
+  );
+  CREATE TABLE IF NOT EXISTS mail_queue (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    to_email TEXT NOT NULL,
+    template TEXT,
+    subject TEXT,
+    text TEXT,
+    html TEXT,
+    headers TEXT,               -- JSON of extra headers
+    status TEXT DEFAULT 'queued', -- queued, sent, failed
+    attempts INTEGER DEFAULT 0,
+    last_error TEXT,
+    next_attempt_at TEXT,
+    sent_at TEXT,
+    created_at TEXT DEFAULT (datetime('now'))
+  );
+  CREATE TABLE IF NOT EXISTS subscribers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    email TEXT,                 -- lower-cased, unique (index created below)
+    status TEXT DEFAULT 'pending', -- pending (awaiting confirmation), confirmed, unsubscribed
+    confirm_token TEXT,
+    confirmed_at TEXT,
+    unsubscribed_at TEXT,
+    source TEXT,                -- form, import
+    created_at TEXT DEFAULT (datetime('now'))
+  );
+  CREATE TABLE IF NOT EXISTS campaigns (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    subject TEXT NOT NULL,
+    body TEXT,                  -- Markdown
+    include_posts INTEGER DEFAULT 0, -- number of latest blog posts appended
+    status TEXT DEFAULT 'draft',     -- draft, scheduled, sending, sent
+    scheduled_at TEXT,          -- UTC
+    sent_at TEXT,
+    recipient_count INTEGER DEFAULT 0,
+    created_by INTEGER,
+    created_at TEXT DEFAULT (datetime('now'))
+  );
+  CREATE TABLE IF NOT EXISTS campaign_recipients (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    campaign_id INTEGER NOT NULL,
+    email TEXT NOT NULL,
+    mail_id INTEGER,            -- mail_queue row carrying the delivery status
+    created_at TEXT DEFAULT (datetime('now')),
+    UNIQUE(campaign_id, email)
+  );
+  `);
+
+  // upgrade databases created before payments existed
+  ensureColumn(db, 'orders', 'amount_usd', 'REAL');
+  ensureColumn(db, 'orders', 'currency', "TEXT DEFAULT 'USD'");
+  ensureColumn(db, 'orders', 'captured_usd', 'REAL');
+  ensureColumn(db, 'orders', 'payment_provider', 'TEXT');
+  ensureColumn(db, 'orders', 'payment_ref', 'TEXT');
+  ensureColumn(db, 'orders', 'paid_at', 'TEXT');
+  // ...and before billing periods
+  ensureColumn(db, 'orders', 'billing_period', "TEXT DEFAULT 'monthly'");
+  ensureColumn(db, 'plans', 'description', 'TEXT');
+  ensureColumn(db, 'plans', 'badge', "TEXT DEFAULT 'kickoff'");
+  ensureColumn(db, 'plans', 'featured', 'INTEGER DEFAULT 0');
+  ensureColumn(db, 'plans', 'sort_order', 'INTEGER DEFAULT 0');
+  // ...and before subscriptions
+  ensureColumn(db, 'orders', 'subscription_id', 'INTEGER');
+  ensureColumn(db, 'orders', 'refunded_usd', 'REAL');
+  // ...and before the ticket inbox (SQLite cannot add a column with a non-constant default)
+  ensureColumn(db, 'tickets', 'assigned_to', 'INTEGER');
+  ensureColumn(db, 'tickets', 'updated_at', 'TEXT');
+  // ...and before newsletter campaigns
+  ensureColumn(db, 'subscribers', 'unsubscribed_at', 'TEXT');
+  // ...and before double opt-in: existing rows were single opt-in, keep them subscribed
+  if (ensureColumn(db, 'subscribers', 'status', "TEXT DEFAULT 'pending'")) {
+    db.exec("UPDATE subscribers SET status = CASE WHEN unsubscribed_at IS NULL THEN 'confirmed' ELSE 'unsubscribed' END");
+  }
+  ensureColumn(db, 'subscribers', 'confirm_token', 'TEXT');
+  ensureColumn(db, 'subscribers', 'confirmed_at', 'TEXT');
+  ensureColumn(db, 'subscribers', 'source', 'TEXT');
+  if (!db.prepare("SELECT 1 FROM sqlite_master WHERE type='index' AND name='subscribers_email'").get()) {
+    // one row per normalized address: keep the oldest, drop junk the old form let through
+    db.exec("UPDATE subscribers SET email = lower(trim(email))");
+    db.exec("DELETE FROM subscribers WHERE email NOT LIKE '%_@_%._%' OR id NOT IN (SELECT MIN(id) FROM subscribers GROUP BY email)");
+    db.exec('CREATE UNIQUE INDEX subscribers_email ON subscribers(email)');
+  }
+  // ...and before email verification: accounts that already exist are trusted as verified
+  if (ensureColumn(db, 'users', 'email_verified_at', 'TEXT')) db.exec('UPDATE users SET email_verified_at=created_at');
+  // ...and before two-factor auth
+  for (const col of ['totp_secret', 'totp_pending_secret', 'totp_enabled_at', 'totp_backup_codes']) ensureColumn(db, 'users', col, 'TEXT');
+  ensureColumn(db, 'users', 'totp_last_step', 'INTEGER');
+  // ...and before server-side login throttling
+  ensureColumn(db, 'users', 'locked_until', 'TEXT');
+  ensureColumn(db, 'users', 'throttle_reset_at', 'TEXT');
+  // ...and before soft delete
+  ensureColumn(db, 'users', 'deleted_at', 'TEXT');
+  ensureColumn(db, 'users', 'deleted_by', 'INTEGER');
+  addForeignKeys(db, FOREIGN_KEYS);
+
+  const legacyTargets = db.prepare("SELECT id, competitors, hashtags FROM targets WHERE competitors NOT LIKE '[%' OR hashtags NOT LIKE '[%'").all();
+  const fixTarget = db.prepare('UPDATE targets SET competitors=?, hashtags=? WHERE id=?');
+  legacyTargets.forEach(t => fixTarget.run(legacyList(t.competitors, '@'), legacyList(t.hashtags, '#'), t.id));
+
+  const seedBp = db.prepare('INSERT OR IGNORE INTO billing_periods(code,label,months,discount_pct,note) VALUES (?,?,?,?,?)');
+  [
+    ['monthly', 'Monthly', 1, 0, ''],
+    ['quarterly', 'Quarterly', 3, 10, 'billed quarterly'],
+    ['yearly', 'Yearly', 12, 20, 'billed annually']
+  ].forEach(b => seedBp.run(...b));
+
+  // databases from before migrations may already hold edits made in /admin/roles
+  if (!db.prepare("SELECT 1 FROM app_settings WHERE key='role_capabilities_seeded'").get()) {
+    const insert = db.prepare('INSERT OR IGNORE INTO role_capabilities(role,capability) VALUES (?,?)');
+    for (const [role, caps] of Object.entries(DEFAULT_ROLE_CAPABILITIES)) caps.forEach(cap => insert.run(role, cap));
+    db.prepare("INSERT INTO app_settings(key,value,updated_at) VALUES ('role_capabilities_seeded','1',datetime('now'))").run();
+  }
+};
+
+// Drops everything (children first); this is what `node fix-db.js` used to do
+exports.down = function (db) {
+  [
+    'campaign_recipients', 'campaigns', 'subscribers', 'mail_queue', 'automation_audit', 'statuses', 'target_history', 'targets',
+    'metrics', 'ticket_messages', 'tickets', 'reviews', 'payment_events', 'payments', 'subscriptions', 'order_history', 'orders',
+    'plan_prices', 'billing_periods', 'plans', 'posts', 'auth_tokens', 'app_settings', 'audit_log', 'role_capabilities',
+    'login_attempts', 'users'
+  ].forEach(t => db.exec(`DROP TABLE IF EXISTS ${t}`));
+};
@@ -0,0 +1,60 @@
+/**
+ * 002 metric points: replaces the ad-hoc `metrics` rows (likes / follows, no stated meaning)
+ * with one row per measured number and explicit semantics:
+ *   snapshot  — the absolute total at recorded_at (e.g. the follower count shown on the profile)
+ *   increment — a change since the previous point (e.g. likes gained today)
+ * metric_daily holds the end-of-day running total per metric; the app rebuilds it on every write.
+ *
+ * Old rows were written by the staff "Add likes / Add follows" form, so they come across as
+ * increments of likes and followers (source 'legacy') at their original created_at.
+ */
+
+exports.up = function (db) {
+  db.exec(`
+  CREATE TABLE metric_points (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    metric TEXT NOT NULL,       -- followers, likes, comments, reach
+    kind TEXT NOT NULL CHECK (kind IN ('snapshot', 'increment')),
+    value INTEGER NOT NULL,
+    recorded_at TEXT NOT NULL,  -- UTC time the number was measured
+    source TEXT,                -- staff, legacy, ...
+    actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TEXT DEFAULT (datetime('now'))
+  );
+  CREATE INDEX metric_points_series ON metric_points(user_id, metric, recorded_at);
+  CREATE TABLE metric_daily (
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    metric TEXT NOT NULL,
+    day TEXT NOT NULL,          -- YYYY-MM-DD (UTC)
+    total INTEGER NOT NULL,     -- running total at the end of the day
+    change INTEGER NOT NULL,    -- total minus the previous day's total
+    PRIMARY KEY (user_id, metric, day)
+  );
+  `);
+  for (const [column, metric] of [['likes', 'likes'], ['follows', 'followers']]) {
+    db.exec(`INSERT INTO metric_points(user_id,metric,kind,value,recorded_at,source,created_at)
+      SELECT user_id, '${metric}', 'increment', ${column}, COALESCE(created_at, datetime('now')), 'legacy', created_at
+      FROM metrics WHERE user_id IS NOT NULL AND COALESCE(${column}, 0) != 0 ORDER BY id`);
+  }
+  db.exec('DROP TABLE metrics');
+  // rollups for the imported rows are built by the app (rebuildMissingMetricRollups) on the next boot
+};
+
+exports.down = function (db) {
+  db.exec(`
+  CREATE TABLE metrics (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER,
+    likes INTEGER DEFAULT 0,
+    follows INTEGER DEFAULT 0,
+    created_at TEXT DEFAULT (datetime('now')),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  );
+  INSERT INTO metrics(user_id,likes,follows,created_at)
+    SELECT user_id, SUM(CASE WHEN metric='likes' THEN value ELSE 0 END), SUM(CASE WHEN metric='followers' THEN value ELSE 0 END), recorded_at
+    FROM metric_points WHERE kind='increment' AND metric IN ('likes','followers') GROUP BY user_id, recorded_at ORDER BY recorded_at;
+  DROP TABLE metric_daily;
+  DROP TABLE metric_points;
+  `);
+};
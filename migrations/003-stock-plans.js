@@ -0,0 +1,27 @@
+/**
+ * 003 stock plans: the pricing catalog used to come from the demo seed, which now only runs on
+ * request (`npm run seed` / SEED_ON_BOOT=1). A database without plans gets the three stock plans
+ * here; databases that already have plans keep them, and stock plans from before the pricing
+ * redesign get their presentation fields.
+ */
+
+const STOCK_PLANS = [
+  ['Kickoff Plan', 49, ['600 - 800+ Real followers', 'Growth pods network', 'Guaranteed results', 'Real-time growth analytics', '24/7 Live support'],
+    'Put your Instagram growth on autopilot. Perfect for personal accounts.', 'kickoff', 0, 1],
+  ['Growth Plan', 69, ['800 - 1,200+ Real & Organic followers', 'Growth pods network', 'Targeted AI growth', 'Account and hashtag targeting', 'Guaranteed results', 'Real-time growth analytics', '24/7 Live support'],
+    'Organic Instagram growth designed to connect you with your ideal audience.', 'growth', 1, 2],
+  ['Advanced Plan', 129, ['1,200 - 1,600+ Real & Organic followers', 'Growth pods network', 'Targeted AI growth', 'Account and hashtag targeting', '10x your engagement', 'Turn followers into conversions', 'Guaranteed results'],
+    'Advanced tools to drive conversion rates. Ideal for influencers and businesses.', 'advanced', 0, 3]
+];
+
+exports.up = function (db) {
+  if (!db.prepare('SELECT COUNT(*) c FROM plans').get().c) {
+    const insert = db.prepare('INSERT INTO plans(name,price_usd,features) VALUES (?,?,?)');
+    for (const [name, price, features] of STOCK_PLANS) insert.run(name, price, JSON.stringify(features));
+  }
+  const fill = db.prepare('UPDATE plans SET description=?, badge=?, featured=?, sort_order=? WHERE name=? AND description IS NULL');
+  for (const [name, , , ...details] of STOCK_PLANS) fill.run(...details, name);
+};
+
+// Plans are business data by now (orders reference them), so rolling back leaves them in place
+exports.down = function () {};
@@ -10,10 +10,44 @@
  * - Improved homepage (hero image, features, testimonials with avatars)
  * - Colorful animated pricing with tooltip positioning script included
  * - Additional seeded blog posts & reviews
+ * - Checkout: /checkout turns a pricing-page plan into a pending order
+ * - Billing periods: per-period plan prices from the DB (monthly / quarterly / yearly)
+ * - Payments: pluggable providers (offline mock gateway with MOCK_PAYMENTS=1, dev only), signed webhooks, idempotent intents
+ * - Admin order console (/admin/orders): filters, paging, status actions with history
+ * - Targeting editor (staff + customer) with normalized @/# lists and change history
+ * - Staff automation panel (statuses table) with an audited change log
+ * - Support inbox (/staff/tickets): assignment, threaded replies, internal notes
+ * - Customer account area (/account): plan, orders, growth, profile, targeting, tickets
+ * - Subscriptions: renewal orders, cancel at period end, grace period for unpaid renewals
+ * - Outbound mail: templates, outbox / SMTP / memory transports, retrying mail_queue
+ * - Newsletter (/admin/newsletter): Markdown campaigns, preview, scheduling, signed unsubscribe, per-recipient status
+ * - Subscribers: double opt-in, consent synced with users.unsubscribed, CSV import/export (/admin/subscribers)
+ * - Password reset (/forgot) and email verification with hashed, expiring single-use tokens;
+ *   orders can only be placed from a verified address
+ * - Passwords hashed with salted scrypt (legacy sha256 rows rehashed on login) + strength policy
+ * - Two-factor auth (TOTP + backup codes, /account/2fa) with an admin policy for admin/staff roles
+ * - Server-side login throttling per account and IP, lockout emails, /admin/logins to review and unlock;
+ *   attempts are pruned after LOGIN_ATTEMPT_RETENTION_DAYS (90)
+ * - CSRF tokens injected into every POST form / fetch() and checked on all state-changing requests
+ * - Permissions: roles map to capabilities (/admin/roles); account actions only reach lower-ranked accounts
+ * - Append-only audit log of admin/staff actions with before/after values (/admin/audit, CSV export)
+ * - Soft delete for accounts: /staff/trash to restore, purge after ACCOUNT_RETENTION_DAYS; foreign keys cascade
+ * - Versioned schema migrations (./migrations, `node migrate.js`), applied at boot; demo seeding is opt-in
+ * - Metrics as timestamped snapshot / increment points with daily rollups; 7/30/90 day charts.
+ *   Nothing is made up: demo numbers only with DEMO_METRICS=1, `cleanup-metrics` removes old placeholders
+ * - Bulk metrics import from CSV / JSON (/staff/metrics/import) with a dry-run preview and skipped-row report
+ * - Monthly client reports (/staff/reports/:id, printable for PDF, and CSV); /admin/reports for all active clients
  *
  * Run:
  *   npm i express better-sqlite3 cookie-session marked
- *   node smm-matrix-node.js
+ *   node migrate.js status                 # schema migrations (applied automatically at boot)
+ *   npm run seed                           # demo accounts + content (or SEED_ON_BOOT=1); refused in production
+ *   node smm-matrix-node.js grant-admin you@example.com   # first admin on an unseeded database (sign up first)
+ *   npm test                               # node:test suites in ./test, each on a throwaway database
+ *   node smm-matrix-node.js cleanup-metrics [--apply]   # find / delete placeholder metrics
+ *   MOCK_PAYMENTS=1 node smm-matrix-node.js   # local dev with the offline mock gateway
+ *   # production (NODE_ENV=production or Vercel) refuses to start without PAYMENT_WEBHOOK_SECRET
+ *   # mail goes to <os tmpdir>/smm-matrix-outbox by default (MAIL_OUTBOX_DIR); MAIL_TRANSPORT=smtp SMTP_PORT=2525 + `npm run smtp` for a local SMTP stand-in
  */
 
 const express = require('express');
@@ -25,15 +59,20 @@ const { marked } = require('marked');
 
 const app = express();
 const db = new Database(process.env.DB_FILE || 'smm_matrix_complete.db');
+db.pragma('foreign_keys = ON');
 const APP_TITLE = 'SMM Matrix';
+// Production (NODE_ENV=production or any Vercel deployment) refuses dev-only defaults
+const IS_PRODUCTION = process.env.NODE_ENV === 'production' || !!process.env.VERCEL;
 
 // Use a reliable unsplash hero in case other host blocks
 const HERO_MAIN = 'https://images.unsplash.com/photo-1522071820081-009f0129c71c?q=80&w=1400&auto=format&fit=crop';
 const HERO_MASK = 'https://images.unsplash.com/photo-1504198458649-3128b932f49f?q=80&w=1400&auto=format&fit=crop';
 
 // -------------------------- Middlewares --------------------------
-app.use(express.urlencoded({ extended: true }));
-app.use(express.json());
+// req.ip feeds login throttling: only believe X-Forwarded-For behind a known proxy
+app.set('trust proxy', process.env.VERCEL ? 1 : (process.env.TRUST_PROXY || false));
+app.use(express.urlencoded({ extended: true, limit: '2mb' })); // room for pasted CSV imports
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf.toString('utf8'); } }));
 app.use('/assets', express.static(path.join(__dirname, 'assets')));
 app.use(cookieSession({
   name: 'smm_sess',
@@ -42,8 +81,82 @@ app.use(cookieSession({
   maxAge: 24 * 60 * 60 * 1000
 }));
 
+// CSRF: one random token per session. Every HTML response gets it injected into its POST
+// forms (plus a <meta> tag and a fetch() wrapper for scripts); every unsafe request must
+// echo it back as `_csrf` or an X-CSRF-Token header.
+const CSRF_EXEMPT = [
+  /^\/payments\/webhook\//, // provider-signed
+  /^\/unsubscribe$/         // signed link; mail clients POST it without a page (RFC 8058)
+];
+const CSRF_FETCH_SCRIPT = `<script>(function(){var m=document.querySelector('meta[name="csrf-token"]');if(!m||!window.fetch)return;var f=window.fetch;window.fetch=function(u,o){o=o||{};var k=(o.method||'GET').toUpperCase();if(k!=='GET'&&k!=='HEAD'){o.headers=new Headers(o.headers||{});o.headers.set('X-CSRF-Token',m.content);}return f.call(this,u,o);};})();</script>`;
+function withCsrf(html, token) {
+  return html
+    .replace(/<form\b[^>]*\bmethod\s*=\s*["']?post["']?[^>]*>/gi, tag => `${tag}<input type="hidden" name="_csrf" value="${token}">`)
+    .replace(/<\/head>/i, `<meta name="csrf-token" content="${token}">${CSRF_FETCH_SCRIPT}</head>`);
+}
+function csrfToken(req) {
+  if (!req.session) req.session = {}; // a route may have just signed the visitor out
+  if (!req.session.csrf) req.session.csrf = crypto.randomBytes(24).toString('base64url');
+  return req.session.csrf;
+}
+app.use((req, res, next) => {
+  const token = Buffer.from(csrfToken(req));
+  const send = res.send.bind(res);
+  res.send = body => {
+    const type = res.get('Content-Type');
+    return send(typeof body === 'string' && (!type || type.includes('html')) ? withCsrf(body, csrfToken(req)) : body);
+  };
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method) || CSRF_EXEMPT.some(re => re.test(req.path))) return next();
+  const given = Buffer.from(String((req.body && req.body._csrf) || req.get('x-csrf-token') || ''));
+  if (given.length === token.length && crypto.timingSafeEqual(given, token)) return next();
+  res.status(403).send(GenericView({ user: null, title: 'Request blocked', body: `
+    <p>This form could not be verified — it may have been open too long, or it was submitted from another site.</p>
+    <p class='mt-2'>Go back, reload the page and try again.</p>
+    <a href='javascript:history.back()' class='inline-block mt-4 px-4 py-2 rounded-xl bg-indigo-600 text-white'>Go back</a>` }));
+});
+
 // -------------------------- Helpers --------------------------
 function sha256(s) { return crypto.createHash('sha256').update(String(s)).digest('hex'); }
+
+// Password hashes: "scrypt$N$r$p$salt$hash" (base64). Older rows hold an unsalted sha256 hex
+// digest; verifyPassword() flags those (and outdated scrypt costs) so login can rehash them.
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+function hashPassword(password) {
+  const { N, r, p } = SCRYPT_PARAMS;
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, 32, { N, r, p });
+  return `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+function verifyPassword(password, stored) {
+  stored = String(stored || '');
+  if (/^[0-9a-f]{64}$/.test(stored)) {
+    const ok = crypto.timingSafeEqual(Buffer.from(sha256(password), 'hex'), Buffer.from(stored, 'hex'));
+    return { ok, needsRehash: ok };
+  }
+  const [scheme, N, r, p, salt, hash] = stored.split('$');
+  if (scheme !== 'scrypt' || !hash) return { ok: false, needsRehash: false };
+  const expected = Buffer.from(hash, 'base64');
+  const actual = crypto.scryptSync(String(password), Buffer.from(salt, 'base64'), expected.length, { N: Number(N), r: Number(r), p: Number(p), maxmem: 256 * Number(N) * Number(r) });
+  const ok = crypto.timingSafeEqual(actual, expected);
+  const { N: cN, r: cr, p: cp } = SCRYPT_PARAMS;
+  return { ok, needsRehash: ok && (Number(N) !== cN || Number(r) !== cr || Number(p) !== cp) };
+}
+// Burns the same time as a real check so unknown emails can't be told apart by timing
+const DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(8).toString('hex'));
+
+const COMMON_PASSWORDS = ['password', 'password1', '12345678', '123456789', '1234567890', 'qwerty123', 'iloveyou', 'admin123', 'letmein1', 'welcome1', 'instagram', 'smmmatrix'];
+// Returns an error message, or null when the password is acceptable
+function passwordPolicyError(password, { email, name } = {}) {
+  const pw = String(password || '');
+  if (pw.length < 10) return 'Password must be at least 10 characters';
+  if (pw.length > 200) return 'Password is too long';
+  if (!/[a-zA-Z]/.test(pw) || !/[^a-zA-Z]/.test(pw)) return 'Password must mix letters with numbers or symbols';
+  const lower = pw.toLowerCase();
+  if (COMMON_PASSWORDS.includes(lower)) return 'That password is too common';
+  const personal = [String(email || '').split('@')[0], String(name || '')].map(x => x.toLowerCase()).filter(x => x.length >= 3);
+  if (personal.some(x => lower.includes(x))) return 'Password must not contain your name or email';
+  return null;
+}
 function escapeHtml(s) { return String(s || '').replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;','\'':'&#39;'}[c])); }
 function currency(v, ccy = 'USD') {
   const rates = { USD: 1, EUR: 0.92, GBP: 0.78 };
@@ -52,125 +165,627 @@ function currency(v, ccy = 'USD') {
   return `${symbols[ccy] || '$'}${Number.isInteger(x) ? x : x.toFixed(2)}`;
 }
 function authed(req) {
-  return req.session && req.session.uid ? db.prepare('SELECT * FROM users WHERE id=?').get(req.session.uid) : null;
+  return req.session && req.session.uid ? db.prepare('SELECT * FROM users WHERE id=? AND deleted_at IS NULL').get(req.session.uid) : null;
 }
-function requireRole(req, res, roles) {
+// Returns the signed-in user when they hold `capability`; otherwise answers the request itself
+function requirePermission(req, res, capability) {
   const u = authed(req);
-  if (!u || !roles.includes(u.role)) {
-    if (req.headers.accept && req.headers.accept.includes('text/html')) return res.redirect('/login');
-    return res.status(403).send('Forbidden');
+  if (u && can(u, capability)) return u;
+  if (!u && req.headers.accept && req.headers.accept.includes('text/html')) { setReturnTo(req, req.originalUrl); res.redirect('/login'); return null; }
+  res.status(403).send(u ? GenericView({ user: u, title: 'Not allowed', body: 'Your account does not have permission to do that. Ask an admin if you need access.' }) : 'Forbidden');
+  return null;
+}
+// JSON list columns (targets, statuses) read as space-separated text in history views
+function displayValue(v) {
+  const str = String(v == null ? '' : v);
+  if (str.startsWith('[')) { try { return JSON.parse(str).join(' ') || '—'; } catch(e) { /* plain text */ } }
+  return str || '—';
+}
+const EMAIL_RE = /^[^\s@,;"<>]+@[^\s@,;"<>]+\.[^\s@,;"<>]{2,}$/;
+function normalizeEmail(s) {
+  const email = String(s || '').trim().toLowerCase();
+  return EMAIL_RE.test(email) && email.length <= 254 ? email : null;
+}
+// CSV (RFC 4180): quoted cells may contain commas, quotes ("") and newlines.
+// Text that a spreadsheet would run as a formula (=, +, -, @, tab, CR first) gets a leading '.
+function csvCell(v) {
+  let str = String(v == null ? '' : v);
+  if (typeof v === 'string' && /^[=+\-@\t\r]/.test(str) && !/^[+-]?\d+(\.\d+)?$/.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+function toCsv(header, rows) {
+  return [header, ...rows].map(r => r.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+function parseCsv(text) {
+  const rows = []; let row = [], cell = '', quoted = false;
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') { row.push(cell); cell = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i + 1] === '\n') i++;
+      row.push(cell); cell = '';
+      if (row.some(x => x.trim() !== '')) rows.push(row);
+      row = [];
+    } else cell += c;
+  }
+  row.push(cell);
+  if (row.some(x => x.trim() !== '')) rows.push(row);
+  return rows;
+}
+// Admin-editable app settings (key/value, values stored as text)
+function getSetting(key, fallback = null) {
+  const row = db.prepare('SELECT value FROM app_settings WHERE key=?').get(key);
+  return row ? row.value : fallback;
+}
+function setSetting(key, value, actorId = null) {
+  db.prepare(`INSERT INTO app_settings(key,value,updated_by,updated_at) VALUES (?,?,?,datetime('now'))
+    ON CONFLICT(key) DO UPDATE SET value=excluded.value, updated_by=excluded.updated_by, updated_at=excluded.updated_at`).run(key, String(value), actorId);
+}
+// Remember where to send a visitor after login/signup (local paths only)
+function setReturnTo(req, url) { if (String(url).startsWith('/') && !String(url).startsWith('//')) req.session.return_to = url; }
+function popReturnTo(req) { const u = req.session.return_to; req.session.return_to = null; return u || null; }
+
+// -------------------------- Permissions --------------------------
+// Roles are ranked (user < staff < admin) and map to capabilities stored in role_capabilities
+// (defaults come from the baseline migration).
+// Admin always holds every capability so the role editor can't lock everyone out.
+const ROLES = ['user', 'staff', 'admin'];
+const CAPABILITIES = [
+  ['dashboard.view', 'Open the admin dashboard'],
+  ['orders.view', 'Browse orders'],
+  ['orders.manage', 'Mark orders paid, decline or cancel them'],
+  ['orders.refund', 'Refund paid orders'],
+  ['posts.publish', 'Publish blog posts'],
+  ['newsletter.manage', 'Compose and send newsletter campaigns'],
+  ['subscribers.manage', 'Browse, import and export subscribers'],
+  ['security.manage', '2FA policy, login activity and account unlocks'],
+  ['audit.view', 'Browse and export the audit log'],
+  ['roles.assign', 'Change any account role by email'],
+  ['roles.manage', 'Edit role capabilities'],
+  ['users.view', 'Open the staff panel and user details'],
+  ['users.edit', 'Change a user’s newsletter consent'],
+  ['users.create_staff', 'Create staff accounts'],
+  ['users.promote', 'Promote users to staff / demote staff'],
+  ['users.delete', 'Delete accounts, browse the trash and restore them'],
+  ['users.purge', 'Permanently purge deleted accounts before the retention window ends'],
+  ['targeting.edit', 'Edit customer targeting'],
+  ['automation.edit', 'Edit customer automation settings'],
+  ['metrics.edit', 'Record follower, like, comment and reach numbers for customers'],
+  ['tickets.manage', 'Work the support inbox'],
+  ['performance.view', 'View performance charts and client reports'],
+  ['reports.batch', 'Generate reports for all active clients at once'],
+  ['jobs.run', 'Trigger cron jobs from the browser']
+];
+
+function roleRank(role) { return ROLES.indexOf(role); }
+function roleCapabilities(role) {
+  if (role === 'admin') return CAPABILITIES.map(([cap]) => cap);
+  return db.prepare('SELECT capability FROM role_capabilities WHERE role=?').all(role).map(r => r.capability);
+}
+function can(user, capability) {
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+  return !!db.prepare('SELECT 1 FROM role_capabilities WHERE role=? AND capability=?').get(user.role, capability);
+}
+// Account management only reaches downwards: lower-ranked accounts, or fellow admins for an admin (never yourself)
+function canActOn(actor, target) {
+  if (!actor || !target || actor.id === target.id) return false;
+  return roleRank(target.role) < roleRank(actor.role) || (actor.role === 'admin' && target.role === 'admin');
+}
+// Roles an actor may hand out: never above their own
+function canGrantRole(actor, role) {
+  return ROLES.includes(role) && roleRank(role) <= roleRank(actor.role);
+}
+// Capability sets an actor may edit: admin edits every non-admin role, anyone else only roles ranked below their own
+function canEditRole(actor, role) {
+  return ROLES.includes(role) && role !== 'admin' && (actor.role === 'admin' || roleRank(role) < roleRank(actor.role));
+}
+function setRoleCapabilities(role, capabilities) {
+  const valid = capabilities.filter(c => CAPABILITIES.some(([cap]) => cap === c));
+  db.transaction(() => {
+    db.prepare('DELETE FROM role_capabilities WHERE role=?').run(role);
+    const insert = db.prepare('INSERT INTO role_capabilities(role,capability) VALUES (?,?)');
+    for (const cap of valid) insert.run(role, cap);
+  })();
+}
+
+// -------------------------- Audit log --------------------------
+// Append-only (triggers reject UPDATE/DELETE); null req/actor = system.
+// Actor email and target label are copied so entries stay readable after deletes.
+function audit(req, actor, action, target = {}, before = null, after = null) {
+  const json = v => v == null ? null : JSON.stringify(v);
+  db.prepare('INSERT INTO audit_log(actor_id,actor_email,action,target_type,target_id,target_label,before_value,after_value,ip) VALUES (?,?,?,?,?,?,?,?,?)')
+    .run(actor ? actor.id : null, actor ? actor.email : null, action, target.type || null, target.id == null ? null : target.id, target.label || null, json(before), json(after), (req && req.ip) || null);
+}
+function auditUser(user) { return { type: 'user', id: user.id, label: user.email }; }
+// Only the keys whose values differ, as [before, after] objects
+function auditDiff(before, after) {
+  const keys = Object.keys({ ...before, ...after }).filter(k => String(before[k] == null ? '' : before[k]) !== String(after[k] == null ? '' : after[k]));
+  return [Object.fromEntries(keys.map(k => [k, before[k] == null ? null : before[k]])), Object.fromEntries(keys.map(k => [k, after[k] == null ? null : after[k]]))];
+}
+
+// -------------------------- Targeting --------------------------
+const HANDLE_RE = /^[a-z0-9._]{1,30}$/;
+const HASHTAG_RE = /^[\p{L}\p{N}_]{1,100}$/u;
+const TARGET_LIMITS = { competitors: 25, hashtags: 30 };
+
+// Splits free text or a JSON array into unique, lower-cased entries prefixed with
+// `prefix` (@ or #); entries that are not valid handles / hashtags go to `invalid`.
+function normalizeList(input, prefix) {
+  let raw = input;
+  if (typeof raw === 'string' && raw.trim().startsWith('[')) { try { raw = JSON.parse(raw); } catch(e) { /* treat as text */ } }
+  const parts = Array.isArray(raw) ? raw.map(String) : String(raw || '').split(/[\s,;]+/);
+  const re = prefix === '@' ? HANDLE_RE : HASHTAG_RE;
+  const items = [], invalid = [];
+  parts.map(x => x.trim()).filter(Boolean).forEach(x => {
+    const bare = x.replace(/^[@#]+/, '').toLowerCase();
+    if (!re.test(bare)) return invalid.push(x);
+    if (!items.includes(prefix + bare)) items.push(prefix + bare);
+  });
+  return { items, invalid };
+}
+function targetList(value, prefix) { return normalizeList(value, prefix).items; }
+
+function latestTarget(userId) {
+  return db.prepare('SELECT * FROM targets WHERE user_id=? ORDER BY id DESC LIMIT 1').get(userId) || {};
+}
+
+// Validates and saves a user's targeting, recording changed fields in target_history.
+// Returns { errors } without saving when the input is invalid.
+function saveTargeting(userId, input, actorId) {
+  const competitors = normalizeList(input.competitors, '@');
+  const hashtags = normalizeList(input.hashtags, '#');
+  const next = {
+    niche: String(input.niche || '').trim(), geo: String(input.geo || '').trim(),
+    competitors: JSON.stringify(competitors.items), hashtags: JSON.stringify(hashtags.items)
+  };
+  if (input.notes !== undefined) next.notes = String(input.notes || '').trim();
+  const errors = [];
+  if (competitors.invalid.length) errors.push(`Invalid Instagram accounts: ${competitors.invalid.join(', ')}`);
+  if (hashtags.invalid.length) errors.push(`Invalid hashtags: ${hashtags.invalid.join(', ')}`);
+  if (competitors.items.length > TARGET_LIMITS.competitors) errors.push(`At most ${TARGET_LIMITS.competitors} competitor accounts`);
+  if (hashtags.items.length > TARGET_LIMITS.hashtags) errors.push(`At most ${TARGET_LIMITS.hashtags} hashtags`);
+  if (next.niche.length > 80 || next.geo.length > 80) errors.push('Niche and geo must be 80 characters or less');
+  if (next.notes && next.notes.length > 1000) errors.push('Notes must be 1000 characters or less');
+  if (errors.length) return { errors };
+
+  const current = latestTarget(userId);
+  const changes = {};
+  Object.keys(next).forEach(k => { if ((current[k] || '') !== next[k]) changes[k] = [current[k] || '', next[k]]; });
+  if (!Object.keys(changes).length) return { changes };
+  db.transaction(() => {
+    if (current.id) {
+      const cols = Object.keys(next);
+      db.prepare(`UPDATE targets SET ${cols.map(c => `${c}=?`).join(', ')} WHERE id=?`).run(...cols.map(c => next[c]), current.id);
+    } else {
+      db.prepare('INSERT INTO targets(user_id,niche,competitors,hashtags,geo,notes) VALUES (?,?,?,?,?,?)')
+        .run(userId, next.niche, next.competitors, next.hashtags, next.geo, next.notes || '');
+    }
+    db.prepare('INSERT INTO target_history(user_id,actor_id,changes) VALUES (?,?,?)').run(userId, actorId, JSON.stringify(changes));
+  })();
+  return { changes };
+}
+// A target_history row's { field: [before, after] }; a damaged row reads as no changes rather than a 500
+function historyChanges(row) {
+  let changes;
+  try { changes = JSON.parse(row.changes || '{}'); } catch(e) { return {}; }
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) return {};
+  return Object.fromEntries(Object.entries(changes).filter(([, pair]) => Array.isArray(pair)));
+}
+
+// -------------------------- Automation settings --------------------------
+// Engagement automation per client lives in `statuses`; every field change is
+// written to automation_audit with the staff member who made it.
+const FOLLOWING_STATUSES = ['Not started', 'Running', 'Paused', 'Action blocked', 'Needs review', 'Stopped'];
+const AUTOMATION_CHANNELS = [['like_enabled', 'Likes'], ['follow_enabled', 'Follows'], ['comment_enabled', 'Comments'], ['dm_enabled', 'DMs']];
+const COMPLAINT_FIELDS = [['team_complaint', 'Team complaint'], ['client_complaint', 'Client complaint'], ['complaint_explanation', 'Explanation']];
+
+function automationSettings(userId) {
+  db.prepare('INSERT OR IGNORE INTO statuses(user_id) VALUES (?)').run(userId);
+  return db.prepare('SELECT * FROM statuses WHERE user_id=?').get(userId);
+}
+
+function saveAutomation(userId, input, actorId) {
+  const hashtags = normalizeList(input.hashtags, '#');
+  const errors = [];
+  if (!FOLLOWING_STATUSES.includes(input.following_status)) errors.push('Choose a following status from the list');
+  if (hashtags.invalid.length) errors.push(`Invalid hashtags: ${hashtags.invalid.join(', ')}`);
+  if (COMPLAINT_FIELDS.some(([f]) => String(input[f] || '').length > 1000)) errors.push('Complaints must be 1000 characters or less');
+  if (errors.length) return { errors };
+
+  const current = automationSettings(userId);
+  const next = { following_status: input.following_status, hashtags: JSON.stringify(hashtags.items) };
+  AUTOMATION_CHANNELS.forEach(([f]) => { next[f] = input[f] ? 1 : 0; });
+  COMPLAINT_FIELDS.forEach(([f]) => { next[f] = String(input[f] || '').trim(); });
+  const changed = Object.keys(next).filter(f => String(current[f] == null ? '' : current[f]) !== String(next[f]));
+  if (!changed.length) return { changed };
+  db.transaction(() => {
+    db.prepare(`UPDATE statuses SET ${changed.map(f => `${f}=?`).join(', ')} WHERE user_id=?`).run(...changed.map(f => next[f]), userId);
+    const audit = db.prepare('INSERT INTO automation_audit(user_id,actor_id,field,old_value,new_value) VALUES (?,?,?,?,?)');
+    changed.forEach(f => audit.run(userId, actorId, f, current[f] == null ? '' : String(current[f]), String(next[f])));
+  })();
+  return { changed };
+}
+
+// -------------------------- Metrics --------------------------
+// Each metric is a running total per customer, built from metric_points in recorded_at order:
+// a snapshot sets the total, an increment adds to it. metric_daily keeps the end-of-day totals
+// (rebuilt for the series on every write) and is what charts read.
+const METRICS = [['followers', 'Followers'], ['likes', 'Likes'], ['comments', 'Comments'], ['reach', 'Reach']];
+const METRIC_KINDS = ['snapshot', 'increment'];
+const METRIC_RANGES = [7, 30, 90];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function rollupMetric(userId, metric) {
+  const points = db.prepare('SELECT kind, value, recorded_at FROM metric_points WHERE user_id=? AND metric=? ORDER BY recorded_at, id').all(userId, metric);
+  const totals = new Map(); // day -> end-of-day total
+  let total = 0;
+  for (const p of points) {
+    total = p.kind === 'snapshot' ? p.value : total + p.value;
+    totals.set(String(p.recorded_at).slice(0, 10), total);
   }
-  return u;
+  db.transaction(() => {
+    db.prepare('DELETE FROM metric_daily WHERE user_id=? AND metric=?').run(userId, metric);
+    if (!points.length) return;
+    const insert = db.prepare('INSERT INTO metric_daily(user_id,metric,day,total,change) VALUES (?,?,?,?,?)');
+    // one row per day from the first point to the last, so `change` is always day-over-day
+    const [first] = totals.keys(), last = [...totals.keys()].pop();
+    let prev = 0, running = 0;
+    for (let t = Date.parse(first + 'T00:00:00Z'); t <= Date.parse(last + 'T00:00:00Z'); t += DAY_MS) {
+      const day = new Date(t).toISOString().slice(0, 10);
+      if (totals.has(day)) running = totals.get(day);
+      insert.run(userId, metric, day, running, running - prev);
+      prev = running;
+    }
+  })();
+}
+// Rollups are derived data: rebuild any series that has points but no daily rows
+function rebuildMissingMetricRollups() {
+  db.prepare(`SELECT DISTINCT user_id, metric FROM metric_points p
+    WHERE NOT EXISTS (SELECT 1 FROM metric_daily d WHERE d.user_id=p.user_id AND d.metric=p.metric)`).all()
+    .forEach(s => rollupMetric(s.user_id, s.metric));
+}
+
+// Bulk writers pass rollup:false and call rollupMetric once per series afterwards
+function recordMetric(userId, { metric, kind, value, recordedAt = sqlNow(), source = 'staff', actorId = null, rollup = true }) {
+  const info = db.prepare('INSERT INTO metric_points(user_id,metric,kind,value,recorded_at,source,actor_id) VALUES (?,?,?,?,?,?,?)')
+    .run(userId, metric, kind, value, recordedAt, source, actorId);
+  if (rollup) rollupMetric(userId, metric);
+  return info.lastInsertRowid;
+}
+
+// Validates the staff form / API input; returns { errors } or { point } ready for recordMetric
+function metricInput(input) {
+  const errors = [];
+  const metric = String(input.metric || ''), kind = String(input.kind || '');
+  const value = Number(input.value);
+  const day = String(input.day || '').trim() || sqlNow().slice(0, 10);
+  if (!METRICS.some(([m]) => m === metric)) errors.push('Choose a metric');
+  if (!METRIC_KINDS.includes(kind)) errors.push('Choose whether the number is a total or a change');
+  if (String(input.value || '').trim() === '' || !Number.isInteger(value) || Math.abs(value) > 1e9) errors.push('Enter a whole number');
+  else if (kind === 'snapshot' && value < 0) errors.push('A total cannot be negative');
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(day) || isNaN(Date.parse(day + 'T00:00:00Z'))) errors.push('Enter the date as YYYY-MM-DD');
+  else if (day > sqlNow().slice(0, 10)) errors.push('The date cannot be in the future');
+  if (errors.length) return { errors };
+  // past days count as measured at the end of that day
+  const recordedAt = day === sqlNow().slice(0, 10) ? sqlNow() : `${day} 23:59:59`;
+  return { point: { metric, kind, value, recordedAt } };
+}
+
+function latestMetricTotals(userId) {
+  const rows = db.prepare(`SELECT metric, total, day FROM metric_daily d WHERE user_id=?
+    AND day=(SELECT MAX(day) FROM metric_daily x WHERE x.user_id=d.user_id AND x.metric=d.metric)`).all(userId);
+  return Object.fromEntries(METRICS.map(([m]) => [m, rows.find(r => r.metric === m) || null]));
+}
+
+// Daily totals for the `days` days ending on `endDay` (today by default), carried forward over
+// days without data; `start` is each metric's total before the first day (null if none yet)
+function metricSeries(userId, days, endDay = sqlNow().slice(0, 10)) {
+  const end = Date.parse(endDay + 'T00:00:00Z');
+  const labels = [];
+  for (let i = days - 1; i >= 0; i--) labels.push(new Date(end - i * DAY_MS).toISOString().slice(0, 10));
+  const series = {}, change = {}, start = {};
+  for (const [metric] of METRICS) {
+    const carry = db.prepare('SELECT total FROM metric_daily WHERE user_id=? AND metric=? AND day<? ORDER BY day DESC LIMIT 1').get(userId, metric, labels[0]);
+    const rows = new Map(db.prepare('SELECT day, total FROM metric_daily WHERE user_id=? AND metric=? AND day>=? AND day<=?').all(userId, metric, labels[0], endDay).map(r => [r.day, r.total]));
+    let total = start[metric] = carry ? carry.total : null;
+    series[metric] = labels.map(day => { if (rows.has(day)) total = rows.get(day); return total; });
+    const values = series[metric].filter(v => v != null);
+    change[metric] = values.length ? values[values.length - 1] - (carry ? carry.total : values[0]) : null;
+  }
+  return { days, labels, series, change, start };
+}
+
+// Demo numbers for the seeded demo customer, only with DEMO_METRICS=1 (see seedDatabase).
+// Stored with source 'demo' so they are easy to tell apart and to remove again.
+function seedDemoMetrics(userId, days = 90) {
+  const insert = db.prepare("INSERT INTO metric_points(user_id,metric,kind,value,recorded_at,source) VALUES (?,?,?,?,?,'demo')");
+  const today = Date.parse(sqlNow().slice(0, 10) + 'T00:00:00Z');
+  let followers = 1200;
+  db.transaction(() => {
+    for (let i = days - 1; i >= 0; i--) {
+      const at = `${new Date(today - i * DAY_MS).toISOString().slice(0, 10)} 18:00:00`;
+      followers += Math.floor(Math.random() * 25) - 4;
+      insert.run(userId, 'followers', 'snapshot', followers, at);
+      insert.run(userId, 'likes', 'increment', Math.floor(Math.random() * 120) + 40, at);
+      insert.run(userId, 'comments', 'increment', Math.floor(Math.random() * 15), at);
+      insert.run(userId, 'reach', 'snapshot', followers * 4 + Math.floor(Math.random() * 2000), at);
+    }
+  })();
+  METRICS.forEach(([m]) => rollupMetric(userId, m));
+}
+
+// Finds metric points that were made up rather than measured: demo rows, the placeholders the
+// app used to write (sources seed / placeholder / signup), and the same patterns among rows
+// migrated from the old metrics table (source 'legacy'), which carry no source of their own:
+//   placeholder — six likes 10,15..35 / followers 8,11..23 for one user in the same second
+//   signup      — likes 10 / followers 8 within a few seconds of the account being created
+//   seed        — one likes/followers pair for every account that existed, all in the same second
+// Returns the matching points, each with a `reason`.
+function findSynthesizedMetrics() {
+  const found = db.prepare("SELECT * FROM metric_points WHERE source IN ('demo','seed','placeholder','signup') ORDER BY id").all()
+    .map(p => ({ ...p, reason: p.source }));
+  const groups = new Map(); // user_id + recorded_at -> legacy points
+  for (const p of db.prepare("SELECT * FROM metric_points WHERE source='legacy' ORDER BY id").all()) {
+    const key = `${p.user_id}|${p.recorded_at}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(p);
+  }
+  const values = (points, metric) => points.filter(p => p.metric === metric).map(p => p.value).sort((a, b) => a - b).join(',');
+  const userCreated = db.prepare('SELECT created_at FROM users WHERE id=?');
+  const usersAt = db.prepare('SELECT COUNT(*) c FROM users WHERE created_at <= ?');
+  const batches = new Map(); // recorded_at -> groups with at most one likes and one followers point
+  for (const points of groups.values()) {
+    const likes = values(points, 'likes'), followers = values(points, 'followers');
+    const [{ user_id, recorded_at }] = points;
+    let reason = null;
+    if (likes === '10,15,20,25,30,35' && followers === '8,11,14,17,20,23') reason = 'placeholder';
+    else if (likes === '10' && followers === '8') {
+      const created = userCreated.get(user_id);
+      const gap = created ? (Date.parse(recorded_at.replace(' ', 'T') + 'Z') - Date.parse(created.created_at.replace(' ', 'T') + 'Z')) / 1000 : NaN;
+      if (gap >= 0 && gap <= 5) reason = 'signup';
+    }
+    if (reason) { points.forEach(p => found.push({ ...p, reason })); continue; }
+    if (!likes.includes(',') && !followers.includes(',')) {
+      if (!batches.has(recorded_at)) batches.set(recorded_at, []);
+      batches.get(recorded_at).push(points);
+    }
+  }
+  for (const [recordedAt, batch] of batches) {
+    if (batch.length >= 2 && batch.length >= usersAt.get(recordedAt).c) batch.flat().forEach(p => found.push({ ...p, reason: 'seed' }));
+  }
+  return found.sort((a, b) => a.id - b.id);
+}
+// Deletes the given points and rebuilds the affected series; returns the number removed
+function removeMetricPoints(points) {
+  const del = db.prepare('DELETE FROM metric_points WHERE id=?');
+  db.transaction(() => points.forEach(p => del.run(p.id)))();
+  new Set(points.map(p => `${p.user_id}|${p.metric}`)).forEach(key => {
+    const [userId, metric] = key.split('|');
+    rollupMetric(Number(userId), metric);
+  });
+  return points.length;
+}
+
+// Bulk import (/staff/metrics/import): CSV with a header row, or JSON (an array of objects or
+// { "rows": [...] }). A row names the account by Instagram `handle` or `email`, gives a `date`
+// and any of the metric columns. Whether a column is a total or a change is chosen per import.
+const METRIC_IMPORT_ALIASES = { instagram: 'handle', username: 'handle', follows: 'followers', day: 'date' };
+const METRIC_IMPORT_KINDS = { followers: 'snapshot', likes: 'increment', comments: 'increment', reach: 'snapshot' };
+const METRIC_IMPORT_MAX_ROWS = 5000;
+
+// Returns { rows: [{ row, fields }] } with lower-cased, de-aliased field names, or { error }
+function parseMetricImport(text) {
+  const src = String(text || '').replace(/^\uFEFF/, '').trim();
+  let records, header = null;
+  if (src.startsWith('[') || src.startsWith('{')) {
+    let data;
+    try { data = JSON.parse(src); } catch (e) { return { error: `Not valid JSON: ${e.message}` }; }
+    records = Array.isArray(data) ? data : (data && Array.isArray(data.rows) ? data.rows : null);
+    if (!records) return { error: 'JSON must be an array of rows or { "rows": [...] }' };
+    records = records.map(r => r && typeof r === 'object' && !Array.isArray(r) ? r : {});
+  } else {
+    const [first = [], ...rest] = parseCsv(src);
+    header = first.map(h => h.trim().toLowerCase()).map(h => METRIC_IMPORT_ALIASES[h] || h);
+    if (!(header.includes('handle') || header.includes('email')) || !header.includes('date')) {
+      return { error: 'The first CSV line must be a header with a handle (or email) column and a date column' };
+    }
+    records = rest.map(r => Object.fromEntries(header.map((h, i) => [h, r[i]])));
+  }
+  if (!records.length) return { error: 'No rows found' };
+  if (records.length > METRIC_IMPORT_MAX_ROWS) return { error: `At most ${METRIC_IMPORT_MAX_ROWS} rows per import` };
+  return { rows: records.map((r, i) => ({ row: i + 1, fields: Object.fromEntries(Object.entries(r).map(([k, v]) => {
+    const key = k.trim().toLowerCase();
+    return [METRIC_IMPORT_ALIASES[key] || key, v == null ? '' : String(v).trim()];
+  })) })) };
+}
+
+// Validates and records every row in one transaction; with dryRun (the default) the transaction
+// is rolled back, so the preview goes through exactly the same code as the real import.
+// Rows are all-or-nothing: one bad value skips the whole row. Points already imported
+// (same account, metric, kind, value and day) are counted as duplicates and not added again.
+function importMetrics(rows, kinds, { actorId = null, dryRun = true } = {}) {
+  const users = db.prepare('SELECT id, email, instagram FROM users WHERE deleted_at IS NULL').all();
+  const byEmail = new Map(users.map(u => [u.email.toLowerCase(), u]));
+  const byHandle = new Map(); // null marks a handle shared by several accounts
+  users.forEach(u => {
+    const handle = String(u.instagram || '').trim().replace(/^@+/, '').toLowerCase();
+    if (handle) byHandle.set(handle, byHandle.has(handle) ? null : u);
+  });
+  const imported = db.prepare("SELECT 1 FROM metric_points WHERE user_id=? AND metric=? AND kind=? AND value=? AND substr(recorded_at,1,10)=? AND source='import' LIMIT 1");
+  const report = { rows: rows.length, points: 0, accounts: 0, duplicates: 0, skipped: [], changes: [] };
+  const series = new Map(); // user_id|metric -> { before, after, points }
+  const rollback = new Error('dry run');
+  try {
+    db.transaction(() => {
+      for (const { row, fields } of rows) {
+        // some tools put the email in the account column
+        const asEmail = normalizeEmail(fields.handle);
+        const handle = asEmail ? '' : String(fields.handle || '').replace(/^@+/, '').toLowerCase();
+        const email = asEmail || String(fields.email || '').toLowerCase();
+        const skip = reason => report.skipped.push({ row, account: handle ? '@' + handle : email, reason });
+        const user = handle ? byHandle.get(handle) : byEmail.get(email);
+        if (!handle && !email) { skip('No handle or email'); continue; }
+        if (user === null) { skip('Handle is used by more than one account — use email instead'); continue; }
+        if (!user) { skip('No matching account'); continue; }
+        const date = String(fields.date || '');
+        if (!date) { skip('No date'); continue; }
+        const day = /^\d{4}-\d{2}-\d{2}(?:[T ]|$)/.test(date) ? date.slice(0, 10) : date;
+        const points = [], errors = [];
+        for (const [metric, label] of METRICS) {
+          if (fields[metric] == null || fields[metric] === '') continue;
+          const result = metricInput({ metric, kind: kinds[metric], value: fields[metric], day });
+          if (result.errors) errors.push(`${label}: ${result.errors.join(', ')}`); else points.push(result.point);
+        }
+        if (!points.length && !errors.length) errors.push('No metric values');
+        if (errors.length) { skip(errors.join('; ')); continue; }
+        for (const point of points) {
+          if (imported.get(user.id, point.metric, point.kind, point.value, point.recordedAt.slice(0, 10))) { report.duplicates++; continue; }
+          const key = `${user.id}|${point.metric}`;
+          if (!series.has(key)) {
+            const latest = latestMetricTotals(user.id)[point.metric];
+            series.set(key, { user_id: user.id, email: user.email, metric: point.metric, before: latest ? latest.total : null, points: 0 });
+          }
+          recordMetric(user.id, { ...point, source: 'import', actorId, rollup: false });
+          series.get(key).points++;
+          report.points++;
+        }
+      }
+      for (const change of series.values()) {
+        rollupMetric(change.user_id, change.metric);
+        const latest = latestMetricTotals(change.user_id)[change.metric];
+        change.after = latest ? latest.total : null;
+      }
+      report.changes = [...series.values()];
+      report.accounts = new Set(report.changes.map(c => c.user_id)).size;
+      if (dryRun) throw rollback;
+    })();
+  } catch (e) {
+    if (e !== rollback) throw e;
+  }
+  return report;
+}
+
+// -------------------------- Client reports --------------------------
+// Monthly report per client: metric growth, best days, targeting, plan and billing. Served as a
+// printable page (the browser's "Save as PDF" gives the PDF) and as CSV; admins can pull every
+// active client in one go.
+
+// ?month=YYYY-MM, defaulting to the last complete month
+function reportMonth(value) {
+  const month = String(value || '');
+  if (/^\d{4}-(0[1-9]|1[0-2])$/.test(month) && month <= sqlNow().slice(0, 7)) return month;
+  const d = new Date();
+  d.setUTCDate(1); d.setUTCMonth(d.getUTCMonth() - 1);
+  return d.toISOString().slice(0, 7);
+}
+
+function activeClients() {
+  return db.prepare(`SELECT u.*, p.name as plan FROM users u
+    JOIN subscriptions s ON s.id=(SELECT MAX(id) FROM subscriptions x WHERE x.user_id=u.id AND x.status IN ('active','past_due'))
+    LEFT JOIN plans p ON p.id=s.plan_id
+    WHERE u.role='user' AND u.deleted_at IS NULL ORDER BY u.email`).all();
+}
+
+function clientReport(user, month) {
+  const from = `${month}-01`;
+  const next = new Date(from + 'T00:00:00Z');
+  next.setUTCMonth(next.getUTCMonth() + 1);
+  const monthEnd = new Date(next - DAY_MS).toISOString().slice(0, 10);
+  const today = sqlNow().slice(0, 10);
+  const to = monthEnd < today ? monthEnd : today; // the current month runs up to today
+  const data = metricSeries(user.id, Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS) + 1, to);
+  const growth = Object.fromEntries(METRICS.map(([m]) => {
+    const values = data.series[m].filter(v => v != null);
+    const end = values.length ? values[values.length - 1] : null;
+    const start = data.start[m];
+    return [m, { start, end, change: data.change[m], pct: start ? Math.round((end - start) / start * 1000) / 10 : null }];
+  }));
+  // a series' first day has no previous day to compare with, so it can't be a best day
+  const best = db.prepare(`SELECT day, change FROM metric_daily d WHERE user_id=? AND metric=? AND day BETWEEN ? AND ? AND change > 0
+    AND EXISTS (SELECT 1 FROM metric_daily p WHERE p.user_id=d.user_id AND p.metric=d.metric AND p.day<d.day)
+    ORDER BY change DESC, day LIMIT 3`);
+  const bestDays = Object.fromEntries(['followers', 'likes'].map(m => [m, best.all(user.id, m, from, to)]));
+  const targetChanges = db.prepare(`SELECT h.created_at, h.changes, u.email as actor_email FROM target_history h LEFT JOIN users u ON u.id=h.actor_id
+    WHERE h.user_id=? AND substr(h.created_at,1,10) BETWEEN ? AND ? ORDER BY h.id`).all(user.id, from, to);
+  const subscription = db.prepare(`SELECT s.*, p.name as plan FROM subscriptions s LEFT JOIN plans p ON p.id=s.plan_id
+    WHERE s.user_id=? ORDER BY s.status IN ('active','past_due') DESC, s.id DESC LIMIT 1`).get(user.id) || null;
+  const orders = db.prepare(`SELECT o.*, p.name as plan FROM orders o LEFT JOIN plans p ON p.id=o.plan_id
+    WHERE o.user_id=? AND substr(COALESCE(o.paid_at, o.created_at),1,10) BETWEEN ? AND ? ORDER BY o.id`).all(user.id, from, to);
+  const paid = orders.filter(o => o.paid_at).reduce((sum, o) => sum + (o.captured_usd || 0) - (o.refunded_usd || 0), 0);
+  return { user, month, from, to, partial: to < monthEnd, data, growth, bestDays, target: latestTarget(user.id), targetChanges, subscription, orders, paid };
+}
+
+// Per-client CSV: one line per day with each metric's total and day-over-day change
+function clientReportCsv(report) {
+  const { labels, series, start } = report.data;
+  const header = ['date', ...METRICS.flatMap(([m]) => [m, `${m}_change`])];
+  const rows = labels.map((day, i) => [day, ...METRICS.flatMap(([m]) => {
+    const value = series[m][i], prev = i ? series[m][i - 1] : start[m];
+    return [value == null ? '' : value, value == null ? '' : value - (prev == null ? 0 : prev)];
+  })]);
+  return toCsv(header, rows);
+}
+// Batch CSV: one summary line per client
+function clientReportsSummaryCsv(reports) {
+  const header = ['email', 'name', 'instagram', 'plan', 'billing_period', 'subscription_status',
+    ...METRICS.flatMap(([m]) => [`${m}_start`, `${m}_end`, `${m}_change`]), 'best_followers_day', 'best_likes_day', 'orders', 'paid_usd'];
+  const n = v => v == null ? '' : v;
+  return toCsv(header, reports.map(r => [r.user.email, r.user.name, r.user.instagram,
+    r.subscription ? r.subscription.plan : '', r.subscription ? r.subscription.billing_period : '', r.subscription ? r.subscription.status : '',
+    ...METRICS.flatMap(([m]) => [n(r.growth[m].start), n(r.growth[m].end), n(r.growth[m].change)]),
+    r.bestDays.followers[0] ? r.bestDays.followers[0].day : '', r.bestDays.likes[0] ? r.bestDays.likes[0].day : '',
+    r.orders.length, r.paid.toFixed(2)]));
+}
+
+// -------------------------- Support tickets --------------------------
+const TICKET_STATUSES = ['open', 'pending', 'closed'];
+
+function addTicketMessage(ticketId, authorId, kind, body) {
+  db.prepare('INSERT INTO ticket_messages(ticket_id,author_id,kind,body) VALUES (?,?,?,?)').run(ticketId, authorId, kind, body);
+  db.prepare("UPDATE tickets SET updated_at=datetime('now') WHERE id=?").run(ticketId);
+}
+
+// Status changes are kept in the thread as internal events
+function setTicketStatus(ticket, status, actor) {
+  if (!TICKET_STATUSES.includes(status) || ticket.status === status) return false;
+  db.prepare('UPDATE tickets SET status=? WHERE id=?').run(status, ticket.id);
+  addTicketMessage(ticket.id, actor ? actor.id : null, 'event', `Status changed ${ticket.status} → ${status}`);
+  ticket.status = status;
+  return true;
 }
 
 // -------------------------- DB Schema & Seeding ------------------------
-function initDb() {
-  db.exec(`
-  CREATE TABLE IF NOT EXISTS users (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    email TEXT UNIQUE NOT NULL,
-    password_hash TEXT NOT NULL,
-    name TEXT,
-    role TEXT DEFAULT 'user',
-    instagram TEXT,
-    unsubscribed INTEGER DEFAULT 0,
-    created_at TEXT DEFAULT (datetime('now'))
-  );
-  CREATE TABLE IF NOT EXISTS posts (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    title TEXT NOT NULL,
-    author TEXT,
-    image TEXT,
-    excerpt TEXT,
-    body TEXT,
-    views INTEGER DEFAULT 0,
-    created_at TEXT DEFAULT (datetime('now'))
-  );
-  CREATE TABLE IF NOT EXISTS plans (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    name TEXT,
-    price_usd REAL,
-    features TEXT
-  );
-  CREATE TABLE IF NOT EXISTS orders (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    user_id INTEGER,
-    plan_id INTEGER,
-    ig_username TEXT,
-    notes TEXT,
-    status TEXT DEFAULT 'pending', -- pending, paid, declined, cancelled
-    created_at TEXT DEFAULT (datetime('now'))
-  );
-  CREATE TABLE IF NOT EXISTS reviews (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    name TEXT,
-    stars INTEGER,
-    content TEXT,
-    avatar TEXT,
-    created_at TEXT DEFAULT (datetime('now'))
-  );
-  CREATE TABLE IF NOT EXISTS tickets (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    user_id INTEGER,
-    email TEXT,
-    instagram TEXT,
-    subject TEXT,
-    message TEXT,
-    status TEXT DEFAULT 'open',
-    created_at TEXT DEFAULT (datetime('now'))
-  );
-  CREATE TABLE IF NOT EXISTS metrics (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    user_id INTEGER,
-    likes INTEGER DEFAULT 0,
-    follows INTEGER DEFAULT 0,
-    created_at TEXT DEFAULT (datetime('now'))
-  );
-  CREATE TABLE IF NOT EXISTS targets (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    user_id INTEGER,
-    niche TEXT,
-    competitors TEXT,
-    hashtags TEXT,
-    geo TEXT,
-    notes TEXT,
-    created_at TEXT DEFAULT (datetime('now'))
-  );
-  CREATE TABLE IF NOT EXISTS statuses (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    user_id INTEGER UNIQUE,
-    following_status TEXT DEFAULT 'Select status',
-    like_enabled INTEGER DEFAULT 0,
-    follow_enabled INTEGER DEFAULT 1,
-    comment_enabled INTEGER DEFAULT 0,
-    dm_enabled INTEGER DEFAULT 0,
-    hashtags TEXT DEFAULT '',
-    team_complaint TEXT DEFAULT '',
-    client_complaint TEXT DEFAULT '',
-    complaint_explanation TEXT DEFAULT ''
-  );
-  CREATE TABLE IF NOT EXISTS subscribers (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    email TEXT,
-    created_at TEXT DEFAULT (datetime('now'))
-  );
-  `);
+// The schema lives in numbered migrations (./migrations, CLI: `node migrate.js status|down|...`);
+// pending ones are applied at boot unless MIGRATE_ON_BOOT=0.
+if (process.env.MIGRATE_ON_BOOT !== '0') require('./migrate').migrate(db);
+rebuildMissingMetricRollups();
 
+// Demo content and accounts (admin@smm.local / admin123 and friends). Idempotent (only fills
+// what is missing) and opt-in: `npm run seed`, or SEED_ON_BOOT=1 to seed on every boot in dev.
+// Refused in production so a deleted demo admin never comes back with its known password.
+// The stock plans are not demo content: migration 003 creates them.
+const SEED_REQUESTED = process.env.SEED_ON_BOOT === '1' || (require.main === module && process.argv[2] === 'seed');
+if (SEED_REQUESTED && IS_PRODUCTION) throw new Error('Demo seeding (SEED_ON_BOOT=1 / seed) is not allowed in production');
+const DEMO_METRICS = process.env.DEMO_METRICS === '1';
+function seedDatabase() {
   // seed demo users
-  const ensure = db.prepare('INSERT OR IGNORE INTO users(email,password_hash,name,role,instagram) VALUES (?,?,?,?,?)');
-  ensure.run('admin@smm.local', sha256('admin123'), 'Admin', 'admin', '@admin');
-  ensure.run('staff@smm.local', sha256('staff123'), 'Team Member', 'staff', '@staff');
-  ensure.run('user@smm.local',  sha256('user123'),  'Demo User', 'user', '@demouser');
+  const insertUser = db.prepare('INSERT OR IGNORE INTO users(email,password_hash,name,role,instagram) VALUES (?,?,?,?,?)');
+  // hashing is deliberately slow, so only hash for accounts that are actually missing
+  const ensure = (email, password, ...rest) => {
+    if (!db.prepare('SELECT 1 FROM users WHERE email=?').get(email)) insertUser.run(email, hashPassword(password), ...rest);
+  };
+  ensure('admin@smm.local', 'admin123', 'Admin', 'admin', '@admin');
+  ensure('staff@smm.local', 'staff123', 'Team Member', 'staff', '@staff');
+  ensure('user@smm.local',  'user123',  'Demo User', 'user', '@demouser');
+  db.exec("UPDATE users SET email_verified_at=created_at WHERE email LIKE '%@smm.local' AND email_verified_at IS NULL");
 
-  // seed plans
-if (!db.prepare('SELECT COUNT(*) c FROM plans').get().c) {
-  const seed = db.prepare('INSERT INTO plans(name,price_usd,features) VALUES (?,?,?)');
-  [
-    ['Kickoff Plan', 49, JSON.stringify(['600 - 800+ Real followers','Growth pods network','Guaranteed results','Real-time growth analytics','24/7 Live support'])],
-    ['Growth Plan', 69, JSON.stringify(['800 - 1,200+ Real & Organic followers','Growth pods network','Targeted AI growth','Account and hashtag targeting','Guaranteed results','Real-time growth analytics','24/7 Live support'])],
-    ['Advanced Plan', 129, JSON.stringify(['1,200 - 1,600+ Real & Organic followers','Growth pods network','Targeted AI growth','Account and hashtag targeting','10x your engagement','Turn followers into conversions','Guaranteed results'])]
-  ].forEach(p => seed.run(...p));
-}
 
   // seed posts (add more)
   if (!db.prepare('SELECT COUNT(*) c FROM posts').get().c) {
@@ -199,18 +814,815 @@ if (!db.prepare('SELECT COUNT(*) c FROM plans').get().c) {
     ].forEach(r => seedR.run(...r));
   }
 
-  // ensure statuses/targets/metrics for each user
-  const ids = db.prepare('SELECT id FROM users').all().map(r => r.id);
+  // ensure statuses for each user
   const insStatus = db.prepare('INSERT OR IGNORE INTO statuses(user_id) VALUES (?)');
-  const insTargets = db.prepare('INSERT OR IGNORE INTO targets(user_id,niche,competitors,hashtags,geo,notes) VALUES(?,?,?,?,?,?)');
-  const insMetrics = db.prepare('INSERT OR IGNORE INTO metrics(user_id,likes,follows) VALUES (?,?,?)');
-  ids.forEach(id => {
-    insStatus.run(id);
-    insTargets.run(id, 'Fitness & Wellness', '@nike @adidas', '#fitness #workout', 'United States', 'Target: 18-35 health conscious');
-    insMetrics.run(id, Math.floor(Math.random()*200)+50, Math.floor(Math.random()*100)+20);
+  db.prepare('SELECT id FROM users').all().forEach(r => insStatus.run(r.id));
+
+  // made-up metrics only when asked for (DEMO_METRICS=1), and only for the demo customer
+  const demo = db.prepare("SELECT id FROM users WHERE email='user@smm.local' AND NOT EXISTS (SELECT 1 FROM metric_points p WHERE p.user_id=users.id)").get();
+  if (DEMO_METRICS && demo) seedDemoMetrics(demo.id);
+
+  // demo targeting for the demo customer only (targets has no unique key, so seed once)
+  db.prepare(`INSERT INTO targets(user_id,niche,competitors,hashtags,geo,notes)
+    SELECT id, 'Fitness & Wellness', '["@nike","@adidas"]', '["#fitness","#workout"]', 'United States', 'Target: 18-35 health conscious'
+    FROM users WHERE email='user@smm.local' AND NOT EXISTS (SELECT 1 FROM targets t WHERE t.user_id=users.id)`).run();
+}
+if (SEED_REQUESTED) seedDatabase();
+
+// -------------------------- Plans & billing periods --------------------------
+function billingPeriods() { return db.prepare('SELECT * FROM billing_periods ORDER BY months').all(); }
+function findBillingPeriod(code) {
+  return db.prepare('SELECT * FROM billing_periods WHERE code=?').get(String(code || 'monthly')) || billingPeriods()[0];
+}
+
+// Monthly price for a period: explicit plan_prices override, else the period discount
+// applied to the plan's base price. Daily rate assumes 30-day months.
+function planPrice(plan, period) {
+  const override = db.prepare('SELECT monthly_price_usd FROM plan_prices WHERE plan_id=? AND period_code=?').get(plan.id, period.code);
+  const monthly = override ? override.monthly_price_usd : Math.round(plan.price_usd * (1 - (period.discount_pct || 0) / 100));
+  return { period: period.code, label: period.label, months: period.months, note: period.note || '', monthly, total: monthly * period.months, daily: monthly / 30 };
+}
+
+function plansWithPricing() {
+  const periods = billingPeriods();
+  return db.prepare('SELECT * FROM plans ORDER BY sort_order, id').all().map(p => ({
+    ...p, prices: Object.fromEntries(periods.map(bp => [bp.code, planPrice(p, bp)]))
+  }));
+}
+
+// -------------------------- Orders --------------------------
+// All order status changes go through setOrderStatus so order_history stays complete.
+function recordOrderHistory(orderId, from, to, reason = '', actorId = null) {
+  db.prepare('INSERT INTO order_history(order_id,from_status,to_status,reason,actor_id) VALUES (?,?,?,?,?)').run(orderId, from, to, reason, actorId);
+}
+
+function createOrder({ user_id, plan_id, ig_username, notes, billing_period, amount_usd, subscription_id = null }, reason = 'Order placed') {
+  const info = db.prepare('INSERT INTO orders(user_id,plan_id,ig_username,notes,status,billing_period,amount_usd,currency,subscription_id) VALUES (?,?,?,?,?,?,?,?,?)')
+    .run(user_id, plan_id, ig_username, notes, 'pending', billing_period, amount_usd, 'USD', subscription_id);
+  recordOrderHistory(info.lastInsertRowid, null, 'pending', reason, null);
+  return info.lastInsertRowid;
+}
+
+// `from` lists the statuses the order may currently be in; `fields` are extra columns to set.
+// Returns false (and records nothing) when the transition does not apply.
+function setOrderStatus(orderId, to, { from, reason = '', actorId = null, fields = {} } = {}) {
+  const order = db.prepare('SELECT * FROM orders WHERE id=?').get(orderId);
+  if (!order || order.status === to || (from && !from.includes(order.status))) return false;
+  const cols = Object.keys(fields);
+  db.prepare(`UPDATE orders SET ${['status=?', ...cols.map(c => `${c}=?`)].join(', ')} WHERE id=?`).run(to, ...cols.map(c => fields[c]), orderId);
+  recordOrderHistory(orderId, order.status, to, reason, actorId);
+  return true;
+}
+
+function notifyOrderPaid(orderId) {
+  const order = db.prepare('SELECT o.*, u.email, p.name as plan FROM orders o LEFT JOIN users u ON u.id=o.user_id LEFT JOIN plans p ON p.id=o.plan_id WHERE o.id=?').get(orderId);
+  if (order) queueMail(order.email, 'payment_confirmed', { order, plan: order.plan || 'plan' });
+}
+
+function sqlNow(date = new Date()) { return date.toISOString().slice(0, 19).replace('T', ' '); }
+
+// Admin console actions: target status and the statuses it may be applied from
+const ORDER_ACTIONS = {
+  mark_paid: { to: 'paid', from: ['pending', 'declined'], label: 'Mark paid', css: 'bg-emerald-600' },
+  decline: { to: 'declined', from: ['pending'], label: 'Decline', css: 'bg-amber-500' },
+  cancel: { to: 'cancelled', from: ['pending', 'declined'], label: 'Cancel', css: 'bg-slate-600' },
+  refund: { to: 'refunded', from: ['paid'], label: 'Refund', css: 'bg-rose-600' }
+};
+
+// Refusals the admin can act on; any other exception from an order action is a bug, not a message
+class OrderActionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'OrderActionError';
+    this.status = status;
+  }
+}
+
+// Throws OrderActionError with a user-facing message when the action cannot be applied
+function applyOrderAction(orderId, action, reason, actorId) {
+  const spec = ORDER_ACTIONS[action];
+  if (!spec) throw new OrderActionError('Unknown action');
+  if (!reason) throw new OrderActionError('A reason is required');
+  const order = db.prepare('SELECT * FROM orders WHERE id=?').get(orderId);
+  if (!order) throw new OrderActionError('Order not found', 404);
+  if (!spec.from.includes(order.status)) throw new OrderActionError(`Cannot ${spec.label.toLowerCase()} an order that is ${order.status}`, 409);
+  db.transaction(() => {
+    const fields = {};
+    if (action === 'mark_paid') {
+      Object.assign(fields, { captured_usd: order.amount_usd, paid_at: sqlNow(), payment_provider: order.payment_provider || 'manual' });
+    }
+    if (action === 'refund') {
+      const payment = db.prepare("SELECT * FROM payments WHERE order_id=? AND status='succeeded' ORDER BY id DESC").get(order.id);
+      const provider = payment && paymentProviders[payment.provider];
+      if (provider && provider.refund) {
+        const refund = provider.refund(payment, order.captured_usd);
+        if (refund.status !== 'succeeded') throw new OrderActionError('Refund was rejected by the payment provider', 502);
+        db.prepare("UPDATE payments SET status='refunded', updated_at=datetime('now') WHERE id=?").run(payment.id);
+      }
+      fields.refunded_usd = order.captured_usd;
+    }
+    setOrderStatus(order.id, spec.to, { from: spec.from, reason, actorId, fields });
+    if (action === 'mark_paid') { activateSubscriptionForOrder(order.id); notifyOrderPaid(order.id); }
+    if (action === 'refund' && order.subscription_id) {
+      const sub = db.prepare("SELECT * FROM subscriptions WHERE id=? AND status IN ('active','past_due')").get(order.subscription_id);
+      if (sub) cancelSubscriptionNow(sub, 'Order refunded');
+    }
+  })();
+}
+
+// -------------------------- Payments --------------------------
+// Providers expose createIntent / verifyWebhook / parseEvent and are picked with
+// PAYMENT_PROVIDER. The offline mock gateway (anyone can "pay" on it) only exists with
+// MOCK_PAYMENTS=1 outside production, where it is also the default provider.
+// Every status change goes through handlePaymentWebhook so real and mock gateways share one path.
+const MOCK_PAYMENTS = process.env.MOCK_PAYMENTS === '1';
+if (MOCK_PAYMENTS && IS_PRODUCTION) throw new Error('MOCK_PAYMENTS=1 is not allowed in production');
+if (!process.env.PAYMENT_WEBHOOK_SECRET && IS_PRODUCTION) throw new Error('PAYMENT_WEBHOOK_SECRET must be set in production');
+const PAYMENT_WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET || 'whsec_dev';
+const paymentProviders = {};
+function registerPaymentProvider(name, provider) { paymentProviders[name] = provider; }
+function defaultPaymentProvider() { return process.env.PAYMENT_PROVIDER || (MOCK_PAYMENTS ? 'mock' : null); }
+function paymentProvider(name = defaultPaymentProvider()) {
+  const p = paymentProviders[name];
+  if (!p) throw new Error(`Unknown payment provider: ${name}`);
+  return p;
+}
+function paymentsEnabled() { return !!paymentProviders[defaultPaymentProvider()]; }
+
+// Stripe-style signature header: t=<unix ts>,v1=<hex hmac of "ts.payload">
+function signWebhook(raw, secret = PAYMENT_WEBHOOK_SECRET, ts = Math.floor(Date.now() / 1000)) {
+  return `t=${ts},v1=${crypto.createHmac('sha256', secret).update(`${ts}.${raw}`).digest('hex')}`;
+}
+function verifyWebhookSignature(raw, header, secret = PAYMENT_WEBHOOK_SECRET, toleranceSec = 300) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(kv => kv.split('=')));
+  const ts = Number(parts.t);
+  if (!ts || !parts.v1 || Math.abs(Date.now() / 1000 - ts) > toleranceSec) return false;
+  const expected = Buffer.from(signWebhook(raw, secret, ts).split('v1=')[1]);
+  const got = Buffer.from(String(parts.v1));
+  return expected.length === got.length && crypto.timingSafeEqual(expected, got);
+}
+
+if (MOCK_PAYMENTS) registerPaymentProvider('mock', {
+  createIntent() {
+    const id = 'pi_mock_' + crypto.randomBytes(12).toString('hex');
+    return { id, status: 'requires_confirmation', redirectUrl: `/pay/mock/${id}` };
+  },
+  verifyWebhook(raw, headers) { return verifyWebhookSignature(raw, headers['x-smm-signature']); },
+  // null for anything that isn't a well-formed event
+  parseEvent(raw) {
+    let e;
+    try { e = JSON.parse(raw); } catch (err) { return null; }
+    if (!e || typeof e.id !== 'string' || typeof e.type !== 'string' || !e.data || typeof e.data.intent_id !== 'string') return null;
+    return { id: e.id, type: e.type, intentId: e.data.intent_id, amount: Number(e.data.amount), currency: e.data.currency };
+  },
+  // Simulates the gateway charging a card and building the signed callback.
+  // Card 4000 0000 0000 0002 is declined, any other 12+ digit number succeeds.
+  charge(payment, cardNumber) {
+    const digits = String(cardNumber || '').replace(/\D/g, '');
+    const ok = digits.length >= 12 && digits !== '4000000000000002';
+    const raw = JSON.stringify({
+      id: 'evt_mock_' + crypto.randomBytes(12).toString('hex'),
+      type: ok ? 'payment.succeeded' : 'payment.failed',
+      data: { intent_id: payment.intent_id, amount: payment.amount_usd, currency: payment.currency }
+    });
+    return { raw, headers: { 'x-smm-signature': signWebhook(raw) } };
+  },
+  refund(payment, amount) {
+    return { id: 're_mock_' + crypto.randomBytes(12).toString('hex'), status: 'succeeded', amount };
+  }
+});
+
+// Re-using an idempotency key returns the intent created the first time
+function createPaymentIntent(order, idempotencyKey, providerName = defaultPaymentProvider()) {
+  if (idempotencyKey) {
+    const existing = db.prepare('SELECT * FROM payments WHERE idempotency_key=?').get(idempotencyKey);
+    if (existing) return existing;
+  }
+  const intent = paymentProvider(providerName).createIntent({ amount: order.amount_usd, currency: order.currency || 'USD', orderId: order.id, idempotencyKey });
+  db.prepare('INSERT INTO payments(order_id,provider,intent_id,idempotency_key,amount_usd,currency,status,redirect_url) VALUES (?,?,?,?,?,?,?,?)')
+    .run(order.id, providerName, intent.id, idempotencyKey || null, order.amount_usd, order.currency || 'USD', intent.status, intent.redirectUrl);
+  db.prepare('UPDATE orders SET payment_provider=?, payment_ref=? WHERE id=?').run(providerName, intent.id, order.id);
+  return db.prepare('SELECT * FROM payments WHERE intent_id=?').get(intent.id);
+}
+
+// Returns { status, error? } so the webhook route can answer the provider directly
+// Money captured for an order that can no longer be paid (cancelled or already paid while the
+// customer was on the gateway) goes back through the provider, or is flagged refund_due for staff.
+function returnUnappliedPayment(payment, amount) {
+  const order = db.prepare('SELECT id, status FROM orders WHERE id=?').get(payment.order_id);
+  if (!order) return;
+  const provider = paymentProviders[payment.provider];
+  const refund = provider && provider.refund ? provider.refund(payment, amount) : null;
+  const refunded = !!refund && refund.status === 'succeeded';
+  db.prepare("UPDATE payments SET status=?, updated_at=datetime('now') WHERE id=?").run(refunded ? 'refunded' : 'refund_due', payment.id);
+  recordOrderHistory(order.id, order.status, order.status,
+    `Payment ${payment.intent_id} captured ${currency(amount)} after the order was ${order.status}; ${refunded ? 'refunded' : 'refund due'}`);
+}
+
+function handlePaymentWebhook(providerName, raw, headers) {
+  const provider = paymentProviders[providerName];
+  if (!provider) return { status: 404, error: 'Unknown provider' };
+  if (!raw || !provider.verifyWebhook(raw, headers)) return { status: 400, error: 'Invalid signature' };
+  const evt = provider.parseEvent(raw);
+  if (!evt) return { status: 400, error: 'Malformed event' };
+  const fresh = db.prepare('INSERT OR IGNORE INTO payment_events(event_id,provider,type,payload) VALUES (?,?,?,?)').run(evt.id, providerName, evt.type, raw);
+  if (!fresh.changes) return { status: 200 };
+  const payment = db.prepare('SELECT * FROM payments WHERE provider=? AND intent_id=?').get(providerName, evt.intentId);
+  if (!payment) return { status: 200 };
+  // a success for some other amount is not a payment of this order; the event stays in payment_events for review
+  if (evt.type === 'payment.succeeded' && (!(Math.abs(evt.amount - payment.amount_usd) < 0.005) || String(evt.currency || '').toUpperCase() !== String(payment.currency || 'USD').toUpperCase())) {
+    console.error(`payment ${evt.intentId}: event amount ${evt.amount} ${evt.currency} does not match ${payment.amount_usd} ${payment.currency}`);
+    return { status: 400, error: 'Amount does not match the payment' };
+  }
+  db.transaction(() => {
+    if (evt.type === 'payment.succeeded') {
+      db.prepare("UPDATE payments SET status='succeeded', updated_at=datetime('now') WHERE id=?").run(payment.id);
+      const paid = setOrderStatus(payment.order_id, 'paid', { from: ['pending', 'declined'], reason: `Payment ${evt.intentId} succeeded`,
+        fields: { captured_usd: evt.amount, payment_ref: evt.intentId, paid_at: sqlNow() } });
+      if (paid) { activateSubscriptionForOrder(payment.order_id); notifyOrderPaid(payment.order_id); }
+      else returnUnappliedPayment(payment, evt.amount);
+    } else if (evt.type === 'payment.failed') {
+      db.prepare("UPDATE payments SET status='failed', updated_at=datetime('now') WHERE id=?").run(payment.id);
+      setOrderStatus(payment.order_id, 'declined', { from: ['pending'], reason: `Payment ${evt.intentId} failed` });
+    }
+  })();
+  return { status: 200 };
+}
+
+// -------------------------- Subscriptions --------------------------
+// A paid order starts (or renews) a subscription. runSubscriptionJobs() is the
+// scheduled job: at period end it either applies a requested cancellation or
+// raises a pending renewal order and marks the subscription past_due; past_due
+// subscriptions that are still unpaid when the grace period ends are expired.
+const SUBSCRIPTION_GRACE_DAYS = Number(process.env.SUBSCRIPTION_GRACE_DAYS || 7);
+
+function activateSubscriptionForOrder(orderId) {
+  const order = db.prepare('SELECT * FROM orders WHERE id=?').get(orderId);
+  const step = `+${findBillingPeriod(order.billing_period).months} months`;
+  const sub = order.subscription_id && db.prepare('SELECT * FROM subscriptions WHERE id=?').get(order.subscription_id);
+  if (sub && ['active', 'past_due'].includes(sub.status)) {
+    // renewal: the new term starts where the previous one ended
+    db.prepare(`UPDATE subscriptions SET status='active', grace_until=NULL, last_order_id=?, current_period_start=current_period_end,
+      current_period_end=datetime(current_period_end, ?), updated_at=datetime('now') WHERE id=?`).run(order.id, step, sub.id);
+    return sub.id;
+  }
+  if (sub) {
+    // a cancelled / expired subscription paid again starts a fresh term today, not at its stale end date
+    db.prepare(`UPDATE subscriptions SET status='active', grace_until=NULL, cancelled_at=NULL, cancel_at_period_end=0, last_order_id=?,
+      current_period_start=datetime('now'), current_period_end=datetime('now', ?), updated_at=datetime('now') WHERE id=?`).run(order.id, step, sub.id);
+    return sub.id;
+  }
+  const info = db.prepare(`INSERT INTO subscriptions(user_id,plan_id,billing_period,status,current_period_start,current_period_end,last_order_id)
+    VALUES (?,?,?,'active',datetime('now'),datetime('now', ?),?)`).run(order.user_id, order.plan_id, order.billing_period || 'monthly', step, order.id);
+  db.prepare('UPDATE orders SET subscription_id=? WHERE id=?').run(info.lastInsertRowid, order.id);
+  return info.lastInsertRowid;
+}
+
+function cancelOpenSubscriptionOrders(sub, reason) {
+  db.prepare("SELECT id FROM orders WHERE subscription_id=? AND status IN ('pending','declined')").all(sub.id)
+    .forEach(o => setOrderStatus(o.id, 'cancelled', { reason }));
+}
+
+function cancelSubscriptionNow(sub, reason = 'Subscription cancelled') {
+  db.prepare("UPDATE subscriptions SET status='cancelled', cancelled_at=datetime('now'), grace_until=NULL, updated_at=datetime('now') WHERE id=?").run(sub.id);
+  cancelOpenSubscriptionOrders(sub, reason);
+}
+
+function runSubscriptionJobs() {
+  const summary = { renewals: 0, cancelled: 0, expired: 0 };
+  db.transaction(() => {
+    const ending = db.prepare("SELECT * FROM subscriptions WHERE status='active' AND current_period_end <= datetime('now')").all();
+    for (const sub of ending) {
+      if (sub.cancel_at_period_end) { cancelSubscriptionNow(sub, 'Cancelled at period end'); summary.cancelled++; continue; }
+      const plan = db.prepare('SELECT * FROM plans WHERE id=?').get(sub.plan_id);
+      const last = db.prepare('SELECT ig_username FROM orders WHERE id=?').get(sub.last_order_id) || {};
+      const pricing = planPrice(plan, findBillingPeriod(sub.billing_period));
+      createOrder({ user_id: sub.user_id, plan_id: sub.plan_id, ig_username: last.ig_username || '', notes: 'Automatic renewal',
+        billing_period: pricing.period, amount_usd: pricing.total, subscription_id: sub.id }, 'Renewal raised');
+      db.prepare("UPDATE subscriptions SET status='past_due', grace_until=datetime(current_period_end, ?), updated_at=datetime('now') WHERE id=?")
+        .run(`+${SUBSCRIPTION_GRACE_DAYS} days`, sub.id);
+      summary.renewals++;
+    }
+    const lapsed = db.prepare("SELECT * FROM subscriptions WHERE status='past_due' AND grace_until <= datetime('now')").all();
+    for (const sub of lapsed) {
+      db.prepare("UPDATE subscriptions SET status='expired', updated_at=datetime('now') WHERE id=?").run(sub.id);
+      cancelOpenSubscriptionOrders(sub, 'Grace period ended unpaid');
+      summary.expired++;
+    }
+  })();
+  return summary;
+}
+
+// Service continues while active, or while past_due inside the grace period
+function hasActiveService(userId) {
+  return !!db.prepare("SELECT 1 FROM subscriptions WHERE user_id=? AND (status='active' OR (status='past_due' AND grace_until > datetime('now')))").get(userId);
+}
+
+// -------------------------- Mail --------------------------
+// queueMail() stores a rendered message in mail_queue and delivers it in the
+// background; failed deliveries are retried by processMailQueue() with backoff.
+// Transports: outbox (writes .eml files), smtp (plain SMTP, e.g. smtp-standin.js), memory (tests).
+const MAIL_FROM = process.env.MAIL_FROM || `${APP_TITLE} <hello@smmmatrix.com>`;
+const MAIL_SUPPORT_TO = process.env.MAIL_SUPPORT_TO || '';
+// outside the app directory: deploys (Vercel) can't write there and .eml files hold live reset / verify links
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(require('os').tmpdir(), 'smm-matrix-outbox');
+const MAIL_MAX_ATTEMPTS = 5;
+const MAIL_RETRY_MINUTES = [1, 5, 30, 120];
+const BASE_URL = (process.env.BASE_URL || `http://127.0.0.1:${process.env.PORT || 3000}`).replace(/\/$/, '');
+
+// Markdown bodies: the text part is the markdown itself, the HTML part is marked's output.
+// Anything a user typed goes through mdText so it renders as literal text, never as links or HTML.
+const MD_PUNCT = /[!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~]/g;
+function mdText(s) { return String(s ?? '').replace(MD_PUNCT, '\\$&'); }
+function mdQuote(s) { return '> ' + mdText(s).split(/\r?\n/).join('\n> '); }
+const mailTemplates = {
+  welcome: ({ name, url, hours }) => ({
+    subject: `Welcome to ${APP_TITLE}`,
+    body: `Hi ${mdText(name || 'there')},\n\nThanks for creating your ${APP_TITLE} account. Please confirm your email address: [${url}](${url}) (valid for ${hours} hours).\n\nPick a plan any time at [${BASE_URL}/pricing](${BASE_URL}/pricing) and our team will build your growth strategy.\n\n— The ${APP_TITLE} team`
+  }),
+  verify_email: ({ name, url, hours }) => ({
+    subject: `Confirm your ${APP_TITLE} email address`,
+    body: `Hi ${mdText(name || 'there')},\n\nConfirm this address for your ${APP_TITLE} account: [${url}](${url})\n\nThe link is valid for ${hours} hours.`
+  }),
+  order_received: ({ order, plan }) => ({
+    subject: `Order #${order.id} received`,
+    body: `We received your order **#${order.id}** for the **${plan}** (${currency(order.amount_usd)}, ${order.billing_period}).\n\nComplete the payment at [${BASE_URL}/checkout/confirm/${order.id}](${BASE_URL}/checkout/confirm/${order.id}).`
+  }),
+  payment_confirmed: ({ order, plan }) => ({
+    subject: `Payment confirmed for order #${order.id}`,
+    body: `Thanks! We captured **${currency(order.captured_usd)}** for your **${plan}** order #${order.id}. Your growth campaign starts within 24 hours.\n\nTrack progress in [your account](${BASE_URL}/account).`
+  }),
+  ticket_received: ({ ticket }) => ({
+    subject: `We got your message: ${ticket.subject || 'Support request'}`,
+    body: `Thanks for reaching out — ticket **#${ticket.id}** is in our queue and we reply within 24 hours.\n\n${mdQuote(ticket.message)}`
+  }),
+  ticket_reply: ({ ticket, reply }) => ({
+    subject: `Re: ${ticket.subject || `Ticket #${ticket.id}`}`,
+    body: `Our support team replied to ticket **#${ticket.id}**:\n\n${mdQuote(reply)}\n\n${ticket.user_id ? `Reply from [your account](${BASE_URL}/account/tickets/${ticket.id}).` : 'Just reply to this email to continue the conversation.'}`
+  }),
+  staff_new_ticket: ({ ticket }) => ({
+    subject: `New ticket #${ticket.id}: ${ticket.subject || ''}`,
+    body: `From ${mdText(ticket.email || 'unknown')}:\n\n${mdQuote(ticket.message)}\n\n[Open in the inbox](${BASE_URL}/staff/tickets/${ticket.id})`
+  }),
+  subscribe_confirm: ({ url }) => ({
+    subject: `Confirm your ${APP_TITLE} subscription`,
+    body: `Please confirm you want our weekly marketing tips: [${url}](${url})\n\nIf you did not sign up, ignore this email and you will not hear from us again.`
+  }),
+  newsletter: ({ subject, markdown, unsubscribeUrl }) => ({
+    subject,
+    body: `${markdown}\n\n---\n\nYou receive this because you subscribed to ${APP_TITLE} updates. [Unsubscribe](${unsubscribeUrl}) with one click.`
+  }),
+  account_locked: ({ name, minutes }) => ({
+    subject: `Your ${APP_TITLE} account was locked`,
+    body: `Hi ${mdText(name || 'there')},\n\nWe saw too many failed sign-in attempts on your account, so we locked it for ${minutes} minutes.\n\nIf this was you, wait and try again or [reset your password](${BASE_URL}/forgot). If it wasn't, resetting your password now is a good idea.`
+  }),
+  password_reset: ({ name, url, minutes }) => ({
+    subject: `Reset your ${APP_TITLE} password`,
+    body: `Hi ${mdText(name || 'there')},\n\nUse this link to choose a new password: [${url}](${url})\n\nIt expires in ${minutes} minutes and works once. If you did not ask for this, you can ignore this email.`
+  })
+};
+
+function renderMail(template, data) {
+  const t = mailTemplates[template];
+  if (!t) throw new Error(`Unknown mail template: ${template}`);
+  const { subject, body } = t(data);
+  const html = `<div style="font-family:Arial,sans-serif;max-width:560px;margin:auto;color:#0f172a">${marked.parse(body)}<hr><p style="font-size:12px;color:#64748b">${APP_TITLE} • London • New York • Singapore</p></div>`;
+  return { subject: String(subject).replace(/\s+/g, ' ').trim(), text: body.replace(/\\([!-\/:-@[-`{-~])/g, '$1'), html };
+}
+
+// Header values must stay on one line: a CR/LF would let the value start new headers
+function headerLine(name, value) {
+  if (/[\r\n]/.test(name) || /[\r\n]/.test(value)) throw new Error(`Line break in mail header ${JSON.stringify(String(name))}`);
+  return `${name}: ${value}`;
+}
+
+// RFC 5322 message with text + html alternatives (base64 bodies, UTF-8 subject)
+function buildMimeMessage({ from, to, subject, text, html, headers = {} }) {
+  if (!normalizeEmail(to)) throw new Error(`Invalid recipient address: ${JSON.stringify(String(to))}`);
+  const b64 = s => Buffer.from(s, 'utf8').toString('base64').replace(/.{76}(?=.)/g, '$&\r\n');
+  const boundary = 'smm_' + crypto.randomBytes(12).toString('hex');
+  const encSubject = /^[\x20-\x7e]*$/.test(subject) ? subject : `=?UTF-8?B?${Buffer.from(subject, 'utf8').toString('base64')}?=`;
+  return [
+    headerLine('From', from), headerLine('To', to), headerLine('Subject', encSubject), `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@smm-matrix>`, 'MIME-Version: 1.0',
+    ...Object.entries(headers).map(([k, v]) => headerLine(k, v)),
+    `Content-Type: multipart/alternative; boundary="${boundary}"`, '',
+    `--${boundary}`, 'Content-Type: text/plain; charset=utf-8', 'Content-Transfer-Encoding: base64', '', b64(text),
+    `--${boundary}`, 'Content-Type: text/html; charset=utf-8', 'Content-Transfer-Encoding: base64', '', b64(html),
+    `--${boundary}--`, ''
+  ].join('\r\n');
+}
+
+// Minimal SMTP client: EHLO, optional AUTH PLAIN, MAIL/RCPT/DATA. No TLS — meant for local relays.
+function smtpSend({ host, port, user, pass, from, to, raw }) {
+  return new Promise((resolve, reject) => {
+    const addr = s => (String(s).match(/<([^>]+)>/) || [null, s])[1];
+    const steps = [[220, `EHLO ${require('os').hostname()}`]];
+    if (user) steps.push([250, `AUTH PLAIN ${Buffer.from(`\0${user}\0${pass || ''}`).toString('base64')}`]);
+    steps.push([user ? 235 : 250, `MAIL FROM:<${addr(from)}>`], [250, `RCPT TO:<${addr(to)}>`], [250, 'DATA'],
+      [354, raw.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..') + '\r\n.'], [250, 'QUIT']);
+    const socket = require('net').createConnection({ host, port });
+    let buffer = '', step = 0, done = false;
+    const finish = err => { if (done) return; done = true; socket.destroy(); err ? reject(err) : resolve(); };
+    socket.setTimeout(15000, () => finish(new Error('SMTP timeout')));
+    socket.on('error', finish);
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      let nl;
+      while ((nl = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, nl).replace(/\r$/, ''); buffer = buffer.slice(nl + 1);
+        if (line[3] === '-') continue; // multi-line reply continues
+        const code = Number(line.slice(0, 3));
+        if (step >= steps.length) return finish();
+        const [expect, command] = steps[step++];
+        if (code !== expect) return finish(new Error(`SMTP ${line}`));
+        socket.write(command + '\r\n');
+      }
+    });
   });
 }
-initDb();
+
+const mailTransports = {
+  outbox: async (msg) => {
+    const fs = require('fs');
+    fs.mkdirSync(MAIL_OUTBOX_DIR, { recursive: true });
+    fs.writeFileSync(path.join(MAIL_OUTBOX_DIR, `${Date.now()}-${msg.id}-${msg.template}.eml`), msg.raw);
+  },
+  smtp: (msg) => smtpSend({
+    host: process.env.SMTP_HOST || '127.0.0.1', port: Number(process.env.SMTP_PORT || 2525),
+    user: process.env.SMTP_USER, pass: process.env.SMTP_PASS, from: msg.from, to: msg.to, raw: msg.raw
+  }),
+  memory: async (msg) => { mailTransports.memory.sent.push(msg); }
+};
+mailTransports.memory.sent = [];
+
+function mailTransport() {
+  const name = process.env.MAIL_TRANSPORT || 'outbox';
+  if (!mailTransports[name]) throw new Error(`Unknown mail transport: ${name}`);
+  return mailTransports[name];
+}
+
+// Renders and queues a message; delivery starts after the current request work.
+// Returns null (nothing queued) when the address is missing or not a plain mailbox.
+function queueMail(to, template, data = {}, headers = {}) {
+  const email = normalizeEmail(to);
+  if (!email) return null;
+  const { subject, text, html } = renderMail(template, data);
+  const info = db.prepare('INSERT INTO mail_queue(to_email,template,subject,text,html,headers) VALUES (?,?,?,?,?,?)')
+    .run(email, template, subject, text, html, JSON.stringify(headers));
+  setImmediate(() => deliverMail(info.lastInsertRowid).catch(() => {}));
+  return info.lastInsertRowid;
+}
+
+async function deliverMail(id) {
+  const row = db.prepare("SELECT * FROM mail_queue WHERE id=? AND status='queued'").get(id);
+  if (!row) return false;
+  try {
+    const raw = buildMimeMessage({ from: MAIL_FROM, to: row.to_email, subject: row.subject, text: row.text, html: row.html, headers: JSON.parse(row.headers || '{}') });
+    await mailTransport()({ id: row.id, template: row.template, from: MAIL_FROM, to: row.to_email, subject: row.subject, raw });
+    db.prepare("UPDATE mail_queue SET status='sent', attempts=attempts+1, sent_at=datetime('now'), last_error=NULL WHERE id=?").run(row.id);
+    return true;
+  } catch (e) {
+    const attempts = row.attempts + 1;
+    const delay = MAIL_RETRY_MINUTES[Math.min(attempts, MAIL_RETRY_MINUTES.length) - 1];
+    db.prepare("UPDATE mail_queue SET attempts=?, last_error=?, status=?, next_attempt_at=datetime('now', ?) WHERE id=?")
+      .run(attempts, String(e.message || e), attempts >= MAIL_MAX_ATTEMPTS ? 'failed' : 'queued', `+${delay} minutes`, row.id);
+    return false;
+  }
+}
+
+async function processMailQueue(limit = 50) {
+  const due = db.prepare("SELECT id FROM mail_queue WHERE status='queued' AND (next_attempt_at IS NULL OR next_attempt_at <= datetime('now')) ORDER BY id LIMIT ?").all(limit);
+  let sent = 0;
+  for (const { id } of due) { if (await deliverMail(id)) sent++; }
+  return { attempted: due.length, sent };
+}
+
+// -------------------------- Newsletter --------------------------
+// Campaigns go out through queueMail(); campaign_recipients keeps the mail_queue
+// id per address so delivery status can be read back from the queue.
+const CAMPAIGN_STATUSES = ['draft', 'scheduled', 'sending', 'sent'];
+
+function unsubscribeToken(email) {
+  return crypto.createHmac('sha256', process.env.SMM_SECRET || 'devsecret').update(`unsubscribe:${String(email).toLowerCase()}`).digest('hex').slice(0, 32);
+}
+function unsubscribeUrl(email) {
+  return `${BASE_URL}/unsubscribe?e=${encodeURIComponent(String(email).toLowerCase())}&t=${unsubscribeToken(email)}`;
+}
+function verifyUnsubscribeToken(email, token) {
+  const expected = Buffer.from(unsubscribeToken(email));
+  const given = Buffer.from(String(token || ''));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+// The one place newsletter consent changes: keeps subscribers and users.unsubscribed in step
+function setNewsletterOptOut(email, optedOut) {
+  email = String(email).toLowerCase();
+  db.prepare('UPDATE users SET unsubscribed=? WHERE lower(email)=?').run(optedOut ? 1 : 0, email);
+  if (optedOut) {
+    db.prepare("UPDATE subscribers SET status='unsubscribed', unsubscribed_at=datetime('now'), confirm_token=NULL WHERE email=? AND status!='unsubscribed'").run(email);
+  } else {
+    db.prepare("UPDATE subscribers SET status='confirmed', confirmed_at=COALESCE(confirmed_at, datetime('now')), unsubscribed_at=NULL, confirm_token=NULL WHERE email=?").run(email);
+  }
+}
+function unsubscribeEmail(email) { setNewsletterOptOut(email, true); }
+
+// Double opt-in: (re)issues a confirmation token unless the address is already confirmed
+function requestSubscription(email) {
+  const row = db.prepare('SELECT * FROM subscribers WHERE email=?').get(email);
+  if (row && row.status === 'confirmed') return row;
+  const token = crypto.randomBytes(24).toString('hex');
+  db.prepare(`INSERT INTO subscribers(email,status,confirm_token,source) VALUES (?,?,?,'form')
+    ON CONFLICT(email) DO UPDATE SET status='pending', confirm_token=excluded.confirm_token`).run(email, 'pending', token);
+  queueMail(email, 'subscribe_confirm', { url: `${BASE_URL}/subscribe/confirm?token=${token}` });
+  return db.prepare('SELECT * FROM subscribers WHERE email=?').get(email);
+}
+function confirmSubscription(token) {
+  const row = token ? db.prepare("SELECT * FROM subscribers WHERE confirm_token=? AND status='pending'").get(String(token)) : null;
+  if (!row) return null;
+  setNewsletterOptOut(row.email, false);
+  return row;
+}
+
+// Confirmed subscribers plus customer accounts, minus anyone who opted out on either side
+function newsletterAudience() {
+  return db.prepare(`
+    SELECT email FROM subscribers WHERE status='confirmed'
+    UNION SELECT lower(email) FROM users WHERE role='user' AND unsubscribed=0 AND deleted_at IS NULL
+    EXCEPT SELECT lower(email) FROM users WHERE unsubscribed=1
+    EXCEPT SELECT email FROM subscribers WHERE status='unsubscribed'
+    ORDER BY 1`).all().map(r => r.email);
+}
+
+// CSV import: `email[,status]` rows (header optional). Imported addresses count as confirmed
+// unless the file says otherwise; an existing opt-out is never overridden.
+function importSubscribers(csvText) {
+  const result = { added: 0, updated: 0, invalid: [], keptOptOut: 0 };
+  let rows = parseCsv(csvText);
+  const header = rows[0] ? rows[0].map(h => h.trim().toLowerCase()) : [];
+  const emailCol = Math.max(0, header.indexOf('email'));
+  const statusCol = header.indexOf('status');
+  if (header.includes('email')) rows = rows.slice(1);
+  db.transaction(() => {
+    for (const row of rows) {
+      const email = normalizeEmail(row[emailCol]);
+      if (!email) { result.invalid.push(String(row[emailCol] || '').trim()); continue; }
+      const wanted = statusCol >= 0 && ['pending','confirmed','unsubscribed'].includes(String(row[statusCol]||'').trim().toLowerCase()) ? String(row[statusCol]).trim().toLowerCase() : 'confirmed';
+      const existing = db.prepare('SELECT * FROM subscribers WHERE email=?').get(email);
+      const optedOut = (existing && existing.status === 'unsubscribed') || db.prepare('SELECT 1 FROM users WHERE lower(email)=? AND unsubscribed=1').get(email);
+      if (optedOut && wanted !== 'unsubscribed') { result.keptOptOut++; continue; }
+      if (existing && (existing.status === wanted || (existing.status === 'confirmed' && wanted === 'pending'))) continue;
+      if (!existing) db.prepare("INSERT INTO subscribers(email,status,source) VALUES (?,'pending','import')").run(email);
+      result[existing ? 'updated' : 'added']++;
+      // pending rows get the normal confirmation mail
+      if (wanted === 'pending') requestSubscription(email);
+      else setNewsletterOptOut(email, wanted === 'unsubscribed');
+    }
+  })();
+  return result;
+}
+
+// Markdown actually sent: the campaign body plus the latest posts when requested
+function campaignMarkdown(campaign) {
+  if (!campaign.include_posts) return campaign.body;
+  const posts = db.prepare('SELECT id,title,excerpt FROM posts ORDER BY created_at DESC, id DESC LIMIT ?').all(campaign.include_posts);
+  if (!posts.length) return campaign.body;
+  return `${campaign.body}\n\n## From the blog\n\n${posts.map(p => `- [${p.title}](${BASE_URL}/blog/${p.id})${p.excerpt ? ` — ${p.excerpt}` : ''}`).join('\n')}`;
+}
+function renderCampaign(campaign, email) {
+  return renderMail('newsletter', { subject: campaign.subject, markdown: campaignMarkdown(campaign), unsubscribeUrl: unsubscribeUrl(email) });
+}
+function queueCampaignMail(campaign, email) {
+  const url = unsubscribeUrl(email);
+  return queueMail(email, 'newsletter', { subject: campaign.subject, markdown: campaignMarkdown(campaign), unsubscribeUrl: url },
+    { 'List-Unsubscribe': `<${url}>`, 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' });
+}
+
+// One transaction: if queueing fails part-way the campaign is back to draft / scheduled with
+// no recipients and no queued mail, instead of stuck in 'sending' with half the list mailed
+const sendCampaign = db.transaction(campaignId => {
+  // claim the campaign first so a cron run and a manual send can't both mail the list
+  const claimed = db.prepare("UPDATE campaigns SET status='sending' WHERE id=? AND status IN ('draft','scheduled')").run(campaignId);
+  if (!claimed.changes) return null;
+  const campaign = db.prepare('SELECT * FROM campaigns WHERE id=?').get(campaignId);
+  const audience = newsletterAudience();
+  const addRecipient = db.prepare('INSERT OR IGNORE INTO campaign_recipients(campaign_id,email) VALUES (?,?)');
+  const setMail = db.prepare('UPDATE campaign_recipients SET mail_id=? WHERE campaign_id=? AND email=?');
+  for (const email of audience) {
+    if (!addRecipient.run(campaign.id, email).changes) continue;
+    setMail.run(queueCampaignMail(campaign, email), campaign.id, email);
+  }
+  db.prepare("UPDATE campaigns SET status='sent', sent_at=datetime('now'), recipient_count=? WHERE id=?").run(audience.length, campaign.id);
+  return audience.length;
+});
+
+function runScheduledCampaigns() {
+  const due = db.prepare("SELECT id FROM campaigns WHERE status='scheduled' AND scheduled_at <= datetime('now')").all();
+  return due.map(c => ({ id: c.id, recipients: sendCampaign(c.id) }));
+}
+
+// -------------------------- Account tokens --------------------------
+// Single-use links (password reset, email verification). Only sha256(token) is stored.
+const AUTH_TOKEN_TTL_MINUTES = { reset: 60, verify: 48 * 60 };
+
+function issueAuthToken(userId, purpose) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  db.prepare("UPDATE auth_tokens SET used_at=datetime('now') WHERE user_id=? AND purpose=? AND used_at IS NULL").run(userId, purpose);
+  db.prepare("INSERT INTO auth_tokens(user_id,purpose,token_hash,expires_at) VALUES (?,?,?,datetime('now', ?))")
+    .run(userId, purpose, sha256(token), `+${AUTH_TOKEN_TTL_MINUTES[purpose]} minutes`);
+  return token;
+}
+function findAuthToken(token, purpose) {
+  return db.prepare("SELECT * FROM auth_tokens WHERE token_hash=? AND purpose=? AND used_at IS NULL AND expires_at > datetime('now')").get(sha256(token), purpose) || null;
+}
+// Marks the token used; null when it was invalid, expired or already spent
+function consumeAuthToken(token, purpose) {
+  const row = findAuthToken(token, purpose);
+  if (!row) return null;
+  const claimed = db.prepare("UPDATE auth_tokens SET used_at=datetime('now') WHERE id=? AND used_at IS NULL").run(row.id);
+  return claimed.changes ? row : null;
+}
+// Avoids mail bombing: one fresh link per purpose per minute
+function recentAuthToken(userId, purpose) {
+  return db.prepare("SELECT 1 FROM auth_tokens WHERE user_id=? AND purpose=? AND created_at > datetime('now','-1 minute')").get(userId, purpose);
+}
+
+function sendVerificationEmail(user, template = 'verify_email') {
+  const url = `${BASE_URL}/verify/${issueAuthToken(user.id, 'verify')}`;
+  queueMail(user.email, template, { name: user.name, url, hours: AUTH_TOKEN_TTL_MINUTES.verify / 60 });
+}
+function sendPasswordReset(user) {
+  const url = `${BASE_URL}/reset/${issueAuthToken(user.id, 'reset')}`;
+  queueMail(user.email, 'password_reset', { name: user.name, url, minutes: AUTH_TOKEN_TTL_MINUTES.reset });
+}
+
+// -------------------------- Two-factor auth --------------------------
+// RFC 6238 TOTP (SHA-1, 6 digits, 30 s) with single-use backup codes. Enrollment keeps
+// the unconfirmed secret in users.totp_pending_secret until the first valid code.
+const TOTP_STEP_SECONDS = 30;
+const TOTP_WINDOW = 1; // accept one step of clock drift either way
+const BACKUP_CODE_COUNT = 10;
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buf) {
+  let bits = '', out = '';
+  for (const byte of buf) bits += byte.toString(2).padStart(8, '0');
+  for (let i = 0; i < bits.length; i += 5) out += BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  return out;
+}
+function base32Decode(str) {
+  const bits = String(str).toUpperCase().replace(/[^A-Z2-7]/g, '').split('').map(c => BASE32.indexOf(c).toString(2).padStart(5, '0')).join('');
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+}
+function hotp(secret, counter) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const mac = crypto.createHmac('sha1', base32Decode(secret)).update(msg).digest();
+  const offset = mac[mac.length - 1] & 0xf;
+  return String((mac.readUInt32BE(offset) & 0x7fffffff) % 1e6).padStart(6, '0');
+}
+function totpStep(time = Date.now()) { return Math.floor(time / 1000 / TOTP_STEP_SECONDS); }
+// Returns the matching time step (so callers can refuse replays), or null
+function verifyTotp(secret, code, time = Date.now()) {
+  code = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(code)) return null;
+  const now = totpStep(time);
+  for (let step = now - TOTP_WINDOW; step <= now + TOTP_WINDOW; step++) {
+    if (crypto.timingSafeEqual(Buffer.from(hotp(secret, step)), Buffer.from(code))) return step;
+  }
+  return null;
+}
+function totpUri(user, secret) {
+  const label = encodeURIComponent(`${APP_TITLE}:${user.email}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(APP_TITLE)}&algorithm=SHA1&digits=6&period=${TOTP_STEP_SECONDS}`;
+}
+
+// Plain codes (xxxxx-xxxxx) are shown once; only their hashes are kept
+function generateBackupCodes(userId) {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => crypto.randomBytes(5).toString('hex').replace(/(.{5})/, '$1-'));
+  db.prepare('UPDATE users SET totp_backup_codes=? WHERE id=?').run(JSON.stringify(codes.map(c => sha256(c))), userId);
+  return codes;
+}
+function remainingBackupCodes(user) { return JSON.parse(user.totp_backup_codes || '[]').length; }
+// Typed codes may drop the dash or add spaces; back to the stored xxxxx-xxxxx form
+function normalizeBackupCode(input) {
+  const hex = String(input || '').toLowerCase().replace(/[\s-]/g, '');
+  return /^[0-9a-f]{10}$/.test(hex) ? `${hex.slice(0, 5)}-${hex.slice(5)}` : null;
+}
+
+// Second factor check for an enrolled user: a fresh TOTP code or an unused backup code
+function verifySecondFactor(user, input) {
+  const value = String(input || '').trim().toLowerCase();
+  const step = verifyTotp(user.totp_secret, value);
+  if (step != null) {
+    // claim the step in the UPDATE itself so two submissions of one code cannot both pass
+    const claimed = db.prepare('UPDATE users SET totp_last_step=? WHERE id=? AND (totp_last_step IS NULL OR totp_last_step < ?)').run(step, user.id, step);
+    if (claimed.changes === 0) return { ok: false, error: 'That code was already used — wait for the next one' };
+    return { ok: true };
+  }
+  const hashes = JSON.parse(user.totp_backup_codes || '[]');
+  const backupCode = normalizeBackupCode(value);
+  const idx = backupCode ? hashes.indexOf(sha256(backupCode)) : -1;
+  if (idx === -1) return { ok: false, error: 'Invalid code' };
+  hashes.splice(idx, 1);
+  // same for backup codes: only the list the code was found in may be replaced
+  const spent = db.prepare('UPDATE users SET totp_backup_codes=? WHERE id=? AND totp_backup_codes IS ?').run(JSON.stringify(hashes), user.id, user.totp_backup_codes);
+  if (spent.changes === 0) return { ok: false, error: 'Invalid code' };
+  return { ok: true, usedBackup: true, remaining: hashes.length };
+}
+
+// Admin policy (app_settings.require_2fa_roles): roles that must enroll before using the app
+function twoFactorRequiredRoles() { return JSON.parse(getSetting('require_2fa_roles', '[]')); }
+function twoFactorRequired(user) { return !!user && twoFactorRequiredRoles().includes(user.role); }
+
+// -------------------------- Login throttling --------------------------
+// Every sign-in attempt lands in login_attempts. Failures since the account's last
+// success (or admin unlock) slow further tries down exponentially and eventually lock
+// the account; an IP with too many failures in the window is refused outright.
+const LOGIN_THROTTLE = {
+  windowMinutes: 15,    // failures older than this are forgotten
+  freeFailures: 3,      // no delay for the first few typos
+  maxDelaySeconds: 300,
+  lockAfter: 10,        // failures that lock the account...
+  lockMinutes: 30,      // ...for this long (or until an admin unlocks it)
+  ipMaxFailures: 50
+};
+// Throttling only looks back windowMinutes; older rows are kept this long for /admin/logins, then pruned
+const LOGIN_ATTEMPT_RETENTION_DAYS = Number(process.env.LOGIN_ATTEMPT_RETENTION_DAYS || 90);
+
+function recordLoginAttempt(req, { email, userId = null, success, reason = null }) {
+  db.prepare('INSERT INTO login_attempts(email,user_id,ip,user_agent,success,reason) VALUES (?,?,?,?,?,?)')
+    .run(String(email || '').toLowerCase(), userId, req.ip || '', String(req.get('user-agent') || '').slice(0, 300), success ? 1 : 0, reason);
+}
+
+function accountFailures(email) {
+  const since = db.prepare(`SELECT MAX(t) t FROM (
+      SELECT datetime('now', ?) t
+      UNION ALL SELECT MAX(created_at) FROM login_attempts WHERE email=? AND success=1
+      UNION ALL SELECT throttle_reset_at FROM users WHERE email=?)`).get(`-${LOGIN_THROTTLE.windowMinutes} minutes`, email, email).t;
+  return db.prepare("SELECT COUNT(*) c, MAX(created_at) last FROM login_attempts WHERE email=? AND success=0 AND reason NOT IN ('throttled','locked') AND created_at > ?").get(email, since);
+}
+function ipFailures(ip) {
+  return db.prepare("SELECT COUNT(*) c FROM login_attempts WHERE ip=? AND success=0 AND reason NOT IN ('throttled','locked') AND created_at > datetime('now', ?)").get(ip, `-${LOGIN_THROTTLE.windowMinutes} minutes`).c;
+}
+
+// Returns a message when this attempt must be refused before checking the password
+function loginThrottleError(req, email, user) {
+  if (user && user.locked_until && user.locked_until > sqlNow()) return { reason: 'locked', error: 'This account is temporarily locked after too many failed sign-ins. Reset your password or try again later.' };
+  if (ipFailures(req.ip || '') >= LOGIN_THROTTLE.ipMaxFailures) return { reason: 'throttled', error: `Too many failed sign-ins from your network — try again in ${LOGIN_THROTTLE.windowMinutes} minutes.` };
+  const { c, last } = accountFailures(email);
+  if (c < LOGIN_THROTTLE.freeFailures || !last) return null;
+  const delay = Math.min(2 ** (c - LOGIN_THROTTLE.freeFailures + 1), LOGIN_THROTTLE.maxDelaySeconds);
+  const wait = Math.ceil(delay - (Date.now() - Date.parse(last.replace(' ', 'T') + 'Z')) / 1000);
+  return wait > 0 ? { reason: 'throttled', error: `Too many attempts — try again in ${wait} seconds.` } : null;
+}
+
+// After a failure: lock the account (and tell its owner) once it crosses the limit
+function noteLoginFailure(user) {
+  if (!user || accountFailures(user.email).c < LOGIN_THROTTLE.lockAfter) return;
+  db.prepare("UPDATE users SET locked_until=datetime('now', ?) WHERE id=?").run(`+${LOGIN_THROTTLE.lockMinutes} minutes`, user.id);
+  queueMail(user.email, 'account_locked', { name: user.name, minutes: LOGIN_THROTTLE.lockMinutes });
+}
+
+function unlockAccount(userId) {
+  db.prepare("UPDATE users SET locked_until=NULL, throttle_reset_at=datetime('now') WHERE id=?").run(userId);
+}
+
+// Runs with the account purge (cron /cron/accounts, or the local interval)
+function pruneLoginAttempts(now = new Date()) {
+  const cutoff = sqlNow(new Date(now.getTime() - LOGIN_ATTEMPT_RETENTION_DAYS * DAY_MS));
+  return { attempts_pruned: db.prepare('DELETE FROM login_attempts WHERE created_at < ?').run(cutoff).changes };
+}
+
+// -------------------------- Account deletion --------------------------
+// Deleting an account only marks it (users.deleted_at): it can't sign in, drops out of staff lists
+// and the newsletter, and can be restored from /staff/trash. Once the retention window has passed
+// purgeDeletedAccounts() removes the row and the foreign keys cascade to everything it owns.
+const ACCOUNT_RETENTION_DAYS = Number(process.env.ACCOUNT_RETENTION_DAYS || 30);
+
+// Returns how many subscriptions were set to end (no renewals are billed while in the trash)
+function softDeleteUser(userId, actorId) {
+  return db.transaction(() => {
+    db.prepare("UPDATE users SET deleted_at=datetime('now'), deleted_by=? WHERE id=? AND deleted_at IS NULL").run(actorId, userId);
+    return db.prepare("UPDATE subscriptions SET cancel_at_period_end=1, updated_at=datetime('now') WHERE user_id=? AND status IN ('active','past_due') AND cancel_at_period_end=0").run(userId).changes;
+  })();
+}
+function restoreUser(userId) {
+  return db.prepare('UPDATE users SET deleted_at=NULL, deleted_by=NULL WHERE id=? AND deleted_at IS NOT NULL').run(userId).changes > 0;
+}
+function purgeUser(user, req = null, actor = null) {
+  db.transaction(() => {
+    db.prepare('DELETE FROM users WHERE id=? AND deleted_at IS NOT NULL').run(user.id);
+    audit(req, actor, 'user.purge', auditUser(user), { deleted_at: user.deleted_at }, null);
+  })();
+}
+function purgeDeletedAccounts(now = new Date()) {
+  const cutoff = sqlNow(new Date(now.getTime() - ACCOUNT_RETENTION_DAYS * 24 * 60 * 60 * 1000));
+  const due = db.prepare('SELECT id, email, deleted_at FROM users WHERE deleted_at IS NOT NULL AND deleted_at <= ?').all(cutoff);
+  due.forEach(u => purgeUser(u));
+  return { purged: due.length };
+}
 
 // -------------------------- Layout ---------------------------
 function layout({ title = 'Home', user, content, meta = {} }) {
@@ -451,7 +1863,7 @@ function layout({ title = 'Home', user, content, meta = {} }) {
         ${['/','/about','/faq','/blogs','/services','/contact','/pricing'].map(h=>`<a class="hover:text-purple-200 transition-colors" href="${h}">${h.replace('/','').toUpperCase()||'HOME'}</a>`).join('')}
       </div>
       <div class="flex gap-2">
-        ${user?`<a class='px-4 py-2 rounded-lg bg-white/20 hover:bg-white/30 transition-colors' href='${user.role==='admin'?'/dashboard':user.role==='staff'?'/staff':'/'}'>${user.role==='admin'?'Dashboard':user.role==='staff'?'Control Panel':'My Account'}</a><a class='px-4 py-2 rounded-lg bg-black/30 hover:bg-black/40 transition-colors' href='/logout'>Logout</a>`:`<a class='px-4 py-2 rounded-lg bg-black/30 hover:bg-black/40 transition-colors' href='/login'>Login</a>`}
+        ${user?`<a class='px-4 py-2 rounded-lg bg-white/20 hover:bg-white/30 transition-colors' href='${user.role==='admin'?'/dashboard':user.role==='staff'?'/staff':'/account'}'>${user.role==='admin'?'Dashboard':user.role==='staff'?'Control Panel':'My Account'}</a><a class='px-4 py-2 rounded-lg bg-black/30 hover:bg-black/40 transition-colors' href='/logout'>Logout</a>`:`<a class='px-4 py-2 rounded-lg bg-black/30 hover:bg-black/40 transition-colors' href='/login'>Login</a>`}
       </div>
     </div>
   </nav>
@@ -566,7 +1978,7 @@ function layout({ title = 'Home', user, content, meta = {} }) {
 // -------------------------- Views ---------------------------
 
 // Login / Signup
-function LoginView({ user, error }) {
+function LoginView({ user, error, message }) {
   return layout({ title: 'Login', user, content: `
 <section class="min-h-screen bg-gradient-to-br from-indigo-50 via-white to-purple-50 flex items-center justify-center py-12">
   <div class="max-w-md w-full mx-4">
@@ -576,7 +1988,8 @@ function LoginView({ user, error }) {
         <p class="text-gray-600 mt-2">Sign in to your SMM Matrix account</p>
       </div>
       ${error ? `<div class='mb-6 p-4 bg-red-50 border border-red-200 rounded-lg'><div class="text-sm font-medium text-red-700">${escapeHtml(error)}</div></div>` : ''}
-      <form method="post" class="space-y-4">
+      ${message ? `<div class='mb-6 p-4 bg-emerald-50 border border-emerald-200 rounded-lg'><div class="text-sm font-medium text-emerald-700">${escapeHtml(message)}</div></div>` : ''}
+      <form method="post" action="/login" class="space-y-4">
         <div>
           <label class="text-sm font-medium text-gray-700">Email</label>
           <input name="email" type="email" required class="w-full mt-1 px-4 py-2 rounded-xl border focus:ring-2 focus:ring-indigo-200" />
@@ -588,7 +2001,7 @@ function LoginView({ user, error }) {
         <button class="w-full px-4 py-3 rounded-xl bg-indigo-600 text-white font-bold btn-animated">Sign In</button>
       </form>
       <div class="text-center mt-4 text-sm text-gray-500">
-        No account? <a href="/signup" class="text-indigo-600 hover:underline">Create one</a>
+        No account? <a href="/signup" class="text-indigo-600 hover:underline">Create one</a> • <a href="/forgot" class="text-indigo-600 hover:underline">Forgot password?</a>
       </div>
     </div>
   </div>
@@ -608,6 +2021,7 @@ function SignupView({ user, error }) {
         <input name='email' type='email' placeholder='Email' class='w-full px-3 py-2 rounded-xl border' />
         <input name='instagram' placeholder='Instagram handle (optional)' class='w-full px-3 py-2 rounded-xl border' />
         <input name='password' type='password' placeholder='Password' class='w-full px-3 py-2 rounded-xl border' />
+        <div class='text-xs text-gray-500'>At least 10 characters, mixing letters with numbers or symbols.</div>
         <button class='w-full px-4 py-3 rounded-xl bg-indigo-600 text-white font-bold btn-animated'>Create</button>
       </form>
       <div class='text-xs text-gray-500 mt-3'>Created accounts are regular users. Admins create staff from admin/staff panel.</div>
@@ -617,8 +2031,102 @@ function SignupView({ user, error }) {
 ` });
 }
 
+// Small centered card used by the forgot / reset password pages
+function AuthCard({ user, title, error, message, body }) {
+  return layout({ title, user, content: `
+<section class="min-h-screen bg-gradient-to-br from-indigo-50 via-white to-purple-50 flex items-center justify-center py-12">
+  <div class="max-w-md w-full mx-4">
+    <div class="bg-white rounded-2xl shadow-xl p-8 border border-gray-100">
+      <h2 class='text-2xl font-bold text-gray-900 mb-4'>${escapeHtml(title)}</h2>
+      ${error ? `<div class='mb-4 p-3 bg-rose-50 border border-rose-100 text-rose-700 rounded'>${escapeHtml(error)}</div>` : ''}
+      ${message ? `<div class='mb-4 p-3 bg-emerald-50 border border-emerald-100 text-emerald-700 rounded'>${escapeHtml(message)}</div>` : ''}
+      ${body}
+    </div>
+  </div>
+</section>
+` });
+}
+
+function ForgotView({ user, error, message }) {
+  return AuthCard({ user, title: 'Forgot password', error, message, body: `
+      <form method='post' class='space-y-3'>
+        <p class='text-sm text-gray-600'>Enter your account email and we will send you a link to choose a new password.</p>
+        <input name='email' type='email' required placeholder='Email' class='w-full px-3 py-2 rounded-xl border' />
+        <button class='w-full px-4 py-3 rounded-xl bg-indigo-600 text-white font-bold'>Send reset link</button>
+      </form>
+      <div class='text-center mt-4 text-sm'><a href='/login' class='text-indigo-600 hover:underline'>Back to sign in</a></div>` });
+}
+
+function ResetView({ user, error }) {
+  return AuthCard({ user, title: 'Choose a new password', error, body: `
+      <form method='post' class='space-y-3'>
+        <input name='password' type='password' required placeholder='New password' class='w-full px-3 py-2 rounded-xl border' />
+        <div class='text-xs text-gray-500'>At least 10 characters, mixing letters with numbers or symbols.</div>
+        <input name='confirm' type='password' required placeholder='Repeat new password' class='w-full px-3 py-2 rounded-xl border' />
+        <button class='w-full px-4 py-3 rounded-xl bg-indigo-600 text-white font-bold'>Save password</button>
+      </form>` });
+}
+
+function TwoFactorLoginView({ error }) {
+  return AuthCard({ user: null, title: 'Two-factor authentication', error, body: `
+      <form method='post' action='/login/2fa' class='space-y-3'>
+        <p class='text-sm text-gray-600'>Enter the 6-digit code from your authenticator app, or one of your backup codes.</p>
+        <input name='code' required autofocus autocomplete='one-time-code' inputmode='numeric' placeholder='123456' class='w-full px-3 py-2 rounded-xl border text-center tracking-widest text-lg' />
+        <button class='w-full px-4 py-3 rounded-xl bg-indigo-600 text-white font-bold'>Verify</button>
+      </form>
+      <div class='text-center mt-4 text-sm'><a href='/logout' class='text-indigo-600 hover:underline'>Cancel</a></div>` });
+}
+
+// Enrollment / management page for the signed-in user
+function TwoFactorView({ user, required, secret, uri, backupCodes, next, error, message }) {
+  const enabled = !!user.totp_enabled_at;
+  return layout({ title: 'Two-factor authentication', user, content: `
+<section class='max-w-3xl mx-auto px-4 py-10'>
+  <h2 class='text-2xl font-bold'>Two-factor authentication</h2>
+  ${required && !enabled ? `<div class='mt-4 p-3 bg-amber-50 border border-amber-100 text-amber-800 rounded'>Your role requires two-factor authentication. Set it up to continue.</div>` : ''}
+  ${error ? `<div class='mt-4 p-3 bg-rose-50 border border-rose-100 text-rose-700 rounded'>${escapeHtml(error)}</div>` : ''}
+  ${message ? `<div class='mt-4 p-3 bg-emerald-50 border border-emerald-100 text-emerald-700 rounded'>${escapeHtml(message)}</div>` : ''}
+  ${backupCodes ? `
+  <div class='mt-6 bg-white border rounded-xl p-4'>
+    <h3 class='font-bold'>Backup codes</h3>
+    <p class='text-sm text-slate-600'>Each code works once if you lose your phone. Store them somewhere safe — they won't be shown again.</p>
+    <div class='grid grid-cols-2 gap-2 mt-3 font-mono'>${backupCodes.map(c=>`<div class='px-3 py-1 bg-slate-50 rounded'>${escapeHtml(c)}</div>`).join('')}</div>
+    ${next ? `<a href='${escapeHtml(next)}' class='inline-block mt-4 px-3 py-2 rounded bg-indigo-600 text-white'>I saved them — continue</a>` : ''}
+  </div>` : ''}
+  ${enabled ? `
+  <div class='mt-6 bg-white border rounded-xl p-4'>
+    <div>Status: <b class='text-emerald-700'>enabled</b> since ${escapeHtml(String(user.totp_enabled_at).slice(0,10))} • ${remainingBackupCodes(user)} backup codes left</div>
+    <form method='post' action='/account/2fa/backup_codes' class='flex gap-2 mt-4'>
+      <input name='code' required placeholder='Current code' class='px-3 py-2 rounded border' />
+      <button class='px-3 py-2 rounded bg-slate-800 text-white'>New backup codes</button>
+    </form>
+    ${required ? `<div class='text-sm text-slate-500 mt-4'>Your role requires two-factor authentication, so it can't be turned off.</div>` : `
+    <form method='post' action='/account/2fa/disable' class='flex gap-2 mt-4'>
+      <input name='code' required placeholder='Current code' class='px-3 py-2 rounded border' />
+      <button class='px-3 py-2 rounded bg-rose-600 text-white'>Turn off</button>
+    </form>`}
+  </div>` : `
+  <div class='mt-6 bg-white border rounded-xl p-4 grid md:grid-cols-2 gap-6'>
+    <div class='space-y-3'>
+      <div>
+        <div class='text-sm text-slate-600'>Setup key (time based, 6 digits)</div>
+        <div class='font-mono text-lg font-bold break-all'>${escapeHtml(secret.replace(/(.{4})/g, '$1 ').trim())}</div>
+      </div>
+      <a href='${escapeHtml(uri)}' class='inline-block px-3 py-2 rounded border text-indigo-700'>Open in authenticator app</a>
+      <div class='text-xs text-slate-500 break-all'>Setup link: <span class='font-mono'>${escapeHtml(uri)}</span></div>
+    </div>
+    <form method='post' action='/account/2fa/enable' class='space-y-3'>
+      <p class='text-sm text-slate-600'>Add the setup key to Google Authenticator, 1Password, Authy or any TOTP app (or open the link on your phone), then enter the 6-digit code it shows.</p>
+      <input name='code' required autocomplete='one-time-code' inputmode='numeric' placeholder='123456' class='w-full px-3 py-2 rounded border text-center tracking-widest' />
+      <button class='w-full px-3 py-2 rounded bg-indigo-600 text-white'>Enable two-factor</button>
+    </form>
+  </div>`}
+</section>
+` });
+}
+
 // Home view (improved)
-function HomeView({ user, plans, reviews, posts }) {
+function HomeView({ user, plans, periods, reviews, posts }) {
   const stats = { clients: 2847, projects: 15420, advisors: 156, years: 8 };
   const brands = [
     { name: 'Nike', logo: 'https://logo.clearbit.com/nike.com' },
@@ -709,164 +2217,7 @@ function HomeView({ user, plans, reviews, posts }) {
 </section>
 
 <!-- Pricing preview -->
-<section class="py-16 bg-gray-50">
-  <div class="max-w-7xl mx-auto px-4">
-    <div class="billing-toggle">
-      <div class="toggle-group">
-        <button class="toggle-btn active">Monthly</button>
-        <button class="toggle-btn">Quarterly</button>
-        <button class="toggle-btn">Yearly</button>
-      </div>
-    </div>
-    
-    <div class="pricing-grid">
-      ${plans.map((p,i)=> {
-        const features = JSON.parse(p.features);
-        const badges = ['kickoff-badge', 'growth-badge', 'advanced-badge'];
-        const badgeTexts = ['KICKOFF PLAN', 'GROWTH PLAN', 'ADVANCED PLAN'];
-        const descriptions = [
-          'Put your Instagram growth on autopilot. Perfect for personal accounts.',
-          'Organic Instagram growth designed to connect you with your ideal audience.',
-          'Advanced tools to drive conversion rates. Ideal for influencers and businesses.'
-        ];
-        const dailyRates = ['1.63', '2.30', '4.30'];
-        
-        return `
-        <div class="pricing-card ${i===1?'featured':''}">
-          ${i===1?'<div class="flame-icon">🔥</div>':''}
-          <div class="plan-badge ${badges[i]}">${badgeTexts[i]}</div>
-          <p class="plan-description">${descriptions[i]}</p>
-          
-          <div class="price">$${p.price_usd}<span class="price-period">/mo</span></div>
-          <div class="price-note">(only $${dailyRates[i]}/day)</div>
-          
-          <button class="cta-button" onclick="handleCheckout(${p.id})">
-            <span>Get Started Today</span>
-            <div class="cta-arrow">→</div>
-          </button>
-          
-          <ul class="features-list">
-            ${features.map(f=>`
-              <li class="feature-item">
-                <div class="feature-check"></div>
-                <span>${escapeHtml(f).replace(/(Real|Real & Organic)/g, '<strong>$1</strong>')}</span>
-                <div class="feature-info">?</div>
-              </li>
-            `).join('')}
-          </ul>
-        </div>`;
-      }).join('')}
-    </div>
-  </div>
-</section>
-</div>
-  </div>
-</section>
-
-<!-- Add this script right after the pricing section -->
-<script>
-  // Toggle functionality for homepage pricing
-  document.addEventListener('DOMContentLoaded', function() {
-    document.querySelectorAll('.toggle-btn').forEach(btn => {
-      btn.addEventListener('click', function() {
-        const active = document.querySelector('.toggle-btn.active');
-        if (active) active.classList.remove('active');
-        this.classList.add('active');
-        
-        // Update prices based on selection
-        const period = this.textContent;
-        const prices = document.querySelectorAll('.price');
-        const notes = document.querySelectorAll('.price-note');
-        
-        if (period === 'Quarterly') {
-          // 10% discount for quarterly
-          prices[0].innerHTML = '$44<span class="price-period">/mo</span>';
-          prices[1].innerHTML = '$62<span class="price-period">/mo</span>';
-          prices[2].innerHTML = '$116<span class="price-period">/mo</span>';
-          notes[0].textContent = '(only $1.47/day, billed quarterly)';
-          notes[1].textContent = '(only $2.07/day, billed quarterly)';
-          notes[2].textContent = '(only $3.87/day, billed quarterly)';
-        } else if (period === 'Yearly') {
-          // 20% discount for yearly
-          prices[0].innerHTML = '$39<span class="price-period">/mo</span>';
-          prices[1].innerHTML = '$55<span class="price-period">/mo</span>';
-          prices[2].innerHTML = '$103<span class="price-period">/mo</span>';
-          notes[0].textContent = '(only $1.30/day, billed annually)';
-          notes[1].textContent = '(only $1.83/day, billed annually)';
-          notes[2].textContent = '(only $3.43/day, billed annually)';
-        } else {
-          // Monthly (original prices)
-          prices[0].innerHTML = '$49<span class="price-period">/mo</span>';
-          prices[1].innerHTML = '$69<span class="price-period">/mo</span>';
-          prices[2].innerHTML = '$129<span class="price-period">/mo</span>';
-          notes[0].textContent = '(only $1.63/day)';
-          notes[1].textContent = '(only $2.30/day)';
-          notes[2].textContent = '(only $4.30/day)';
-        }
-      });
-    });
-  });
-</script>
-</div>
-  </div>
-  
-  <script>
-    // Toggle functionality for homepage pricing
-    document.addEventListener('DOMContentLoaded', function() {
-      document.querySelectorAll('.toggle-btn').forEach(btn => {
-        btn.addEventListener('click', function() {
-          const active = document.querySelector('.toggle-btn.active');
-          if (active) active.classList.remove('active');
-          this.classList.add('active');
-          
-          // Update prices based on selection
-          const period = this.textContent;
-          const prices = document.querySelectorAll('.price');
-          const notes = document.querySelectorAll('.price-note');
-          
-          if (period === 'Quarterly') {
-            prices[0].innerHTML = '$44<span class="price-period">/mo</span>';
-            prices[1].innerHTML = '$62<span class="price-period">/mo</span>';
-            prices[2].innerHTML = '$116<span class="price-period">/mo</span>';
-            notes[0].textContent = '(only $1.47/day, billed quarterly)';
-            notes[1].textContent = '(only $2.07/day, billed quarterly)';
-            notes[2].textContent = '(only $3.87/day, billed quarterly)';
-          } else if (period === 'Yearly') {
-            prices[0].innerHTML = '$39<span class="price-period">/mo</span>';
-            prices[1].innerHTML = '$55<span class="price-period">/mo</span>';
-            prices[2].innerHTML = '$103<span class="price-period">/mo</span>';
-            notes[0].textContent = '(only $1.30/day, billed annually)';
-            notes[1].textContent = '(only $1.83/day, billed annually)';
-            notes[2].textContent = '(only $3.43/day, billed annually)';
-          } else {
-            prices[0].innerHTML = '$49<span class="price-period">/mo</span>';
-            prices[1].innerHTML = '$69<span class="price-period">/mo</span>';
-            prices[2].innerHTML = '$129<span class="price-period">/mo</span>';
-            notes[0].textContent = '(only $1.63/day)';
-            notes[1].textContent = '(only $2.30/day)';
-            notes[2].textContent = '(only $4.30/day)';
-          }
-        });
-      });
-      
-      // Checkout handler function
-      window.handleCheckout = function(planId) {
-        fetch('/checkout?plan_id=' + planId)
-          .then(response => {
-            if (response.ok) {
-              window.location.href = '/checkout?plan_id=' + planId;
-            } else {
-              alert('Checkout coming soon! Plan ID: ' + planId + ' selected. Contact support to complete order.');
-            }
-          })
-          .catch(error => {
-            alert('Checkout system is being set up. Contact support for Plan #' + planId);
-          });
-      };
-    });
-    
-  </script>
-
+${PricingSection({ plans, periods })}
 
 <!-- Testimonials -->
 <!-- What do our customers say -->
@@ -1057,60 +2408,383 @@ document.addEventListener('DOMContentLoaded', function() {
 ` });
 }
 
-// Blogs listing & blog view
-function BlogsView({ user, posts }) {
-  return layout({ title: 'Blogs', user, content: `
-<section class="py-16 bg-gradient-to-r from-indigo-600 to-purple-600 text-white">
-  <div class="max-w-7xl mx-auto px-4 text-center"><h1 class="text-4xl font-bold">Insights & Tips</h1><p class="mt-2">Stay ahead with our expert content</p></div>
+// Pricing cards + billing period toggle, rendered from plans / billing_periods
+function PricingSection({ plans, periods }) {
+  const first = periods[0] ? periods[0].code : 'monthly';
+  const priceHtml = pr => `${currency(pr.monthly)}<span class="price-period">/mo</span>`;
+  const noteText = pr => `(only $${pr.daily.toFixed(2)}/day${pr.note ? ', ' + pr.note : ''})`;
+  return `
+<section class="py-16 bg-gray-50">
+  <div class="max-w-7xl mx-auto px-4">
+    <div class="billing-toggle">
+      <div class="toggle-group">
+        ${periods.map(bp=>`<button type="button" class="toggle-btn ${bp.code===first?'active':''}" data-period="${escapeHtml(bp.code)}">${escapeHtml(bp.label)}</button>`).join('')}
+      </div>
+    </div>
+
+    <div class="pricing-grid">
+      ${plans.map(p=> {
+        const features = JSON.parse(p.features || '[]');
+        const prices = Object.fromEntries(Object.entries(p.prices).map(([code, pr]) => [code, { price: priceHtml(pr), note: noteText(pr) }]));
+        const pr = p.prices[first];
+        return `
+        <div class="pricing-card ${p.featured?'featured':''}" data-prices="${escapeHtml(JSON.stringify(prices))}">
+          ${p.featured?'<div class="flame-icon">🔥</div>':''}
+          <div class="plan-badge ${escapeHtml(p.badge||'kickoff')}-badge">${escapeHtml(String(p.name||'').toUpperCase())}</div>
+          <p class="plan-description">${escapeHtml(p.description)}</p>
+
+          <div class="price">${pr ? priceHtml(pr) : ''}</div>
+          <div class="price-note">${pr ? noteText(pr) : ''}</div>
+
+          <button class="cta-button" onclick="handleCheckout(${p.id})">
+            <span>Get Started Today</span>
+            <div class="cta-arrow">→</div>
+          </button>
+
+          <ul class="features-list">
+            ${features.map(f=>`
+              <li class="feature-item">
+                <div class="feature-check"></div>
+                <span>${escapeHtml(f).replace(/(Real|Real & Organic)/g, '<strong>$1</strong>')}</span>
+                <div class="feature-info">?</div>
+              </li>
+            `).join('')}
+          </ul>
+        </div>`;
+      }).join('')}
+    </div>
+  </div>
+</section>
+<script>
+  // Billing period toggle: every card carries its per-period prices in data-prices
+  let selectedPeriod = ${JSON.stringify(first)};
+  document.querySelectorAll('.toggle-btn').forEach(btn => {
+    btn.addEventListener('click', function() {
+      const active = document.querySelector('.toggle-btn.active');
+      if (active) active.classList.remove('active');
+      this.classList.add('active');
+      selectedPeriod = this.getAttribute('data-period');
+      document.querySelectorAll('.pricing-card').forEach(card => {
+        const pr = JSON.parse(card.getAttribute('data-prices'))[selectedPeriod];
+        if (!pr) return;
+        card.querySelector('.price').innerHTML = pr.price;
+        card.querySelector('.price-note').textContent = pr.note;
+      });
+    });
+  });
+
+  function handleCheckout(planId) {
+    window.location.href = '/checkout?plan_id=' + planId + '&period=' + encodeURIComponent(selectedPeriod);
+  }
+</script>
+`;
+}
+
+// Blogs listing & blog view
+function BlogsView({ user, posts }) {
+  return layout({ title: 'Blogs', user, content: `
+<section class="py-16 bg-gradient-to-r from-indigo-600 to-purple-600 text-white">
+  <div class="max-w-7xl mx-auto px-4 text-center"><h1 class="text-4xl font-bold">Insights & Tips</h1><p class="mt-2">Stay ahead with our expert content</p></div>
+</section>
+<section class="max-w-7xl mx-auto px-4 py-16">
+  <div class="grid md:grid-cols-3 gap-8">
+    ${posts.map(p=>`
+      <article class="bg-white rounded-2xl overflow-hidden shadow">
+        <img src="${escapeHtml(p.image)}" class="w-full h-48 object-cover" />
+        <div class="p-6">
+          <div class="text-xs text-gray-500 mb-2">${new Date(p.created_at).toLocaleDateString()}</div>
+          <h3 class="font-bold text-lg"><a href="/blog/${p.id}" class="hover:text-indigo-600">${escapeHtml(p.title)}</a></h3>
+          <p class="text-gray-600 mt-2">${escapeHtml(p.excerpt)}</p>
+        </div>
+      </article>`).join('')}
+  </div>
+</section>
+` });
+}
+
+function BlogView({ user, post }) {
+  return layout({ title: post.title, user, content: `
+<section class="max-w-4xl mx-auto px-4 py-16">
+  <a class="text-sm text-indigo-600" href="/blogs">&larr; Back</a>
+  <h1 class="text-3xl font-bold mt-4 mb-4">${escapeHtml(post.title)}</h1>
+  <div class="text-sm text-gray-500 mb-6">by ${escapeHtml(post.author||'Unknown')} • ${new Date(post.created_at).toLocaleDateString()}</div>
+  ${post.image ? `<img src="${escapeHtml(post.image)}" class="w-full rounded-2xl shadow mb-8" />` : ''}
+  <article class="prose max-w-none">${marked.parse(post.body||'')}</article>
+</section>
+` });
+}
+
+// Generic small page
+function GenericView({ user, title, body }) {
+  return layout({ title, user, content: `<section class='max-w-7xl mx-auto px-4 py-10'><h2 class='text-3xl font-bold'>${escapeHtml(title)}</h2><div class='mt-4 text-slate-700'>${body||''}</div></section>` });
+}
+
+// Checkout (plan summary + order form) & confirmation
+function CheckoutView({ user, plan, pricing, periods, error, form = {} }) {
+  const features = JSON.parse(plan.features || '[]');
+  return layout({ title: 'Checkout', user, content: `
+<section class='min-h-screen bg-gradient-to-br from-indigo-50 via-white to-purple-50 py-12'>
+  <div class='max-w-4xl mx-auto px-4 grid md:grid-cols-2 gap-8'>
+    <div class='bg-white rounded-2xl shadow p-6 border border-gray-100'>
+      <div class='text-xs text-slate-500 uppercase tracking-wide'>Selected plan</div>
+      <h2 class='text-2xl font-bold mt-1'>${escapeHtml(plan.name)}</h2>
+      <div class='flex gap-2 mt-3'>
+        ${periods.map(bp=>`<a href='/checkout?plan_id=${plan.id}&period=${encodeURIComponent(bp.code)}' class='px-3 py-1 rounded-full text-sm ${bp.code===pricing.period?'bg-slate-900 text-white':'bg-slate-100'}'>${escapeHtml(bp.label)}</a>`).join('')}
+      </div>
+      <div class='text-3xl font-extrabold mt-3'>${currency(pricing.monthly)}<span class='text-base font-normal text-slate-500'>/mo</span></div>
+      <div class='text-sm text-slate-500'>${currency(pricing.total)} ${pricing.months > 1 ? `every ${pricing.months} months` : 'per month'} • only $${pricing.daily.toFixed(2)}/day</div>
+      <ul class='mt-4 space-y-2 text-sm text-slate-700'>${features.map(f=>`<li>✓ ${escapeHtml(f)}</li>`).join('')}</ul>
+      <a href='/pricing' class='inline-block mt-6 text-sm text-indigo-600 hover:underline'>&larr; Choose another plan</a>
+    </div>
+    <div class='bg-white rounded-2xl shadow p-6 border border-gray-100'>
+      <h3 class='text-xl font-bold mb-4'>Your details</h3>
+      ${error ? `<div class='mb-4 p-3 bg-rose-50 border border-rose-100 text-rose-700 rounded'>${escapeHtml(error)}</div>` : ''}
+      ${user && !user.email_verified_at ? `
+      <form method='post' action='/account/resend_verification' class='p-3 bg-amber-50 border border-amber-100 text-amber-800 rounded space-y-3'>
+        <p>Confirm <b>${escapeHtml(user.email)}</b> before placing an order — order and payment emails go to this address. Use the link we emailed you, then come back to this page.</p>
+        <button class='px-3 py-1 rounded bg-amber-500 text-white text-sm'>Resend link</button>
+      </form>` : user ? `
+      <form method='post' action='/checkout' class='space-y-3'>
+        <input type='hidden' name='plan_id' value='${plan.id}' />
+        <input type='hidden' name='billing_period' value='${escapeHtml(pricing.period)}' />
+        <div class='text-sm text-slate-600'>Ordering as <b>${escapeHtml(user.email)}</b></div>
+        <input name='ig_username' required value='${escapeHtml(form.ig_username != null ? form.ig_username : user.instagram)}' placeholder='Instagram username' class='w-full px-3 py-2 rounded-xl border' />
+        <textarea name='notes' rows='4' placeholder='Notes for our team (niche, goals, competitors...)' class='w-full px-3 py-2 rounded-xl border'>${escapeHtml(form.notes)}</textarea>
+        <button class='w-full px-4 py-3 rounded-xl bg-indigo-600 text-white font-bold btn-animated'>Place Order</button>
+      </form>` : `
+      <p class='text-slate-600'>Create an account or sign in to complete your order — we'll bring you right back here.</p>
+      <div class='flex gap-3 mt-4'>
+        <a href='/signup' class='px-4 py-2 rounded-xl bg-indigo-600 text-white font-bold'>Create account</a>
+        <a href='/login' class='px-4 py-2 rounded-xl border'>Sign in</a>
+      </div>`}
+    </div>
+  </div>
+</section>
+` });
+}
+
+function CheckoutConfirmView({ user, order }) {
+  const payable = order.status === 'pending' || order.status === 'declined';
+  return layout({ title: 'Order Received', user, content: `
+<section class='min-h-screen flex items-center justify-center bg-gradient-to-br from-white to-indigo-50 py-12'>
+  <div class='max-w-lg w-full mx-4 bg-white p-8 rounded-2xl shadow border border-gray-100 text-center'>
+    <div class='text-5xl mb-3'>🎉</div>
+    <h2 class='text-2xl font-bold'>Thanks — your order is in!</h2>
+    <p class='text-slate-600 mt-2'>Order <b>#${order.id}</b> for the <b>${escapeHtml(order.plan||'N/A')}</b> (${currency(order.amount_usd)}, ${escapeHtml(order.period_label||order.billing_period)}) is <b>${escapeHtml(order.status)}</b>.</p>
+    <div class='mt-4 text-sm text-slate-500'>Instagram: ${escapeHtml(order.ig_username||'—')}</div>
+    ${order.status === 'declined' ? `<div class='mt-4 p-3 bg-rose-50 border border-rose-100 text-rose-700 rounded'>Your payment was declined — please try another card.</div>` : ''}
+    ${order.status === 'paid' ? `<div class='mt-4 p-3 bg-emerald-50 border border-emerald-100 text-emerald-700 rounded'>Payment received: ${currency(order.captured_usd)}</div>` : ''}
+    ${payable && !paymentsEnabled() ? `<p class='mt-6 text-sm text-slate-600'>Online payment isn't available right now — we'll send payment details by email.</p>` : ''}
+    ${payable && paymentsEnabled() ? `
+    <form method='post' action='/checkout/pay/${order.id}' class='mt-6'>
+      <input type='hidden' name='idempotency_key' value='${crypto.randomUUID()}' />
+      <button class='w-full px-4 py-3 rounded-xl bg-emerald-600 text-white font-bold btn-animated'>Pay ${currency(order.amount_usd)} now</button>
+    </form>` : ''}
+    <p class='text-sm text-slate-500 mt-4'>Our team will reach out within 24 hours to start your growth campaign.</p>
+    <div class='flex gap-3 justify-center mt-6'>
+      <a href='/subscriptions' class='px-4 py-2 rounded-xl bg-indigo-600 text-white font-bold'>My subscriptions</a>
+      <a href='/' class='px-4 py-2 rounded-xl border'>Back to home</a>
+    </div>
+  </div>
+</section>
+` });
+}
+
+// Daily metric totals over the selected range; `href` is the page the 7/30/90 day links point at.
+// Reach is on its own axis since it is usually an order of magnitude above the others.
+function MetricsChart({ id, data, href }) {
+  const colors = { followers: '#4f46e5', likes: '#db2777', comments: '#0d9488', reach: '#f59e0b' };
+  const datasets = METRICS.map(([m, label]) => ({ label, data: data.series[m], borderColor: colors[m], backgroundColor: colors[m], tension: .3, fill: false, spanGaps: true, yAxisID: m === 'reach' ? 'reach' : 'y' }));
+  const hasData = METRICS.some(([m]) => data.series[m].some(v => v != null));
+  const sep = href.includes('?') ? '&' : '?';
+  return `
+    <div class='flex items-center justify-between gap-2 text-sm'>
+      <div class='flex flex-wrap gap-3 text-slate-600'>${METRICS.map(([m, label]) => data.change[m] == null ? '' : `<span>${label}: <b>${data.change[m] >= 0 ? '+' : ''}${data.change[m]}</b></span>`).join('')}</div>
+      <div class='flex gap-1'>${METRIC_RANGES.map(d => `<a href='${escapeHtml(href + sep)}range=${d}' class='px-2 py-1 rounded ${d === data.days ? 'bg-indigo-600 text-white' : 'border'}'>${d}d</a>`).join('')}</div>
+    </div>
+    ${hasData ? `<div style="height:280px;" class='mt-2'><canvas id='${id}' width="800" height="280"></canvas></div>
+    <script>
+      window.addEventListener('load', () => new Chart(document.getElementById('${id}'), {
+        type: 'line',
+        data: { labels: ${JSON.stringify(data.labels)}, datasets: ${JSON.stringify(datasets)} },
+        options: { responsive:true, maintainAspectRatio:false, animation:{duration:600},
+          scales: { y: { beginAtZero:true }, reach: { position:'right', beginAtZero:true, grid:{ drawOnChartArea:false } } } }
+      }));
+    </script>` : `<div class='mt-3 p-6 rounded border border-dashed text-center text-sm text-slate-500'>No metrics recorded yet. Followers, likes, comments and reach show up here once they are measured.</div>`}`;
+}
+// ?range= picks one of METRIC_RANGES, 30 days otherwise
+function metricRange(req) {
+  const days = Number(req.query.range);
+  return METRIC_RANGES.includes(days) ? days : 30;
+}
+
+// Customer account area: plan, orders, growth chart, profile, targeting, tickets
+function AccountView({ user, subscription, orders, chart, target, tickets, flash, error }) {
+  return layout({ title: 'My Account', user, content: `
+<section class='max-w-7xl mx-auto px-4 py-10'>
+  <div class='flex items-center justify-between'>
+    <h2 class='text-2xl font-bold'>My Account</h2>
+    <div class='text-sm text-slate-600'>Signed in as <b>${escapeHtml(user.email)}</b></div>
+  </div>
+  ${flash ? `<div class='mt-4 p-3 bg-emerald-50 border border-emerald-100 text-emerald-700 rounded'>${escapeHtml(flash)}</div>` : ''}
+  ${error ? `<div class='mt-4 p-3 bg-rose-50 border border-rose-100 text-rose-700 rounded'>${escapeHtml(error)}</div>` : ''}
+  ${user.email_verified_at ? '' : `<form method='post' action='/account/resend_verification' class='mt-4 p-3 bg-amber-50 border border-amber-100 text-amber-800 rounded flex items-center justify-between gap-3'>
+    <span>Please confirm <b>${escapeHtml(user.email)}</b> using the link we emailed you.</span>
+    <button class='px-3 py-1 rounded bg-amber-500 text-white text-sm'>Resend link</button>
+  </form>`}
+
+  <div class='grid md:grid-cols-3 gap-6 mt-6'>
+    <div class='md:col-span-2 space-y-6'>
+      <div class='bg-white border rounded-xl p-4'>
+        <div class='flex items-center justify-between'>
+          <h3 class='font-bold'>My Plan</h3>
+          <a href='/subscriptions' class='text-sm text-indigo-600'>Manage subscriptions →</a>
+        </div>
+        ${subscription ? `
+          <div class='mt-2 text-lg font-semibold'>${escapeHtml(subscription.plan||'N/A')} <span class='text-sm font-normal text-slate-500'>${escapeHtml(subscription.billing_period)}</span></div>
+          <div class='text-sm text-slate-600'>Status: <b>${escapeHtml(subscription.status)}</b> • renews ${escapeHtml(String(subscription.current_period_end||'').slice(0,10))}${subscription.cancel_at_period_end ? ' (cancels at period end)' : ''}</div>
+        ` : `<div class='mt-2 text-slate-500'>No active plan — <a class='text-indigo-600 underline' href='/pricing'>choose one</a>.</div>`}
+
+        <h4 class='font-semibold mt-4'>Orders</h4>
+        <table class='w-full text-sm mt-2'>
+          <thead><tr class='text-left text-slate-500'><th>#</th><th>Date</th><th>Plan</th><th>Amount</th><th>Status</th></tr></thead>
+          <tbody>${orders.map(o=>`<tr class='border-t'><td><a class='text-indigo-600 underline' href='/checkout/confirm/${o.id}'>${o.id}</a></td><td>${escapeHtml(String(o.created_at).slice(0,10))}</td><td>${escapeHtml(o.plan||'N/A')}</td><td>${o.amount_usd != null ? currency(o.amount_usd) : '—'}</td><td>${escapeHtml(o.status)}</td></tr>`).join('') || `<tr><td colspan='5' class='py-3 text-slate-500'>No orders yet</td></tr>`}</tbody>
+        </table>
+      </div>
+
+      <div class='bg-white border rounded-xl p-4'>
+        <h3 class='font-bold'>Growth</h3>
+        <div class='mt-2'>${MetricsChart({ id: 'growth', data: chart, href: '/account' })}</div>
+      </div>
+
+      <div class='bg-white border rounded-xl p-4'>
+        <h3 class='font-bold'>Support Tickets</h3>
+        <ul class='mt-2 space-y-1 text-sm'>
+          ${tickets.map(t=>`<li><a class='text-indigo-600 underline' href='/account/tickets/${t.id}'>#${t.id} ${escapeHtml(t.subject||'(no subject)')}</a> • ${escapeHtml(t.status)} • ${escapeHtml(String(t.created_at).slice(0,10))}</li>`).join('') || `<li class='text-slate-500'>No tickets yet</li>`}
+        </ul>
+        <form method='post' action='/ticket' class='space-y-2 mt-4'>
+          <input name='subject' required placeholder='Subject' class='w-full px-3 py-2 rounded border' />
+          <textarea name='message' required rows='4' placeholder='How can we help?' class='w-full px-3 py-2 rounded border'></textarea>
+          <button class='px-3 py-2 rounded bg-indigo-600 text-white'>Open Ticket</button>
+        </form>
+      </div>
+    </div>
+
+    <div class='space-y-6'>
+      <div class='bg-white border rounded-xl p-4'>
+        <h3 class='font-bold'>Profile</h3>
+        <form method='post' action='/account/profile' class='space-y-2 mt-2'>
+          <input name='name' value='${escapeHtml(user.name)}' placeholder='Name' class='w-full px-3 py-2 rounded border' />
+          <input name='instagram' value='${escapeHtml(user.instagram)}' placeholder='@instagram' class='w-full px-3 py-2 rounded border' />
+          <button class='px-3 py-2 rounded bg-indigo-600 text-white'>Save</button>
+        </form>
+      </div>
+
+      <div class='bg-white border rounded-xl p-4'>
+        <h3 class='font-bold'>Targeting</h3>
+        ${TargetingForm({ action: '/account/targeting', target })}
+      </div>
+    </div>
+  </div>
+</section>
+` });
+}
+
+// Ticket conversation; `staffView` also shows internal notes and events
+function TicketThread({ ticket, messages, staffView }) {
+  const bubble = (who, when, body, css) => `
+    <div class='p-4 rounded-xl border ${css}'>
+      <div class='text-xs text-slate-500 mb-1'>${escapeHtml(who)} • ${escapeHtml(when)}</div>
+      <div class='whitespace-pre-wrap'>${escapeHtml(body)}</div>
+    </div>`;
+  return `<div class='space-y-3'>
+    ${bubble(ticket.email || 'Customer', ticket.created_at, ticket.message, 'bg-white')}
+    ${messages.filter(m => staffView || m.kind === 'reply').map(m => {
+      if (m.kind === 'event') return `<div class='text-xs text-center text-slate-500'>${escapeHtml(m.body)} • ${escapeHtml(m.author_email||'system')} • ${escapeHtml(m.created_at)}</div>`;
+      const fromCustomer = m.author_id && m.author_id === ticket.user_id;
+      const who = fromCustomer ? (m.author_email || 'Customer') : (staffView ? (m.author_email || 'Staff') : `${APP_TITLE} Support`);
+      return bubble(m.kind === 'note' ? `Internal note • ${who}` : who, m.created_at, m.body,
+        m.kind === 'note' ? 'bg-amber-50 border-amber-200' : fromCustomer ? 'bg-white' : 'bg-indigo-50 border-indigo-100');
+    }).join('')}
+  </div>`;
+}
+
+function AccountTicketView({ user, ticket, messages }) {
+  return layout({ title: `Ticket #${ticket.id}`, user, content: `
+<section class='max-w-3xl mx-auto px-4 py-10'>
+  <a href='/account' class='text-sm text-indigo-600'>&larr; My Account</a>
+  <h2 class='text-2xl font-bold mt-2'>#${ticket.id} ${escapeHtml(ticket.subject||'(no subject)')}</h2>
+  <div class='text-sm text-slate-500 mb-4'>${escapeHtml(ticket.status)} • opened ${escapeHtml(ticket.created_at)}</div>
+  ${TicketThread({ ticket, messages })}
+  <form method='post' action='/account/tickets/${ticket.id}/reply' class='space-y-2 mt-6'>
+    <textarea name='body' required rows='4' placeholder='${ticket.status === 'closed' ? 'Reply to reopen this ticket' : 'Write a reply'}' class='w-full px-3 py-2 rounded border'></textarea>
+    <button class='px-3 py-2 rounded bg-indigo-600 text-white'>Send reply</button>
+  </form>
 </section>
-<section class="max-w-7xl mx-auto px-4 py-16">
-  <div class="grid md:grid-cols-3 gap-8">
-    ${posts.map(p=>`
-      <article class="bg-white rounded-2xl overflow-hidden shadow">
-        <img src="${escapeHtml(p.image)}" class="w-full h-48 object-cover" />
-        <div class="p-6">
-          <div class="text-xs text-gray-500 mb-2">${new Date(p.created_at).toLocaleDateString()}</div>
-          <h3 class="font-bold text-lg"><a href="/blog/${p.id}" class="hover:text-indigo-600">${escapeHtml(p.title)}</a></h3>
-          <p class="text-gray-600 mt-2">${escapeHtml(p.excerpt)}</p>
+` });
+}
+
+// Customer subscription list with cancel / resume
+function SubscriptionsView({ user, subscriptions, serviceActive }) {
+  return layout({ title: 'My Subscriptions', user, content: `
+<section class='max-w-4xl mx-auto px-4 py-10'>
+  <h2 class='text-2xl font-bold'>My Subscriptions</h2>
+  <div class='text-sm mt-1 ${serviceActive?'text-emerald-600':'text-slate-500'}'>Service ${serviceActive?'active':'not active'}</div>
+  <div class='mt-6 space-y-4'>
+    ${subscriptions.length ? subscriptions.map(s=>`
+      <div class='bg-white border rounded-xl p-4'>
+        <div class='flex items-center justify-between'>
+          <div>
+            <div class='font-bold'>${escapeHtml(s.plan||'N/A')} <span class='text-xs text-slate-500'>${escapeHtml(s.billing_period)}</span></div>
+            <div class='text-sm text-slate-600'>Status: <b>${escapeHtml(s.status)}</b> • current period ${escapeHtml(String(s.current_period_start||'').slice(0,10))} → ${escapeHtml(String(s.current_period_end||'').slice(0,10))}</div>
+            ${s.status==='active' && s.cancel_at_period_end ? `<div class='text-sm text-amber-600'>Cancels at the end of the current period</div>` : ''}
+            ${s.status==='past_due' ? `<div class='text-sm text-rose-600'>Renewal unpaid — service stops on ${escapeHtml(String(s.grace_until).slice(0,10))}${s.renewal_order_id ? ` • <a class='underline' href='/checkout/confirm/${s.renewal_order_id}'>Pay renewal</a>` : ''}</div>` : ''}
+          </div>
+          <div>
+            ${s.status==='active' && !s.cancel_at_period_end ? `<form method='post' action='/subscriptions/${s.id}/cancel' onsubmit="return confirm('Cancel at the end of this period?')"><button class='px-3 py-1 rounded bg-rose-600 text-white'>Cancel</button></form>` : ''}
+            ${s.status==='active' && s.cancel_at_period_end ? `<form method='post' action='/subscriptions/${s.id}/resume'><button class='px-3 py-1 rounded bg-emerald-600 text-white'>Keep subscription</button></form>` : ''}
+            ${s.status==='past_due' ? `<form method='post' action='/subscriptions/${s.id}/cancel' onsubmit="return confirm('Cancel now?')"><button class='px-3 py-1 rounded bg-rose-600 text-white'>Cancel</button></form>` : ''}
+          </div>
         </div>
-      </article>`).join('')}
+      </div>`).join('') : `<div class='text-slate-500'>No subscriptions yet — <a class='text-indigo-600 underline' href='/pricing'>pick a plan</a>.</div>`}
   </div>
 </section>
 ` });
 }
 
-function BlogView({ user, post }) {
-  return layout({ title: post.title, user, content: `
-<section class="max-w-4xl mx-auto px-4 py-16">
-  <a class="text-sm text-indigo-600" href="/blogs">&larr; Back</a>
-  <h1 class="text-3xl font-bold mt-4 mb-4">${escapeHtml(post.title)}</h1>
-  <div class="text-sm text-gray-500 mb-6">by ${escapeHtml(post.author||'Unknown')} • ${new Date(post.created_at).toLocaleDateString()}</div>
-  ${post.image ? `<img src="${escapeHtml(post.image)}" class="w-full rounded-2xl shadow mb-8" />` : ''}
-  <article class="prose max-w-none">${marked.parse(post.body||'')}</article>
+// Hosted payment page of the offline mock gateway
+function MockGatewayView({ payment, order }) {
+  return layout({ title: 'Mock Payment', content: `
+<section class='min-h-screen flex items-center justify-center bg-slate-100 py-12'>
+  <div class='max-w-md w-full mx-4 bg-white p-8 rounded-2xl shadow border'>
+    <div class='text-xs uppercase tracking-wide text-slate-500'>Mock gateway • test mode</div>
+    <h2 class='text-2xl font-bold mt-1'>Pay ${currency(payment.amount_usd)}</h2>
+    <div class='text-sm text-slate-500'>Order #${order.id} • ${escapeHtml(payment.intent_id)}</div>
+    <form method='post' class='space-y-3 mt-6'>
+      <input name='card_number' required placeholder='Card number' class='w-full px-3 py-2 rounded-xl border' />
+      <button class='w-full px-4 py-3 rounded-xl bg-slate-900 text-white font-bold'>Confirm payment</button>
+    </form>
+    <div class='text-xs text-slate-500 mt-4'>Use 4242 4242 4242 4242 to succeed or 4000 0000 0000 0002 to be declined.</div>
+  </div>
 </section>
 ` });
 }
 
-// Generic small page
-function GenericView({ user, title, body }) {
-  return layout({ title, user, content: `<section class='max-w-7xl mx-auto px-4 py-10'><h2 class='text-3xl font-bold'>${escapeHtml(title)}</h2><div class='mt-4 text-slate-700'>${body||''}</div></section>` });
-}
-
 // -------------------------- Admin/Staff Views ---------------------------
 
-function AdminDashboardView({ me, stats, posts, orders }) {
+function AdminDashboardView({ me, stats, posts, orders, subscriptions, require2fa = [] }) {
   return layout({ title: 'Admin Dashboard', user:me, content: `
 <section class='max-w-7xl mx-auto px-4 py-10'>
   <div class='flex items-center justify-between'>
     <h2 class='text-2xl font-bold'>Admin Dashboard</h2>
-    <div class='text-sm text-slate-600'>Signed in as <b>${escapeHtml(me.email)}</b></div>
+    <div class='text-sm text-slate-600'>${can(me, 'reports.batch') ? `<a href='/admin/reports' class='text-indigo-600 underline mr-4'>Client reports</a>` : ''}<a href='/account/2fa' class='text-indigo-600 underline mr-4'>Two-factor</a>Signed in as <b>${escapeHtml(me.email)}</b></div>
   </div>
 
   <div class='grid md:grid-cols-5 gap-4 mt-6'>
     <div class='col-span-1 p-4 rounded-xl bg-white border'>
       <div class='text-xs text-slate-500'>Total Accounting</div>
       <div class='text-2xl font-extrabold'>${currency(stats.totalAccounting)}</div>
-      <div class='text-xs text-slate-400 mt-1'>Estimate from paid orders</div>
+      <div class='text-xs text-slate-400 mt-1'>Captured from paid orders</div>
     </div>
     <div class='col-span-1 p-4 rounded-xl bg-white border'>
       <div class='text-xs text-slate-500'>Number of Users</div>
@@ -1127,6 +2801,7 @@ function AdminDashboardView({ me, stats, posts, orders }) {
     <div class='col-span-1 p-4 rounded-xl bg-white border'>
       <div class='text-xs text-slate-500'>Subscribers</div>
       <div class='text-2xl font-extrabold'>${stats.subscribers}</div>
+      <a href='/admin/subscribers' class='text-xs text-indigo-600'>List</a> • <a href='/admin/newsletter' class='text-xs text-indigo-600'>Newsletter →</a>
     </div>
   </div>
 
@@ -1135,8 +2810,19 @@ function AdminDashboardView({ me, stats, posts, orders }) {
       <h3 class='font-bold'>Recent Posts</h3>
       <ul class='list-disc ml-6 mt-3'>${posts.map(p=>`<li><a href='/blog/${p.id}' class='text-indigo-600 underline'>${escapeHtml(p.title)}</a> • ${p.created_at.slice(0,10)}</li>`).join('')}</ul>
 
-      <h3 class='font-bold mt-6'>Recent Orders</h3>
-      <ul class='list-disc ml-6 mt-3'>${orders.map(o=>`<li>#${o.id} • ${escapeHtml(o.plan||'N/A')} • ${escapeHtml(o.status)}</li>`).join('')}</ul>
+      <h3 class='font-bold mt-6'>Recent Orders <a href='/admin/orders' class='text-sm font-normal text-indigo-600 ml-2'>Manage orders →</a></h3>
+      <ul class='list-disc ml-6 mt-3'>${orders.map(o=>`<li><a href='/admin/orders/${o.id}' class='text-indigo-600 underline'>#${o.id}</a> • ${escapeHtml(o.plan||'N/A')} • ${escapeHtml(o.status)}</li>`).join('')}</ul>
+
+      <h3 class='font-bold mt-6'>Subscriptions</h3>
+      <div class='grid grid-cols-3 gap-3 mt-3'>
+        <div class='p-3 rounded-lg bg-emerald-50'><div class='text-xs text-slate-500'>Active</div><div class='text-xl font-bold'>${stats.activeSubs}</div></div>
+        <div class='p-3 rounded-lg bg-amber-50'><div class='text-xs text-slate-500'>Past due</div><div class='text-xl font-bold'>${stats.pastDueSubs}</div></div>
+        <div class='p-3 rounded-lg bg-rose-50'><div class='text-xs text-slate-500'>Churned</div><div class='text-xl font-bold'>${stats.churnedSubs}</div></div>
+      </div>
+      <table class='w-full text-sm mt-3'>
+        <thead><tr class='text-left text-slate-500'><th>#</th><th>Customer</th><th>Plan</th><th>Status</th><th>Period end</th></tr></thead>
+        <tbody>${subscriptions.map(s=>`<tr class='border-t'><td>${s.id}</td><td>${escapeHtml(s.email||'—')}</td><td>${escapeHtml(s.plan||'N/A')} (${escapeHtml(s.billing_period)})</td><td>${escapeHtml(s.status)}${s.cancel_at_period_end && s.status==='active'?' • cancels at end':''}${s.status==='past_due'?` • grace until ${escapeHtml(String(s.grace_until).slice(0,10))}`:''}</td><td>${escapeHtml(String(s.current_period_end||'').slice(0,10))}</td></tr>`).join('')}</tbody>
+      </table>
     </div>
 
     <div class='bg-white border rounded-xl p-4'>
@@ -1160,17 +2846,550 @@ function AdminDashboardView({ me, stats, posts, orders }) {
         </select>
         <button class='px-3 py-2 rounded-xl bg-emerald-500 text-white'>Assign Role</button>
       </form>
+      <a href='/admin/roles' class='block text-sm text-indigo-600 mt-3'>Roles &amp; permissions →</a>
+
+      <hr class='my-4' />
+      <h4 class='font-bold'>Security</h4>
+      <form method='post' action='/admin/security' class='space-y-2 mt-2 text-sm'>
+        <div>Require two-factor authentication for:</div>
+        ${['admin','staff'].map(r=>`<label class='flex items-center gap-2'><input type='checkbox' name='require_2fa' value='${r}' ${require2fa.includes(r)?'checked':''} /> ${r} accounts</label>`).join('')}
+        <div class='text-xs text-slate-500'>${stats.unenrolled} admin/staff accounts have not enrolled yet; they will be sent to <a class='underline' href='/account/2fa'>/account/2fa</a> on their next request.</div>
+        <button class='px-3 py-2 rounded-xl bg-slate-800 text-white'>Save policy</button>
+      </form>
+      <a href='/admin/logins' class='block text-sm text-indigo-600 mt-3'>Login activity &amp; locked accounts${stats.lockedAccounts ? ` (${stats.lockedAccounts} locked)` : ''} →</a>
+      <a href='/admin/audit' class='block text-sm text-indigo-600 mt-1'>Audit log →</a>
+    </div>
+  </div>
+</section>
+` });
+}
+
+function orderStatusBadge(status) {
+  const css = { pending: 'bg-amber-100 text-amber-800', paid: 'bg-emerald-100 text-emerald-800', declined: 'bg-rose-100 text-rose-800',
+    cancelled: 'bg-slate-200 text-slate-700', refunded: 'bg-purple-100 text-purple-800' }[status] || 'bg-slate-100';
+  return `<span class='px-2 py-0.5 rounded-full text-xs font-semibold ${css}'>${escapeHtml(status)}</span>`;
+}
+
+function AdminOrdersView({ me, orders, plans, filters, page, pages, total }) {
+  const qs = extra => '?' + new URLSearchParams({ ...filters, ...extra }).toString();
+  return layout({ title: 'Orders', user:me, content: `
+<section class='max-w-7xl mx-auto px-4 py-10'>
+  <div class='flex items-center justify-between'>
+    <h2 class='text-2xl font-bold'>Orders <span class='text-base font-normal text-slate-500'>(${total})</span></h2>
+    <a href='/dashboard' class='text-sm text-indigo-600'>&larr; Dashboard</a>
+  </div>
+  <form method='get' class='grid md:grid-cols-6 gap-2 mt-6 bg-white border rounded-xl p-4'>
+    <select name='status' class='px-3 py-2 rounded border'>
+      <option value=''>Any status</option>
+      ${['pending','paid','declined','cancelled','refunded'].map(st=>`<option ${filters.status===st?'selected':''}>${st}</option>`).join('')}
+    </select>
+    <select name='plan_id' class='px-3 py-2 rounded border'>
+      <option value=''>Any plan</option>
+      ${plans.map(p=>`<option value='${p.id}' ${String(filters.plan_id)===String(p.id)?'selected':''}>${escapeHtml(p.name)}</option>`).join('')}
+    </select>
+    <input type='date' name='from' value='${escapeHtml(filters.from)}' class='px-3 py-2 rounded border' />
+    <input type='date' name='to' value='${escapeHtml(filters.to)}' class='px-3 py-2 rounded border' />
+    <input name='q' value='${escapeHtml(filters.q)}' placeholder='Customer email, name or IG' class='px-3 py-2 rounded border' />
+    <button class='px-3 py-2 rounded bg-indigo-600 text-white'>Filter</button>
+  </form>
+  <div class='bg-white border rounded-xl mt-4 overflow-x-auto'>
+    <table class='w-full text-sm'>
+      <thead><tr class='text-left text-slate-500 border-b'><th class='p-3'>#</th><th>Date</th><th>Customer</th><th>Plan</th><th>Amount</th><th>Status</th><th></th></tr></thead>
+      <tbody>
+        ${orders.map(o=>`<tr class='border-t'>
+          <td class='p-3'>${o.id}</td>
+          <td>${escapeHtml(String(o.created_at).slice(0,10))}</td>
+          <td>${escapeHtml(o.email||'—')}<div class='text-xs text-slate-500'>${escapeHtml(o.ig_username||'')}</div></td>
+          <td>${escapeHtml(o.plan||'N/A')} <span class='text-xs text-slate-500'>${escapeHtml(o.billing_period||'')}</span></td>
+          <td>${o.amount_usd != null ? currency(o.amount_usd) : '—'}</td>
+          <td>${orderStatusBadge(o.status)}</td>
+          <td><a class='text-indigo-600 underline' href='/admin/orders/${o.id}'>View</a></td>
+        </tr>`).join('') || `<tr><td colspan='7' class='p-6 text-center text-slate-500'>No orders match these filters</td></tr>`}
+      </tbody>
+    </table>
+  </div>
+  <div class='flex items-center justify-between mt-4 text-sm'>
+    <div>Page ${page} of ${pages}</div>
+    <div class='flex gap-2'>
+      ${page > 1 ? `<a class='px-3 py-1 rounded border' href='${qs({ page: page-1 })}'>&larr; Prev</a>` : ''}
+      ${page < pages ? `<a class='px-3 py-1 rounded border' href='${qs({ page: page+1 })}'>Next &rarr;</a>` : ''}
+    </div>
+  </div>
+</section>
+` });
+}
+
+function AdminOrderDetailView({ me, order, history, payments, error }) {
+  const actions = Object.entries(ORDER_ACTIONS).filter(([key, a]) => a.from.includes(order.status) && (key !== 'refund' || can(me, 'orders.refund')));
+  return layout({ title: `Order #${order.id}`, user:me, content: `
+<section class='max-w-5xl mx-auto px-4 py-10'>
+  <a href='/admin/orders' class='text-sm text-indigo-600'>&larr; All orders</a>
+  <div class='flex items-center gap-3 mt-2'><h2 class='text-2xl font-bold'>Order #${order.id}</h2>${orderStatusBadge(order.status)}</div>
+  ${error ? `<div class='mt-4 p-3 bg-rose-50 border border-rose-100 text-rose-700 rounded'>${escapeHtml(error)}</div>` : ''}
+  <div class='grid md:grid-cols-3 gap-6 mt-6'>
+    <div class='md:col-span-2 bg-white border rounded-xl p-4'>
+      <dl class='grid grid-cols-2 gap-y-2 text-sm'>
+        <dt class='text-slate-500'>Customer</dt><dd>${escapeHtml(order.email||'—')} ${order.user_name ? `(${escapeHtml(order.user_name)})` : ''}</dd>
+        <dt class='text-slate-500'>Instagram</dt><dd>${escapeHtml(order.ig_username||'—')}</dd>
+        <dt class='text-slate-500'>Plan</dt><dd>${escapeHtml(order.plan||'N/A')} • ${escapeHtml(order.billing_period||'')}</dd>
+        <dt class='text-slate-500'>Amount</dt><dd>${order.amount_usd != null ? currency(order.amount_usd) : '—'}</dd>
+        <dt class='text-slate-500'>Captured</dt><dd>${order.captured_usd != null ? currency(order.captured_usd) : '—'}${order.refunded_usd != null ? ` • refunded ${currency(order.refunded_usd)}` : ''}</dd>
+        <dt class='text-slate-500'>Payment</dt><dd>${escapeHtml(order.payment_provider||'—')} ${escapeHtml(order.payment_ref||'')}</dd>
+        <dt class='text-slate-500'>Subscription</dt><dd>${order.subscription_id ? `#${order.subscription_id}` : '—'}</dd>
+        <dt class='text-slate-500'>Created</dt><dd>${escapeHtml(order.created_at)}</dd>
+        <dt class='text-slate-500'>Notes</dt><dd>${escapeHtml(order.notes||'—')}</dd>
+      </dl>
+
+      <h3 class='font-bold mt-6'>History</h3>
+      <ul class='mt-2 space-y-2 text-sm'>
+        ${history.map(h=>`<li class='border-l-2 pl-3'>
+          <div>${h.from_status ? `${escapeHtml(h.from_status)} → ` : ''}<b>${escapeHtml(h.to_status)}</b> <span class='text-slate-500'>• ${escapeHtml(h.created_at)} • ${escapeHtml(h.actor_email || 'system')}</span></div>
+          ${h.reason ? `<div class='text-slate-600'>${escapeHtml(h.reason)}</div>` : ''}
+        </li>`).join('')}
+      </ul>
+
+      ${payments.length ? `<h3 class='font-bold mt-6'>Payment attempts</h3>
+      <ul class='mt-2 text-sm list-disc ml-6'>${payments.map(p=>`<li>${escapeHtml(p.intent_id)} • ${escapeHtml(p.provider)} • ${escapeHtml(p.status)} • ${escapeHtml(p.created_at)}</li>`).join('')}</ul>` : ''}
+    </div>
+    <div class='bg-white border rounded-xl p-4'>
+      <h3 class='font-bold'>Actions</h3>
+      ${actions.length ? `
+      <form method='post' action='/admin/orders/${order.id}/action' class='space-y-2 mt-3'>
+        <textarea name='reason' required rows='3' placeholder='Reason (required)' class='w-full px-3 py-2 rounded border'></textarea>
+        <div class='flex flex-wrap gap-2'>
+          ${actions.map(([key, a])=>`<button name='action' value='${key}' class='px-3 py-1 rounded text-white ${a.css}'>${a.label}</button>`).join('')}
+        </div>
+      </form>` : `<div class='text-sm text-slate-500 mt-3'>No actions available for ${escapeHtml(order.status)} orders.</div>`}
+    </div>
+  </div>
+</section>
+` });
+}
+
+function AdminLoginsView({ me, locked, attempts, filters }) {
+  return layout({ title: 'Login activity', user:me, content: `
+<section class='max-w-7xl mx-auto px-4 py-10'>
+  <div class='flex items-center justify-between'>
+    <h2 class='text-2xl font-bold'>Login activity</h2>
+    <a href='/dashboard' class='text-sm text-indigo-600'>&larr; Dashboard</a>
+  </div>
+  <div class='bg-white border rounded-xl p-4 mt-6'>
+    <h3 class='font-bold'>Locked accounts</h3>
+    ${locked.length ? `<table class='w-full text-sm mt-2'>
+      <thead><tr class='text-left text-slate-500'><th>Email</th><th>Role</th><th>Locked until (UTC)</th><th></th></tr></thead>
+      <tbody>${locked.map(u=>`<tr class='border-t'><td class='py-2'>${escapeHtml(u.email)}</td><td>${escapeHtml(u.role)}</td><td>${escapeHtml(u.locked_until)}</td>
+        <td><form method='post' action='/admin/logins/unlock'><input type='hidden' name='id' value='${u.id}' /><button class='px-3 py-1 rounded bg-emerald-600 text-white'>Unlock</button></form></td></tr>`).join('')}</tbody>
+    </table>` : `<div class='text-sm text-slate-500 mt-2'>No accounts are locked.</div>`}
+  </div>
+  <form method='get' class='grid md:grid-cols-4 gap-2 mt-6 bg-white border rounded-xl p-4'>
+    <input name='email' value='${escapeHtml(filters.email)}' placeholder='Email' class='px-3 py-2 rounded border' />
+    <input name='ip' value='${escapeHtml(filters.ip)}' placeholder='IP address' class='px-3 py-2 rounded border' />
+    <select name='result' class='px-3 py-2 rounded border'>
+      <option value=''>Any result</option>
+      ${['success','failure'].map(r=>`<option ${filters.result===r?'selected':''}>${r}</option>`).join('')}
+    </select>
+    <button class='px-3 py-2 rounded bg-indigo-600 text-white'>Filter</button>
+  </form>
+  <div class='bg-white border rounded-xl mt-4 overflow-x-auto'>
+    <table class='w-full text-sm'>
+      <caption class='p-3 text-left text-xs text-slate-500'>Latest 200 matching attempts; attempts older than ${LOGIN_ATTEMPT_RETENTION_DAYS} days are deleted.</caption>
+      <thead><tr class='text-left text-slate-500 border-b'><th class='p-3'>When (UTC)</th><th>Email</th><th>Result</th><th>IP</th><th>User agent</th></tr></thead>
+      <tbody>${attempts.map(a=>`<tr class='border-t'>
+        <td class='p-3 whitespace-nowrap'>${escapeHtml(a.created_at)}</td>
+        <td>${escapeHtml(a.email)}</td>
+        <td>${a.success ? `<span class='text-emerald-700'>success</span>` : `<span class='text-rose-700'>${escapeHtml(a.reason||'failure')}</span>`}</td>
+        <td class='font-mono text-xs'>${escapeHtml(a.ip)}</td>
+        <td class='text-xs text-slate-500'>${escapeHtml(a.user_agent)}</td>
+      </tr>`).join('') || `<tr><td colspan='5' class='p-6 text-center text-slate-500'>No attempts recorded</td></tr>`}</tbody>
+    </table>
+  </div>
+  <div class='text-xs text-slate-500 mt-2'>Latest 200 matching attempts.</div>
+</section>
+` });
+}
+
+// Before / after columns: one "key: value" line per field, raw JSON for lists
+function auditValueHtml(json) {
+  if (json == null) return `<span class='text-slate-400'>—</span>`;
+  let v; try { v = JSON.parse(json); } catch(e) { return escapeHtml(json); }
+  if (v && typeof v === 'object' && !Array.isArray(v)) {
+    return Object.entries(v).map(([k, x]) => `<div><span class='text-slate-500'>${escapeHtml(k)}:</span> ${escapeHtml(displayValue(typeof x === 'string' ? x : JSON.stringify(x)))}</div>`).join('');
+  }
+  return escapeHtml(Array.isArray(v) ? v.join(', ') || '—' : String(v));
+}
+
+function AdminAuditView({ me, entries, filters, actions, targetTypes, page, pages, total }) {
+  const qs = extra => '?' + new URLSearchParams({ ...filters, ...extra }).toString();
+  return layout({ title: 'Audit log', user:me, content: `
+<section class='max-w-7xl mx-auto px-4 py-10'>
+  <div class='flex items-center justify-between'>
+    <h2 class='text-2xl font-bold'>Audit log <span class='text-base font-normal text-slate-500'>(${total})</span></h2>
+    <div class='text-sm'><a href='/admin/audit.csv${qs({})}' class='text-indigo-600 mr-4'>Export CSV</a><a href='/dashboard' class='text-indigo-600'>&larr; Dashboard</a></div>
+  </div>
+  <form method='get' class='grid md:grid-cols-8 gap-2 mt-6 bg-white border rounded-xl p-4'>
+    <input name='actor' value='${escapeHtml(filters.actor)}' placeholder='Actor email' class='px-3 py-2 rounded border' />
+    <select name='action' class='px-3 py-2 rounded border'>
+      <option value=''>Any action</option>
+      ${actions.map(a=>`<option ${filters.action===a?'selected':''}>${escapeHtml(a)}</option>`).join('')}
+    </select>
+    <select name='target_type' class='px-3 py-2 rounded border'>
+      <option value=''>Any target</option>
+      ${targetTypes.map(t=>`<option ${filters.target_type===t?'selected':''}>${escapeHtml(t)}</option>`).join('')}
+    </select>
+    <input name='target_id' value='${escapeHtml(filters.target_id)}' placeholder='Target #' class='px-3 py-2 rounded border' />
+    <input name='target' value='${escapeHtml(filters.target)}' placeholder='Target email / name' class='px-3 py-2 rounded border' />
+    <input type='date' name='from' value='${escapeHtml(filters.from)}' class='px-3 py-2 rounded border' />
+    <input type='date' name='to' value='${escapeHtml(filters.to)}' class='px-3 py-2 rounded border' />
+    <button class='px-3 py-2 rounded bg-indigo-600 text-white'>Filter</button>
+  </form>
+  <div class='bg-white border rounded-xl mt-4 overflow-x-auto'>
+    <table class='w-full text-sm'>
+      <thead><tr class='text-left text-slate-500 border-b'><th class='p-3'>When (UTC)</th><th>Actor</th><th>Action</th><th>Target</th><th>Before</th><th>After</th><th>IP</th></tr></thead>
+      <tbody>${entries.map(e=>`<tr class='border-t align-top'>
+        <td class='p-3 whitespace-nowrap'>${escapeHtml(e.created_at)}</td>
+        <td>${escapeHtml(e.actor_email||'system')}</td>
+        <td class='font-mono text-xs'>${escapeHtml(e.action)}</td>
+        <td>${escapeHtml(e.target_type||'')}${e.target_id != null ? ` #${e.target_id}` : ''}<div class='text-xs text-slate-500'>${escapeHtml(e.target_label||'')}</div></td>
+        <td class='text-xs max-w-xs break-words'>${auditValueHtml(e.before_value)}</td>
+        <td class='text-xs max-w-xs break-words'>${auditValueHtml(e.after_value)}</td>
+        <td class='font-mono text-xs'>${escapeHtml(e.ip)}</td>
+      </tr>`).join('') || `<tr><td colspan='7' class='p-6 text-center text-slate-500'>No entries match these filters</td></tr>`}</tbody>
+    </table>
+  </div>
+  <div class='flex items-center justify-between mt-4 text-sm'>
+    <div>Page ${page} of ${pages}</div>
+    <div class='flex gap-2'>
+      ${page > 1 ? `<a class='px-3 py-1 rounded border' href='${qs({ page: page-1 })}'>&larr; Prev</a>` : ''}
+      ${page < pages ? `<a class='px-3 py-1 rounded border' href='${qs({ page: page+1 })}'>Next &rarr;</a>` : ''}
+    </div>
+  </div>
+</section>
+` });
+}
+
+function AdminRolesView({ me, matrix, saved }) {
+  return layout({ title: 'Roles & permissions', user:me, content: `
+<section class='max-w-5xl mx-auto px-4 py-10'>
+  <div class='flex items-center justify-between'>
+    <h2 class='text-2xl font-bold'>Roles &amp; permissions</h2>
+    <a href='/dashboard' class='text-sm text-indigo-600'>&larr; Dashboard</a>
+  </div>
+  ${saved ? `<div class='mt-4 p-3 bg-emerald-50 border border-emerald-100 text-emerald-700 rounded'>Permissions saved</div>` : ''}
+  <p class='text-sm text-slate-600 mt-2'>Admins always hold every capability. Account actions (promote, demote, delete, role changes) also only reach accounts ranked below the actor, and only an admin can change the capabilities of their own rank.</p>
+  <form method='post' action='/admin/roles' class='bg-white border rounded-xl mt-4 overflow-x-auto'>
+    <table class='w-full text-sm'>
+      <thead><tr class='text-left text-slate-500 border-b'><th class='p-3'>Capability</th>${ROLES.map(r=>`<th class='text-center'>${r}</th>`).join('')}</tr></thead>
+      <tbody>${CAPABILITIES.map(([cap, label])=>`<tr class='border-t'>
+        <td class='p-3'><div class='font-mono text-xs'>${cap}</div><div class='text-slate-500'>${escapeHtml(label)}</div></td>
+        ${ROLES.map(r=>`<td class='text-center'><input type='checkbox' name='cap_${r}' value='${cap}' ${matrix[r].includes(cap)?'checked':''} ${canEditRole(me, r)?'':'disabled'} /></td>`).join('')}
+      </tr>`).join('')}</tbody>
+    </table>
+    <div class='p-3 border-t'><button class='px-3 py-2 rounded bg-indigo-600 text-white'>Save permissions</button></div>
+  </form>
+</section>
+` });
+}
+
+function campaignStatusBadge(status) {
+  const css = { draft: 'bg-slate-100 text-slate-700', scheduled: 'bg-amber-100 text-amber-800', sending: 'bg-indigo-100 text-indigo-800', sent: 'bg-emerald-100 text-emerald-800' }[status] || 'bg-slate-100';
+  return `<span class='px-2 py-0.5 rounded text-xs font-semibold ${css}'>${escapeHtml(status)}</span>`;
+}
+
+function CampaignFields(campaign = {}) {
+  return `
+    <input name='subject' required value='${escapeHtml(campaign.subject)}' placeholder='Subject' class='w-full px-3 py-2 rounded-xl border' />
+    <textarea name='body' rows='10' placeholder='Newsletter body (Markdown)' class='w-full px-3 py-2 rounded-xl border font-mono text-sm'>${escapeHtml(campaign.body)}</textarea>
+    <label class='text-sm flex items-center gap-2'>Append latest blog posts
+      <select name='include_posts' class='px-2 py-1 rounded border'>
+        ${[0,3,5].map(n=>`<option value='${n}' ${Number(campaign.include_posts||0)===n?'selected':''}>${n ? n : 'none'}</option>`).join('')}
+      </select>
+    </label>`;
+}
+
+function AdminNewsletterView({ me, campaigns, audience, error, form }) {
+  return layout({ title: 'Newsletter', user:me, content: `
+<section class='max-w-7xl mx-auto px-4 py-10'>
+  <div class='flex items-center justify-between'>
+    <h2 class='text-2xl font-bold'>Newsletter <span class='text-base font-normal text-slate-500'>(${audience} recipients)</span></h2>
+    <div class='text-sm'><a href='/admin/subscribers' class='text-indigo-600 mr-4'>Subscribers</a><a href='/dashboard' class='text-indigo-600'>&larr; Dashboard</a></div>
+  </div>
+  ${error ? `<div class='mt-4 p-3 bg-rose-50 border border-rose-100 text-rose-700 rounded'>${escapeHtml(error)}</div>` : ''}
+  <div class='grid md:grid-cols-3 gap-6 mt-6'>
+    <div class='md:col-span-2 bg-white border rounded-xl overflow-x-auto'>
+      <table class='w-full text-sm'>
+        <thead><tr class='text-left text-slate-500 border-b'><th class='p-3'>#</th><th>Subject</th><th>Status</th><th>When</th><th>Recipients</th><th></th></tr></thead>
+        <tbody>
+          ${campaigns.map(c=>`<tr class='border-t'>
+            <td class='p-3'>${c.id}</td>
+            <td>${escapeHtml(c.subject)}</td>
+            <td>${campaignStatusBadge(c.status)}</td>
+            <td>${escapeHtml(c.sent_at || (c.scheduled_at ? `${c.scheduled_at} UTC` : c.created_at))}</td>
+            <td>${c.status === 'sent' ? `${c.delivered}/${c.recipient_count}${c.failed ? ` • ${c.failed} failed` : ''}` : '—'}</td>
+            <td><a class='text-indigo-600 underline' href='/admin/newsletter/${c.id}'>Open</a></td>
+          </tr>`).join('') || `<tr><td colspan='6' class='p-6 text-center text-slate-500'>No campaigns yet</td></tr>`}
+        </tbody>
+      </table>
+    </div>
+    <div class='bg-white border rounded-xl p-4'>
+      <h3 class='font-bold'>New campaign</h3>
+      <form method='post' action='/admin/newsletter' class='space-y-2 mt-2'>
+        ${CampaignFields(form)}
+        <button class='px-3 py-2 rounded-xl bg-indigo-600 text-white'>Save draft &amp; preview</button>
+      </form>
+    </div>
+  </div>
+</section>
+` });
+}
+
+function AdminCampaignView({ me, campaign, preview, recipients, stats, error, flash }) {
+  const editable = campaign.status === 'draft';
+  return layout({ title: `Campaign #${campaign.id}`, user:me, content: `
+<section class='max-w-6xl mx-auto px-4 py-10'>
+  <a href='/admin/newsletter' class='text-sm text-indigo-600'>&larr; All campaigns</a>
+  <div class='flex items-center gap-3 mt-2'><h2 class='text-2xl font-bold'>${escapeHtml(campaign.subject)}</h2>${campaignStatusBadge(campaign.status)}</div>
+  ${error ? `<div class='mt-4 p-3 bg-rose-50 border border-rose-100 text-rose-700 rounded'>${escapeHtml(error)}</div>` : ''}
+  ${FlashMessage(flash)}
+  <div class='grid md:grid-cols-3 gap-6 mt-6'>
+    <div class='md:col-span-2 bg-white border rounded-xl p-4'>
+      <h3 class='font-bold'>Preview</h3>
+      <div class='text-xs text-slate-500 mt-1'>Subject: ${escapeHtml(preview.subject)}</div>
+      <iframe class='w-full mt-2 border rounded' style='height:480px' sandbox srcdoc="${escapeHtml(preview.html)}"></iframe>
+      ${campaign.status === 'sent' ? `
+      <h3 class='font-bold mt-6'>Recipients</h3>
+      <div class='text-sm text-slate-600'>${stats.sent} sent • ${stats.queued} queued • ${stats.failed} failed</div>
+      <table class='w-full text-sm mt-2'>
+        <thead><tr class='text-left text-slate-500'><th>Email</th><th>Status</th><th>Attempts</th><th>Last error</th></tr></thead>
+        <tbody>${recipients.map(r=>`<tr class='border-t'><td>${escapeHtml(r.email)}</td><td>${escapeHtml(r.status||'queued')}</td><td>${r.attempts||0}</td><td class='text-rose-700'>${escapeHtml(r.last_error||'')}</td></tr>`).join('')}</tbody>
+      </table>` : ''}
+    </div>
+    <div class='bg-white border rounded-xl p-4 space-y-4'>
+      ${editable ? `
+      <form method='post' action='/admin/newsletter/${campaign.id}' class='space-y-2'>
+        ${CampaignFields(campaign)}
+        <button class='px-3 py-2 rounded-xl bg-slate-800 text-white'>Save draft</button>
+      </form>` : ''}
+      ${campaign.status !== 'sent' && campaign.status !== 'sending' ? `
+      <form method='post' action='/admin/newsletter/${campaign.id}/test'>
+        <button class='px-3 py-2 rounded-xl border w-full'>Send test to ${escapeHtml(me.email)}</button>
+      </form>
+      ${editable ? `
+      <form method='post' action='/admin/newsletter/${campaign.id}/schedule' class='space-y-2'>
+        <label class='text-sm block'>Send at (UTC)<input type='datetime-local' name='scheduled_at' required class='w-full px-3 py-2 rounded border mt-1' /></label>
+        <button class='px-3 py-2 rounded-xl bg-amber-500 text-white w-full'>Schedule</button>
+      </form>` : `
+      <div class='text-sm'>Scheduled for <b>${escapeHtml(campaign.scheduled_at)} UTC</b></div>
+      <form method='post' action='/admin/newsletter/${campaign.id}/unschedule'><button class='px-3 py-2 rounded-xl border w-full'>Unschedule (back to draft)</button></form>`}
+      <form method='post' action='/admin/newsletter/${campaign.id}/send' onsubmit="return confirm('Send this campaign to ${stats.audience} recipients now?')">
+        <button class='px-3 py-2 rounded-xl bg-indigo-600 text-white w-full'>Send now to ${stats.audience} recipients</button>
+      </form>` : `<div class='text-sm text-slate-600'>Sent ${escapeHtml(campaign.sent_at||'')} to ${campaign.recipient_count} recipients.</div>`}
+    </div>
+  </div>
+</section>
+` });
+}
+
+function AdminSubscribersView({ me, subscribers, counts, q, status, importResult, error }) {
+  return layout({ title: 'Subscribers', user:me, content: `
+<section class='max-w-7xl mx-auto px-4 py-10'>
+  <div class='flex items-center justify-between'>
+    <h2 class='text-2xl font-bold'>Subscribers</h2>
+    <div class='text-sm'><a href='/admin/newsletter' class='text-indigo-600 mr-4'>Newsletter</a><a href='/dashboard' class='text-indigo-600'>&larr; Dashboard</a></div>
+  </div>
+  <div class='text-sm text-slate-600 mt-1'>${counts.confirmed||0} confirmed • ${counts.pending||0} awaiting confirmation • ${counts.unsubscribed||0} unsubscribed</div>
+  ${error ? `<div class='mt-4 p-3 bg-rose-50 border border-rose-100 text-rose-700 rounded'>${escapeHtml(error)}</div>` : ''}
+  ${importResult ? `<div class='mt-4 p-3 bg-emerald-50 border border-emerald-100 text-emerald-700 rounded'>
+    Imported: ${importResult.added} added, ${importResult.updated} updated${importResult.keptOptOut ? `, ${importResult.keptOptOut} left unsubscribed (opted out)` : ''}.
+    ${importResult.invalid.length ? `<div class='text-rose-700 mt-1'>Skipped ${importResult.invalid.length} invalid: ${escapeHtml(importResult.invalid.slice(0, 10).join(', '))}${importResult.invalid.length > 10 ? '…' : ''}</div>` : ''}
+  </div>` : ''}
+  <div class='grid md:grid-cols-3 gap-6 mt-6'>
+    <div class='md:col-span-2'>
+      <form method='get' class='flex gap-2 bg-white border rounded-xl p-3'>
+        <input name='q' value='${escapeHtml(q)}' placeholder='Search email' class='flex-1 px-3 py-2 rounded border' />
+        <select name='status' class='px-3 py-2 rounded border'>
+          <option value=''>Any status</option>
+          ${['pending','confirmed','unsubscribed'].map(st=>`<option ${status===st?'selected':''}>${st}</option>`).join('')}
+        </select>
+        <button class='px-3 py-2 rounded bg-indigo-600 text-white'>Filter</button>
+      </form>
+      <div class='bg-white border rounded-xl mt-4 overflow-x-auto'>
+        <table class='w-full text-sm'>
+          <thead><tr class='text-left text-slate-500 border-b'><th class='p-3'>Email</th><th>Status</th><th>Source</th><th>Joined</th><th>Confirmed</th><th>Unsubscribed</th></tr></thead>
+          <tbody>${subscribers.map(s=>`<tr class='border-t'>
+            <td class='p-3'>${escapeHtml(s.email)}</td><td>${escapeHtml(s.status)}</td><td>${escapeHtml(s.source||'—')}</td>
+            <td>${escapeHtml(String(s.created_at||'').slice(0,10))}</td><td>${escapeHtml(String(s.confirmed_at||'—').slice(0,10))}</td><td>${escapeHtml(String(s.unsubscribed_at||'—').slice(0,10))}</td>
+          </tr>`).join('') || `<tr><td colspan='6' class='p-6 text-center text-slate-500'>No subscribers match</td></tr>`}</tbody>
+        </table>
+      </div>
+      <div class='text-xs text-slate-500 mt-2'>Showing up to 200 rows — export for the full list.</div>
+    </div>
+    <div class='bg-white border rounded-xl p-4 space-y-4'>
+      <div>
+        <h3 class='font-bold'>Export</h3>
+        <a href='/admin/subscribers.csv' class='inline-block mt-2 px-3 py-2 rounded-xl border'>Download CSV</a>
+      </div>
+      <form method='post' action='/admin/subscribers/import' class='space-y-2'>
+        <h3 class='font-bold'>Import CSV</h3>
+        <div class='text-xs text-slate-500'>Columns: <code>email</code> and optional <code>status</code> (confirmed, pending, unsubscribed). Rows default to confirmed; pending rows get a confirmation email; existing opt-outs are kept.</div>
+        <input type='file' accept='.csv,text/csv' onchange="const f=this.files[0]; if (f) f.text().then(t=>{ this.form.csv.value=t; })" class='text-sm' />
+        <textarea name='csv' rows='8' placeholder='email,status' class='w-full px-3 py-2 rounded-xl border font-mono text-xs'></textarea>
+        <button class='px-3 py-2 rounded-xl bg-indigo-600 text-white'>Import</button>
+      </form>
+    </div>
+  </div>
+</section>
+` });
+}
+
+// Targeting editor shared by the customer account and the staff user panel
+function TargetingForm({ action, target, userId, withNotes }) {
+  const chips = (list, css) => list.map(x=>`<span class='inline-block px-2 py-0.5 mr-1 mb-1 rounded-full text-xs ${css}'>${escapeHtml(x)}</span>`).join('');
+  const competitors = targetList(target.competitors, '@');
+  const hashtags = targetList(target.hashtags, '#');
+  return `
+  <form method='post' action='${action}' class='space-y-2 mt-2'>
+    ${userId ? `<input type='hidden' name='user_id' value='${userId}' />` : ''}
+    <label class='block text-xs text-slate-500'>Niche</label>
+    <input name='niche' value='${escapeHtml(target.niche)}' placeholder='e.g. Fitness & Wellness' class='w-full px-3 py-2 rounded border' />
+    <label class='block text-xs text-slate-500'>Competitor accounts (one per line)</label>
+    <div>${chips(competitors, 'bg-indigo-50 text-indigo-700')}</div>
+    <textarea name='competitors' rows='3' placeholder='@account' class='w-full px-3 py-2 rounded border'>${escapeHtml(competitors.join('\n'))}</textarea>
+    <label class='block text-xs text-slate-500'>Hashtags (one per line)</label>
+    <div>${chips(hashtags, 'bg-purple-50 text-purple-700')}</div>
+    <textarea name='hashtags' rows='3' placeholder='#hashtag' class='w-full px-3 py-2 rounded border'>${escapeHtml(hashtags.join('\n'))}</textarea>
+    <label class='block text-xs text-slate-500'>Geo</label>
+    <input name='geo' value='${escapeHtml(target.geo)}' placeholder='Country / city' class='w-full px-3 py-2 rounded border' />
+    ${withNotes ? `<label class='block text-xs text-slate-500'>Notes</label><textarea name='notes' rows='2' class='w-full px-3 py-2 rounded border'>${escapeHtml(target.notes)}</textarea>` : ''}
+    <button class='px-3 py-2 rounded bg-indigo-600 text-white'>Save targeting</button>
+  </form>`;
+}
+
+function TargetHistoryList(history) {
+  const show = v => escapeHtml(displayValue(v));
+  return `<ul class='space-y-2 text-xs'>${history.map(h=>`
+    <li class='border-l-2 pl-2'>
+      <div class='text-slate-500'>${escapeHtml(h.created_at)} • ${escapeHtml(h.actor_email||'system')}</div>
+      ${Object.entries(historyChanges(h)).map(([k,[a,b]])=>`<div><b>${escapeHtml(k)}</b>: ${show(a)} → ${show(b)}</div>`).join('')}
+    </li>`).join('') || `<li class='text-slate-500'>No changes recorded</li>`}</ul>`;
+}
+
+function AutomationPanel({ user, settings, audit }) {
+  const hashtags = targetList(settings.hashtags, '#');
+  const label = f => (AUTOMATION_CHANNELS.concat(COMPLAINT_FIELDS).find(([k]) => k === f) || [f, f.replace(/_/g, ' ')])[1];
+  return `
+  <form method='post' action='/staff/automation' class='space-y-3 mt-2'>
+    <input type='hidden' name='user_id' value='${user.id}' />
+    <div class='flex flex-wrap gap-4'>
+      ${AUTOMATION_CHANNELS.map(([f, name])=>`<label class='flex items-center gap-2 text-sm'><input type='checkbox' name='${f}' value='1' ${settings[f]?'checked':''} /> ${name}</label>`).join('')}
+    </div>
+    <div>
+      <label class='block text-xs text-slate-500'>Following status</label>
+      <select name='following_status' class='w-full px-3 py-2 rounded border'>
+        ${FOLLOWING_STATUSES.includes(settings.following_status) ? '' : `<option value='' selected disabled>Select status</option>`}
+        ${FOLLOWING_STATUSES.map(st=>`<option ${st===settings.following_status?'selected':''}>${st}</option>`).join('')}
+      </select>
+    </div>
+    <div>
+      <label class='block text-xs text-slate-500'>Engagement hashtags</label>
+      <textarea name='hashtags' rows='2' class='w-full px-3 py-2 rounded border'>${escapeHtml(hashtags.join(' '))}</textarea>
+    </div>
+    ${COMPLAINT_FIELDS.map(([f, name])=>`
+    <div>
+      <label class='block text-xs text-slate-500'>${name}</label>
+      <textarea name='${f}' rows='2' class='w-full px-3 py-2 rounded border'>${escapeHtml(settings[f])}</textarea>
+    </div>`).join('')}
+    <button class='px-3 py-2 rounded bg-indigo-600 text-white'>Save automation</button>
+  </form>
+  <h5 class='font-semibold text-sm mt-4'>Change log</h5>
+  <ul class='space-y-1 text-xs mt-1'>
+    ${audit.map(a=>`<li><span class='text-slate-500'>${escapeHtml(a.created_at)} • ${escapeHtml(a.actor_email||'system')}</span> — <b>${escapeHtml(label(a.field))}</b>: ${escapeHtml(displayValue(a.old_value))} → ${escapeHtml(displayValue(a.new_value))}</li>`).join('') || `<li class='text-slate-500'>No changes recorded</li>`}
+  </ul>`;
+}
+
+function StaffTicketsView({ me, tickets, filters, counts }) {
+  const tab = (st, label) => `<a href='/staff/tickets?status=${st}&assigned=${escapeHtml(filters.assigned)}' class='px-3 py-1 rounded-full text-sm ${filters.status===st?'bg-slate-900 text-white':'bg-slate-100'}'>${label}${counts[st] != null ? ` (${counts[st]})` : ''}</a>`;
+  return layout({ title: 'Support Inbox', user:me, content: `
+<section class='max-w-7xl mx-auto px-4 py-10'>
+  <div class='flex items-center justify-between'>
+    <h2 class='text-2xl font-bold'>Support Inbox</h2>
+    <a href='/staff' class='text-sm text-indigo-600'>&larr; Control Panel</a>
+  </div>
+  <div class='flex flex-wrap items-center gap-2 mt-6'>
+    ${tab('open','Open')}${tab('pending','Pending')}${tab('closed','Closed')}${tab('all','All')}
+    <form method='get' class='ml-auto'>
+      <input type='hidden' name='status' value='${escapeHtml(filters.status)}' />
+      <select name='assigned' onchange='this.form.submit()' class='px-3 py-1 rounded border text-sm'>
+        ${[['all','Anyone'],['me','Assigned to me'],['unassigned','Unassigned']].map(([v,l])=>`<option value='${v}' ${filters.assigned===v?'selected':''}>${l}</option>`).join('')}
+      </select>
+    </form>
+  </div>
+  <div class='bg-white border rounded-xl mt-4 overflow-x-auto'>
+    <table class='w-full text-sm'>
+      <thead><tr class='text-left text-slate-500 border-b'><th class='p-3'>#</th><th>Subject</th><th>From</th><th>Status</th><th>Assignee</th><th>Updated</th></tr></thead>
+      <tbody>${tickets.map(t=>`<tr class='border-t'>
+        <td class='p-3'>${t.id}</td>
+        <td><a class='text-indigo-600 underline' href='/staff/tickets/${t.id}'>${escapeHtml(t.subject||'(no subject)')}</a> <span class='text-xs text-slate-500'>${t.replies} msg</span></td>
+        <td>${escapeHtml(t.email||'—')}</td>
+        <td>${escapeHtml(t.status)}</td>
+        <td>${escapeHtml(t.assignee_email||'—')}</td>
+        <td>${escapeHtml(t.updated_at||t.created_at)}</td>
+      </tr>`).join('') || `<tr><td colspan='6' class='p-6 text-center text-slate-500'>No tickets here</td></tr>`}</tbody>
+    </table>
+  </div>
+</section>
+` });
+}
+
+function StaffTicketView({ me, ticket, messages, staff }) {
+  return layout({ title: `Ticket #${ticket.id}`, user:me, content: `
+<section class='max-w-6xl mx-auto px-4 py-10'>
+  <a href='/staff/tickets' class='text-sm text-indigo-600'>&larr; Inbox</a>
+  <h2 class='text-2xl font-bold mt-2'>#${ticket.id} ${escapeHtml(ticket.subject||'(no subject)')}</h2>
+  <div class='text-sm text-slate-500'>${escapeHtml(ticket.email||'—')} • IG: ${escapeHtml(ticket.instagram||'—')}${ticket.user_id ? ` • user #${ticket.user_id}` : ' • guest'}</div>
+  <div class='grid md:grid-cols-3 gap-6 mt-6'>
+    <div class='md:col-span-2'>
+      ${TicketThread({ ticket, messages, staffView: true })}
+      <form method='post' action='/staff/tickets/${ticket.id}/reply' class='space-y-2 mt-6'>
+        <textarea name='body' required rows='4' placeholder='Reply to the customer or add an internal note' class='w-full px-3 py-2 rounded border'></textarea>
+        <div class='flex items-center gap-4'>
+          <label class='flex items-center gap-2 text-sm'><input type='checkbox' name='internal' value='1' /> Internal note (not visible to the customer)</label>
+          <button class='ml-auto px-3 py-2 rounded bg-indigo-600 text-white'>Send</button>
+        </div>
+      </form>
+    </div>
+    <div class='bg-white border rounded-xl p-4 h-fit'>
+      <form method='post' action='/staff/tickets/${ticket.id}/update' class='space-y-3'>
+        <div>
+          <label class='block text-xs text-slate-500'>Status</label>
+          <select name='status' class='w-full px-3 py-2 rounded border'>${TICKET_STATUSES.map(st=>`<option ${st===ticket.status?'selected':''}>${st}</option>`).join('')}</select>
+        </div>
+        <div>
+          <label class='block text-xs text-slate-500'>Assigned to</label>
+          <select name='assigned_to' class='w-full px-3 py-2 rounded border'>
+            <option value=''>Unassigned</option>
+            ${staff.map(u=>`<option value='${u.id}' ${u.id===ticket.assigned_to?'selected':''}>${escapeHtml(u.name||u.email)}${u.id===me.id?' (me)':''}</option>`).join('')}
+          </select>
+        </div>
+        <button class='px-3 py-2 rounded bg-slate-900 text-white'>Update</button>
+      </form>
     </div>
   </div>
 </section>
 ` });
 }
 
+// Session flash: { message } after an action, { error: true, message } when it was refused
+function FlashMessage(flash, { spacing = 'mt-4', extra = '' } = {}) {
+  if (!flash || !flash.message) return '';
+  return `<div class='${spacing} p-3 rounded border ${flash.error ? 'bg-rose-50 border-rose-100 text-rose-700' : 'bg-emerald-50 border-emerald-100 text-emerald-700'}'>${escapeHtml(flash.message)}${flash.error ? '' : extra}</div>`;
+}
+
 // Staff control panel view (improved behaviour)
-function StaffPanelView({ me, users }) {
+function StaffPanelView({ me, users, flash }) {
   return layout({ title: 'Staff Panel', user:me, content: `
 <section class="max-w-7xl mx-auto px-4 py-10">
-  <div class="flex items-center justify-between"><h2 class="text-2xl font-bold">Staff Control Panel</h2><div class="text-sm text-slate-600">Signed in as <b>${escapeHtml(me.email)}</b></div></div>
+  <div class="flex items-center justify-between"><h2 class="text-2xl font-bold">Staff Control Panel</h2><div class="text-sm text-slate-600"><a href="/staff/tickets" class="text-indigo-600 underline mr-4">Support inbox</a>${can(me, 'metrics.edit') ? `<a href="/staff/metrics/import" class="text-indigo-600 underline mr-4">Import metrics</a>` : ''}${can(me, 'users.delete') ? `<a href="/staff/trash" class="text-indigo-600 underline mr-4">Trash</a>` : ''}<a href="/account/2fa" class="text-indigo-600 underline mr-4">Two-factor</a>Signed in as <b>${escapeHtml(me.email)}</b></div></div>
+  ${FlashMessage(flash, { extra: can(me, 'users.delete') ? ` <a class='underline' href='/staff/trash'>Open trash</a>` : '' })}
 
   <div class="grid md:grid-cols-3 gap-6 mt-6">
     <div class="md:col-span-2">
@@ -1185,8 +3404,9 @@ function StaffPanelView({ me, users }) {
                   <div class="text-xs text-slate-500">${escapeHtml(u.role)} • IG: ${escapeHtml(u.instagram||'—')}</div>
                 </div>
                 <div class="flex gap-2">
-                  ${u.role !== 'staff' ? `<form method="post" action="/staff/promote" style="display:inline"><input type="hidden" name="id" value="${u.id}"><button class="px-3 py-1 rounded bg-green-600 text-white">Promote</button></form>` : `<form method="post" action="/staff/demote" style="display:inline"><input type="hidden" name="id" value="${u.id}"><button class="px-3 py-1 rounded bg-amber-500 text-white">Demote</button></form>`}
-                  <form method="post" action="/staff/delete" style="display:inline" onsubmit="return confirm('Delete user?')"><input type="hidden" name="id" value="${u.id}"><button class="px-3 py-1 rounded bg-rose-600 text-white">Delete</button></form>
+                  ${can(me, 'users.promote') && canActOn(me, u) && u.role === 'user' && canGrantRole(me, 'staff') ? `<form method="post" action="/staff/promote" style="display:inline"><input type="hidden" name="id" value="${u.id}"><button class="px-3 py-1 rounded bg-green-600 text-white">Promote</button></form>` : ''}
+                  ${can(me, 'users.promote') && canActOn(me, u) && u.role === 'staff' ? `<form method="post" action="/staff/demote" style="display:inline"><input type="hidden" name="id" value="${u.id}"><button class="px-3 py-1 rounded bg-amber-500 text-white">Demote</button></form>` : ''}
+                  ${can(me, 'users.delete') && canActOn(me, u) ? `<form method="post" action="/staff/delete" style="display:inline" onsubmit="return confirm('Move this user to the trash?')"><input type="hidden" name="id" value="${u.id}"><button class="px-3 py-1 rounded bg-rose-600 text-white">Delete</button></form>` : ''}
                 </div>
               </div>
             </div>
@@ -1197,50 +3417,268 @@ function StaffPanelView({ me, users }) {
       <div id="user-detail-area" class="hidden mt-4"></div>
     </div>
 
-    <div class="bg-white border rounded-xl p-4">
-      <h3 class="font-bold">Add Staff</h3>
-      <form method="post" action="/staff/add" class="mt-3 space-y-2">
-        <input name="email" placeholder="Email" class="w-full px-3 py-2 rounded border" />
-        <input name="password" placeholder="Password" class="w-full px-3 py-2 rounded border" />
-        <input name="name" placeholder="Name" class="w-full px-3 py-2 rounded border" />
-        <button class="px-3 py-2 rounded bg-green-600 text-white">Create Staff Account</button>
-      </form>
-    </div>
+    ${can(me, 'users.create_staff') ? `<div class="bg-white border rounded-xl p-4">
+      <h3 class="font-bold">Add Staff</h3>
+      <form method="post" action="/staff/add" class="mt-3 space-y-2">
+        <input name="email" placeholder="Email" class="w-full px-3 py-2 rounded border" />
+        <input name="password" type="password" placeholder="Password (10+ chars, letters and numbers)" class="w-full px-3 py-2 rounded border" />
+        <input name="name" placeholder="Name" class="w-full px-3 py-2 rounded border" />
+        <button class="px-3 py-2 rounded bg-green-600 text-white">Create Staff Account</button>
+      </form>
+    </div>` : '<div></div>'}
+  </div>
+
+<script>
+  // When clicking a user row: hide list, load detail HTML into #user-detail-area
+  function openUserDetail(id) {
+      const usersList = document.getElementById('users-list');
+      const detailArea = document.getElementById('user-detail-area');
+      // Hide list
+      usersList.style.display = 'none';
+      // show loading then fetch detail fragment (we will render inline via route)
+      detailArea.classList.remove('hidden');
+      detailArea.innerHTML = '<div class="p-6 bg-white border rounded-xl">Loading...</div>';
+      fetch('/staff/user_detail/' + id).then(r=>r.text()).then(html=>{
+        detailArea.innerHTML = html + '<div class="mt-4"><button id="backToList" class="px-3 py-2 rounded bg-slate-200">Back to list</button></div>';
+        document.getElementById('backToList').addEventListener('click', ()=>{ detailArea.classList.add('hidden'); usersList.style.display = ''; detailArea.innerHTML=''; window.scrollTo({top:0, behavior:"smooth"}); });
+      });
+  }
+  document.querySelectorAll('.user-row').forEach(row=>{
+    row.addEventListener('click', (e)=>{
+      if (e.target.closest('form') || e.target.tagName === 'BUTTON') return;
+      openUserDetail(row.getAttribute('data-id'));
+    });
+  });
+  // forms inside the detail panel redirect back with ?user=<id> to reopen it
+  const reopen = new URLSearchParams(location.search).get('user');
+  if (reopen) openUserDetail(reopen);
+</script>
+</section>
+` });
+}
+
+// Client reports: a standalone page without the site chrome so it prints cleanly; one .page per client
+function reportSparkline(values, color) {
+  const points = values.map((v, i) => [i, v]).filter(([, v]) => v != null);
+  if (points.length < 2) return `<div class='muted'>Not enough data for a chart</div>`;
+  const w = 360, h = 90, min = Math.min(...points.map(p => p[1])), max = Math.max(...points.map(p => p[1]));
+  const x = i => Math.round(i / Math.max(1, values.length - 1) * (w - 8) + 4);
+  const y = v => Math.round(h - 14 - (max === min ? 0.5 : (v - min) / (max - min)) * (h - 28));
+  return `<svg viewBox='0 0 ${w} ${h}' width='100%' height='${h}' role='img'>
+    <polyline fill='none' stroke='${color}' stroke-width='2' points='${points.map(([i, v]) => `${x(i)},${y(v)}`).join(' ')}' />
+    <text x='4' y='10' font-size='10' fill='#64748b'>max ${max}</text><text x='4' y='${h - 2}' font-size='10' fill='#64748b'>min ${min}</text>
+  </svg>`;
+}
+
+function ClientReportPage(r) {
+  const monthName = new Date(r.from + 'T00:00:00Z').toLocaleString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+  const signed = v => v == null ? '—' : `${v >= 0 ? '+' : ''}${v}`;
+  const list = (value, prefix) => escapeHtml(targetList(value, prefix).join(' ') || '—');
+  const sub = r.subscription;
+  return `
+<div class='page'>
+  <div class='muted'>${escapeHtml(APP_TITLE)} • Performance report</div>
+  <h1>${escapeHtml(r.user.name || r.user.email)} — ${monthName}</h1>
+  <div class='muted'>${escapeHtml(r.user.email)}${r.user.instagram ? ` • ${escapeHtml(r.user.instagram)}` : ''} • ${r.from} to ${r.to}${r.partial ? ' (month in progress)' : ''}</div>
+
+  <h2>Growth</h2>
+  <div class='grid'>${METRICS.map(([m, label]) => { const g = r.growth[m]; return `<div class='card'>
+    <div class='muted'>${label}</div>
+    <div class='big'>${g.end == null ? '—' : g.end}</div>
+    <div class='${g.change > 0 ? 'up' : g.change < 0 ? 'down' : 'muted'}'>${g.end == null ? 'not recorded' : `${signed(g.change)}${g.pct != null ? ` (${signed(g.pct)}%)` : ''}`}</div>
+  </div>`; }).join('')}</div>
+  <div class='grid2'>
+    <div><div class='muted'>Followers</div>${reportSparkline(r.data.series.followers, '#4f46e5')}</div>
+    <div><div class='muted'>Likes</div>${reportSparkline(r.data.series.likes, '#db2777')}</div>
+  </div>
+
+  <h2>Best days</h2>
+  <div class='grid2'>${[['followers', 'Followers gained'], ['likes', 'Likes']].map(([m, label]) => `<div>
+    <div class='muted'>${label}</div>
+    <table>${r.bestDays[m].map(d => `<tr><td>${d.day}</td><td>+${d.change}</td></tr>`).join('') || `<tr><td class='muted'>No growth recorded</td></tr>`}</table>
+  </div>`).join('')}</div>
+
+  <h2>Targeting</h2>
+  <table>
+    <tr><th>Niche</th><td>${escapeHtml(r.target.niche || '—')}</td></tr>
+    <tr><th>Geo</th><td>${escapeHtml(r.target.geo || '—')}</td></tr>
+    <tr><th>Competitors</th><td>${list(r.target.competitors, '@')}</td></tr>
+    <tr><th>Hashtags</th><td>${list(r.target.hashtags, '#')}</td></tr>
+  </table>
+  <div class='muted' style='margin-top:6px'>${r.targetChanges.length ? `Changed ${r.targetChanges.length} time(s) this month: ${r.targetChanges.map(h => `${escapeHtml(String(h.created_at).slice(0, 10))} (${escapeHtml(Object.keys(historyChanges(h)).join(', ') || 'unreadable entry')})`).join('; ')}` : 'No targeting changes this month.'}</div>
+
+  <h2>Plan &amp; billing</h2>
+  <div>${sub ? `<b>${escapeHtml(sub.plan || 'N/A')}</b> • ${escapeHtml(sub.billing_period)} • ${escapeHtml(sub.status)}${sub.status === 'active' || sub.status === 'past_due' ? ` • ${sub.cancel_at_period_end ? 'ends' : 'renews'} ${escapeHtml(String(sub.current_period_end || '').slice(0, 10))}` : ''}` : `<span class='muted'>No subscription</span>`}</div>
+  <table style='margin-top:8px'>
+    <tr><th>Order</th><th>Date</th><th>Plan</th><th>Amount</th><th>Status</th></tr>
+    ${r.orders.map(o => `<tr><td>#${o.id}</td><td>${escapeHtml(String(o.paid_at || o.created_at).slice(0, 10))}</td><td>${escapeHtml(o.plan || 'N/A')}</td><td>${o.amount_usd != null ? currency(o.amount_usd) : '—'}</td><td>${escapeHtml(o.status)}</td></tr>`).join('') || `<tr><td colspan='5' class='muted'>No orders this month</td></tr>`}
+  </table>
+  <div style='margin-top:6px'>Paid this month: <b>${currency(r.paid)}</b></div>
+</div>`;
+}
+
+function ClientReportDocument({ title, reports, month, backHref, csvHref }) {
+  return `<!doctype html>
+<html lang='en'><head><meta charset='utf-8'><meta name='viewport' content='width=device-width, initial-scale=1'>
+<title>${escapeHtml(title)} — ${escapeHtml(APP_TITLE)}</title>
+<style>
+  body { font-family: system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif; color: #0f172a; margin: 0; background: #f1f5f9; }
+  .toolbar { max-width: 820px; margin: 16px auto 0; display: flex; gap: 12px; align-items: center; font-size: 14px; }
+  .toolbar a { color: #4f46e5; }
+  .page { background: #fff; max-width: 820px; margin: 16px auto; padding: 32px; border: 1px solid #e2e8f0; border-radius: 12px; }
+  h1 { font-size: 22px; margin: 4px 0; }
+  h2 { font-size: 13px; margin: 24px 0 8px; text-transform: uppercase; letter-spacing: .05em; color: #4f46e5; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; }
+  th, td { text-align: left; padding: 5px 8px; border-bottom: 1px solid #e2e8f0; }
+  th { color: #64748b; font-weight: 600; width: 25%; }
+  .muted { color: #64748b; font-size: 12px; }
+  .grid { display: grid; grid-template-columns: repeat(4, 1fr); gap: 12px; }
+  .grid2 { display: grid; grid-template-columns: 1fr 1fr; gap: 16px; margin-top: 12px; }
+  .card { border: 1px solid #e2e8f0; border-radius: 8px; padding: 10px; }
+  .big { font-size: 20px; font-weight: 700; }
+  .up { color: #059669; font-size: 13px; } .down { color: #e11d48; font-size: 13px; }
+  @media print {
+    body { background: #fff; } .toolbar { display: none; }
+    .page { border: 0; margin: 0; padding: 0; max-width: none; break-after: page; } .page:last-child { break-after: auto; }
+  }
+</style></head>
+<body>
+  <div class='toolbar'>
+    <a href='${escapeHtml(backHref)}'>&larr; Back</a>
+    <form method='get' style='display:flex;gap:6px;margin:0'><input type='month' name='month' value='${month}' max='${sqlNow().slice(0, 7)}' /><button>Show</button></form>
+    <a href='${escapeHtml(csvHref)}'>Download CSV</a>
+    <button onclick='window.print()'>Print / Save as PDF</button>
+  </div>
+  ${reports.map(ClientReportPage).join('') || `<div class='page muted'>No active clients.</div>`}
+</body></html>`;
+}
+
+function AdminReportsView({ me, month, clients }) {
+  return layout({ title: 'Client reports', user:me, content: `
+<section class='max-w-5xl mx-auto px-4 py-10'>
+  <div class='flex items-center justify-between'>
+    <h2 class='text-2xl font-bold'>Client reports</h2>
+    <a href='/dashboard' class='text-sm text-indigo-600'>&larr; Dashboard</a>
+  </div>
+  <form method='get' class='flex flex-wrap items-center gap-2 mt-4 bg-white border rounded-xl p-3'>
+    <label class='text-sm text-slate-600'>Month</label>
+    <input type='month' name='month' value='${month}' max='${sqlNow().slice(0, 7)}' class='px-3 py-2 rounded border' />
+    <button class='px-3 py-2 rounded bg-indigo-600 text-white'>Show</button>
+    <span class='flex-1'></span>
+    <a href='/admin/reports/all?month=${month}' class='px-3 py-2 rounded-xl bg-slate-800 text-white text-sm'>All clients — printable / PDF</a>
+    <a href='/admin/reports/all.csv?month=${month}' class='px-3 py-2 rounded-xl border text-sm'>All clients — CSV summary</a>
+  </form>
+  <div class='bg-white border rounded-xl mt-4 overflow-x-auto'>
+    <table class='w-full text-sm'>
+      <thead><tr class='text-left text-slate-500 border-b'><th class='p-3'>Client</th><th>Instagram</th><th>Plan</th><th></th></tr></thead>
+      <tbody>${clients.map(c=>`<tr class='border-t'>
+        <td class='p-3'>${escapeHtml(c.email)}</td><td>${escapeHtml(c.instagram||'—')}</td><td>${escapeHtml(c.plan||'N/A')}</td>
+        <td class='text-right pr-3'><a class='text-indigo-600 underline mr-3' href='/staff/reports/${c.id}?month=${month}'>Report</a><a class='text-indigo-600 underline' href='/staff/reports/${c.id}.csv?month=${month}'>CSV</a></td>
+      </tr>`).join('') || `<tr><td colspan='4' class='p-6 text-center text-slate-500'>No clients with an active subscription</td></tr>`}</tbody>
+    </table>
+  </div>
+  <p class='text-xs text-slate-500 mt-2'>Active clients are customer accounts with an active or past-due subscription. Use the browser's print dialog to save a report as PDF.</p>
+</section>
+` });
+}
+
+function StaffMetricsImportView({ me, data = '', kinds = METRIC_IMPORT_KINDS, report, committed, error }) {
+  const kindInputs = hidden => METRICS.map(([m, label]) => hidden
+    ? `<input type='hidden' name='kind_${m}' value='${kinds[m]}' />`
+    : `<label class='text-xs text-slate-500'>${label}<select name='kind_${m}' class='block w-full px-2 py-1 rounded border text-sm'>
+        <option value='snapshot' ${kinds[m] === 'snapshot' ? 'selected' : ''}>total</option>
+        <option value='increment' ${kinds[m] === 'increment' ? 'selected' : ''}>change</option>
+      </select></label>`).join('');
+  const label = metric => (METRICS.find(([m]) => m === metric) || [, metric])[1];
+  const total = v => v == null ? '—' : v;
+  return layout({ title: 'Import metrics', user:me, content: `
+<section class='max-w-6xl mx-auto px-4 py-10'>
+  <div class='flex items-center justify-between'>
+    <h2 class='text-2xl font-bold'>Import metrics</h2>
+    <a href='/staff' class='text-sm text-indigo-600'>&larr; Staff panel</a>
   </div>
+  ${error ? `<div class='mt-4 p-3 bg-rose-50 border border-rose-100 text-rose-700 rounded'>${escapeHtml(error)}</div>` : ''}
+  ${report ? `
+  <div class='mt-4 p-3 rounded border ${committed ? 'bg-emerald-50 border-emerald-100 text-emerald-700' : 'bg-amber-50 border-amber-100 text-amber-800'}'>
+    ${committed ? 'Imported' : 'Preview — nothing saved yet:'} ${report.points} points for ${report.accounts} account(s) from ${report.rows} rows${report.duplicates ? `, ${report.duplicates} already imported` : ''}${report.skipped.length ? `, ${report.skipped.length} rows skipped` : ''}.
+  </div>
+  ${report.changes.length ? `<div class='bg-white border rounded-xl mt-4 overflow-x-auto'>
+    <table class='w-full text-sm'>
+      <thead><tr class='text-left text-slate-500 border-b'><th class='p-3'>Account</th><th>Metric</th><th>Points</th><th>Latest total before</th><th>${committed ? 'Latest total now' : 'After import'}</th></tr></thead>
+      <tbody>${report.changes.map(c=>`<tr class='border-t'><td class='p-3'>${escapeHtml(c.email)}</td><td>${label(c.metric)}</td><td>${c.points}</td><td>${total(c.before)}</td><td class='font-semibold'>${total(c.after)}</td></tr>`).join('')}</tbody>
+    </table>
+  </div>` : ''}
+  ${report.skipped.length ? `<div class='bg-white border rounded-xl mt-4 overflow-x-auto'>
+    <h3 class='font-bold p-3 pb-0'>Skipped rows</h3>
+    <table class='w-full text-sm'>
+      <thead><tr class='text-left text-slate-500 border-b'><th class='p-3'>Row</th><th>Account</th><th>Reason</th></tr></thead>
+      <tbody>${report.skipped.slice(0, 200).map(r=>`<tr class='border-t'><td class='p-3'>${r.row}</td><td>${escapeHtml(r.account || '—')}</td><td class='text-rose-700'>${escapeHtml(r.reason)}</td></tr>`).join('')}</tbody>
+    </table>
+    ${report.skipped.length > 200 ? `<div class='text-xs text-slate-500 p-3'>…and ${report.skipped.length - 200} more</div>` : ''}
+  </div>` : ''}
+  ${!committed && report.points ? `<form method='post' action='/staff/metrics/import' class='mt-4'>
+    <textarea name='data' class='hidden'>${escapeHtml(data)}</textarea>
+    ${kindInputs(true)}
+    <input type='hidden' name='commit' value='1' />
+    <button class='px-4 py-2 rounded-xl bg-indigo-600 text-white'>Import ${report.points} points</button>
+    <a href='/staff/metrics/import' class='ml-3 text-sm text-slate-600'>Cancel</a>
+  </form>` : ''}` : ''}
+  <form method='post' action='/staff/metrics/import' class='bg-white border rounded-xl p-4 mt-6 space-y-3'>
+    <div class='text-sm text-slate-600'>CSV with a header row, or JSON (an array of objects). Columns: <code>handle</code> (Instagram) or <code>email</code>, <code>date</code> (YYYY-MM-DD) and any of <code>followers</code> (or <code>follows</code>), <code>likes</code>, <code>comments</code>, <code>reach</code>. You get a preview before anything is saved; importing the same file twice doesn't add the points again.</div>
+    <input type='file' accept='.csv,.json,text/csv,application/json' onchange="const f=this.files[0]; if (f) f.text().then(t=>{ this.form.data.value=t; })" class='text-sm' />
+    <textarea name='data' rows='10' placeholder='handle,date,likes,follows' class='w-full px-3 py-2 rounded-xl border font-mono text-xs'>${committed ? '' : escapeHtml(data)}</textarea>
+    <div class='text-xs text-slate-500'>For each metric, the file holds the account's total on that day or the change that day:</div>
+    <div class='grid grid-cols-2 md:grid-cols-4 gap-2'>${kindInputs(false)}</div>
+    <button class='px-3 py-2 rounded-xl bg-indigo-600 text-white'>Preview</button>
+  </form>
+</section>
+` });
+}
 
-<script>
-  // When clicking a user row: hide list, load detail HTML into #user-detail-area
-  document.querySelectorAll('.user-row').forEach(row=>{
-    row.addEventListener('click', (e)=>{
-      if (e.target.closest('form') || e.target.tagName === 'BUTTON') return;
-      const id = row.getAttribute('data-id');
-      const usersList = document.getElementById('users-list');
-      const detailArea = document.getElementById('user-detail-area');
-      // Hide list
-      usersList.style.display = 'none';
-      // show loading then fetch detail fragment (we will render inline via route)
-      detailArea.classList.remove('hidden');
-      detailArea.innerHTML = '<div class="p-6 bg-white border rounded-xl">Loading...</div>';
-      fetch('/staff/user_detail/' + id).then(r=>r.text()).then(html=>{
-        detailArea.innerHTML = html + '<div class="mt-4"><button id="backToList" class="px-3 py-2 rounded bg-slate-200">Back to list</button></div>';
-        document.getElementById('backToList').addEventListener('click', ()=>{ detailArea.classList.add('hidden'); usersList.style.display = ''; detailArea.innerHTML=''; window.scrollTo({top:0, behavior:"smooth"}); });
-      });
-    });
-  });
-</script>
+function StaffTrashView({ me, users, flash }) {
+  return layout({ title: 'Trash', user:me, content: `
+<section class='max-w-5xl mx-auto px-4 py-10'>
+  <div class='flex items-center justify-between'>
+    <h2 class='text-2xl font-bold'>Deleted accounts</h2>
+    <a href='/staff' class='text-sm text-indigo-600'>&larr; Staff panel</a>
+  </div>
+  <p class='text-sm text-slate-600 mt-2'>Deleted accounts can't sign in and are permanently purged ${ACCOUNT_RETENTION_DAYS} days after deletion, together with their targeting, metrics, tickets and subscriptions. Orders are kept for accounting. Restoring an account does not resume subscriptions that were set to end when it was deleted.</p>
+  ${FlashMessage(flash)}
+  <div class='bg-white border rounded-xl mt-4 overflow-x-auto'>
+    <table class='w-full text-sm'>
+      <thead><tr class='text-left text-slate-500 border-b'><th class='p-3'>Account</th><th>Deleted (UTC)</th><th>By</th><th>Purged after</th><th></th></tr></thead>
+      <tbody>${users.map(u=>`<tr class='border-t'>
+        <td class='p-3'>#${u.id} • ${escapeHtml(u.email)}<div class='text-xs text-slate-500'>${escapeHtml(u.role)}</div></td>
+        <td>${escapeHtml(u.deleted_at)}</td>
+        <td>${escapeHtml(u.deleted_by_email || '—')}</td>
+        <td>${escapeHtml(String(u.purge_at).slice(0,10))}</td>
+        <td class='text-right pr-3 whitespace-nowrap'>${canActOn(me, u) ? `
+          <form method='post' action='/staff/restore' style='display:inline'><input type='hidden' name='id' value='${u.id}' /><button class='px-3 py-1 rounded bg-emerald-600 text-white'>Restore</button></form>
+          ${can(me, 'users.purge') ? `<form method='post' action='/staff/purge' style='display:inline' onsubmit="return confirm('Permanently delete this account and everything it owns?')"><input type='hidden' name='id' value='${u.id}' /><button class='px-3 py-1 rounded bg-rose-600 text-white'>Purge now</button></form>` : ''}` : ''}</td>
+      </tr>`).join('') || `<tr><td colspan='5' class='p-6 text-center text-slate-500'>The trash is empty</td></tr>`}</tbody>
+    </table>
+  </div>
 </section>
 ` });
 }
 
 // -------------------------- Routes ---------------------------
 app.use((req,res,next)=>{ req.user = authed(req); next(); });
+// Roles under the 2FA policy can't do anything else until they have enrolled
+app.use((req,res,next)=>{
+  if (!twoFactorRequired(req.user) || req.user.totp_enabled_at) return next();
+  if (req.path.startsWith('/account/2fa') || req.path === '/logout') return next();
+  if (req.method === 'GET' && !req.path.startsWith('/staff/user_detail')) { setReturnTo(req, req.originalUrl); return res.redirect('/account/2fa'); }
+  res.status(403).send('Two-factor authentication required — enable it at /account/2fa');
+});
 
 // Home
 app.get('/', (req,res)=>{
-  const plans = db.prepare('SELECT * FROM plans').all();
+  const plans = plansWithPricing();
+  const periods = billingPeriods();
   const reviews = db.prepare('SELECT * FROM reviews ORDER BY created_at DESC').all();
   const posts = db.prepare('SELECT * FROM posts ORDER BY created_at DESC').all();
-  res.send(HomeView({ user:req.user, plans, reviews, posts }));
+  res.send(HomeView({ user:req.user, plans, periods, reviews, posts }));
 });
 
 // Blogs
@@ -1258,392 +3696,1114 @@ app.get('/blog/:id', (req,res)=>{
 
 // Login/signup
 app.get('/login', (req,res)=> res.send(LoginView({ user:req.user })));
-app.post('/login', (req,res)=>{
-  const lockedUntil = req.session.login_locked_until;
-  if (lockedUntil && Date.now() < lockedUntil) {
-    const waitSec = Math.ceil((lockedUntil - Date.now()) / 1000);
-    return res.send(LoginView({ user:req.user, error:`Too many attempts — try again in ${waitSec} seconds.` }));
+// Starts the session and picks the landing page (return_to, else by role)
+function completeLogin(req, row) {
+  req.session.uid = row.id;
+  const returnTo = popReturnTo(req);
+  if (twoFactorRequired(row) && !row.totp_enabled_at) {
+    if (returnTo) setReturnTo(req, returnTo);
+    return '/account/2fa';
   }
-  const { email, password } = req.body;
-  const row = db.prepare('SELECT * FROM users WHERE email=?').get(String(email||'').toLowerCase());
-  if (row && row.password_hash === sha256(password)) {
-    req.session.failed_login = 0;
-    req.session.login_locked_until = null;
-    req.session.uid = row.id;
-    if (row.role === 'admin') return res.redirect('/dashboard');
-    if (row.role === 'staff') return res.redirect('/staff');
-    return res.redirect('/');
+  return returnTo || homePath(row);
+}
+function homePath(user) {
+  if (user.role === 'admin') return '/dashboard';
+  if (user.role === 'staff') return '/staff';
+  return '/account';
+}
+app.post('/login', (req,res)=>{
+  const email = String(req.body.email||'').trim().toLowerCase();
+  const row = db.prepare('SELECT * FROM users WHERE email=? AND deleted_at IS NULL').get(email);
+  const throttled = loginThrottleError(req, email, row);
+  if (throttled) {
+    recordLoginAttempt(req, { email, userId: row && row.id, success: false, reason: throttled.reason });
+    return res.status(429).send(LoginView({ user:req.user, error: throttled.error }));
   }
-  req.session.failed_login = (req.session.failed_login || 0) + 1;
-  if (req.session.failed_login >= 6) {
-    req.session.login_locked_until = Date.now() + 5 * 60 * 1000;
+  const check = verifyPassword(req.body.password, row ? row.password_hash : DUMMY_PASSWORD_HASH);
+  if (row && check.ok) {
+    // legacy sha256 / old-cost rows are upgraded the first time we see the plain password
+    if (check.needsRehash) db.prepare('UPDATE users SET password_hash=? WHERE id=?').run(hashPassword(req.body.password), row.id);
+    // with 2FA the attempt is only recorded (as success or bad_2fa) after the second step
+    if (row.totp_enabled_at) {
+      req.session.pending_2fa = { uid: row.id, at: Date.now() };
+      return res.redirect('/login/2fa');
+    }
+    recordLoginAttempt(req, { email, userId: row.id, success: true });
+    return res.redirect(completeLogin(req, row));
   }
-  return res.send(LoginView({ user:req.user, error:'Invalid credentials' }));
+  recordLoginAttempt(req, { email, userId: row && row.id, success: false, reason: row ? 'bad_password' : 'unknown_email' });
+  noteLoginFailure(row);
+  return res.status(401).send(LoginView({ user:req.user, error:'Invalid credentials' }));
 });
 app.get('/logout', (req,res)=>{ req.session = null; res.redirect('/'); });
 
+// Second login step for accounts with two-factor enabled
+const PENDING_2FA_MS = 5 * 60 * 1000;
+function pending2faUser(req) {
+  const p = req.session.pending_2fa;
+  if (!p || Date.now() - p.at > PENDING_2FA_MS) return null;
+  return db.prepare('SELECT * FROM users WHERE id=? AND deleted_at IS NULL').get(p.uid) || null;
+}
+app.get('/login/2fa', (req,res)=>{
+  if (!pending2faUser(req)) return res.redirect('/login');
+  res.send(TwoFactorLoginView({}));
+});
+app.post('/login/2fa', (req,res)=>{
+  const row = pending2faUser(req);
+  if (!row) return res.send(LoginView({ user:null, error:'Your sign-in expired — please start again.' }));
+  const throttled = loginThrottleError(req, row.email, row);
+  if (throttled) {
+    req.session.pending_2fa = null;
+    return res.status(429).send(LoginView({ user:null, error: throttled.error }));
+  }
+  const result = verifySecondFactor(row, req.body.code);
+  recordLoginAttempt(req, { email: row.email, userId: row.id, success: result.ok, reason: result.ok ? null : 'bad_2fa' });
+  if (!result.ok) {
+    noteLoginFailure(row);
+    req.session.pending_2fa.tries = (req.session.pending_2fa.tries || 0) + 1;
+    if (req.session.pending_2fa.tries >= 5) {
+      req.session.pending_2fa = null;
+      return res.send(LoginView({ user:null, error:'Too many wrong codes — please sign in again.' }));
+    }
+    return res.status(400).send(TwoFactorLoginView({ error: result.error }));
+  }
+  req.session.pending_2fa = null;
+  res.redirect(completeLogin(req, row));
+});
+
+// Two-factor enrollment and management
+function renderTwoFactor(req, extra = {}) {
+  const user = db.prepare('SELECT * FROM users WHERE id=?').get(req.user.id);
+  let secret = user.totp_pending_secret;
+  if (!user.totp_enabled_at && !secret) {
+    secret = base32Encode(crypto.randomBytes(20));
+    db.prepare('UPDATE users SET totp_pending_secret=? WHERE id=?').run(secret, user.id);
+  }
+  return TwoFactorView({ user, required: twoFactorRequired(user), secret, uri: secret && totpUri(user, secret), ...extra });
+}
+app.get('/account/2fa', (req,res)=>{
+  if (!req.user) { setReturnTo(req, '/account/2fa'); return res.redirect('/login'); }
+  const flash = req.session.flash; req.session.flash = null;
+  res.send(renderTwoFactor(req, { message: flash && flash.message }));
+});
+app.post('/account/2fa/enable', (req,res)=>{
+  if (!req.user) return res.redirect('/login');
+  const user = req.user;
+  if (user.totp_enabled_at) return res.redirect('/account/2fa');
+  const step = user.totp_pending_secret ? verifyTotp(user.totp_pending_secret, req.body.code) : null;
+  if (step == null) return res.status(400).send(renderTwoFactor(req, { error: 'That code did not match — check the time on your phone and try again.' }));
+  db.prepare("UPDATE users SET totp_secret=totp_pending_secret, totp_pending_secret=NULL, totp_enabled_at=datetime('now'), totp_last_step=? WHERE id=?").run(step, user.id);
+  res.send(renderTwoFactor(req, { message: 'Two-factor authentication is on.', backupCodes: generateBackupCodes(user.id), next: popReturnTo(req) || homePath(user) }));
+});
+app.post('/account/2fa/backup_codes', (req,res)=>{
+  if (!req.user) return res.redirect('/login');
+  if (!req.user.totp_enabled_at) return res.redirect('/account/2fa');
+  const check = verifySecondFactor(req.user, req.body.code);
+  if (!check.ok) return res.status(400).send(renderTwoFactor(req, { error: check.error }));
+  res.send(renderTwoFactor(req, { message: 'New backup codes generated; the old ones no longer work.', backupCodes: generateBackupCodes(req.user.id) }));
+});
+app.post('/account/2fa/disable', (req,res)=>{
+  if (!req.user) return res.redirect('/login');
+  if (!req.user.totp_enabled_at) return res.redirect('/account/2fa');
+  if (twoFactorRequired(req.user)) return res.status(403).send(renderTwoFactor(req, { error: 'Your role requires two-factor authentication.' }));
+  const check = verifySecondFactor(req.user, req.body.code);
+  if (!check.ok) return res.status(400).send(renderTwoFactor(req, { error: check.error }));
+  db.prepare('UPDATE users SET totp_secret=NULL, totp_enabled_at=NULL, totp_backup_codes=NULL, totp_last_step=NULL WHERE id=?').run(req.user.id);
+  req.session.flash = { message: 'Two-factor authentication turned off.' };
+  res.redirect('/account/2fa');
+});
+
+// Password reset: same answer whether or not the address has an account
+app.get('/forgot', (req,res)=> res.send(ForgotView({ user:req.user })));
+app.post('/forgot', (req,res)=>{
+  const email = normalizeEmail(req.body.email);
+  if (!email) return res.status(400).send(ForgotView({ user:req.user, error:'Please enter a valid email address' }));
+  const row = db.prepare('SELECT * FROM users WHERE email=? AND deleted_at IS NULL').get(email);
+  if (row && !recentAuthToken(row.id, 'reset')) sendPasswordReset(row);
+  res.send(ForgotView({ user:req.user, message:`If ${email} has an account, a reset link is on its way. It expires in ${AUTH_TOKEN_TTL_MINUTES.reset} minutes.` }));
+});
+app.get('/reset/:token', (req,res)=>{
+  if (!findAuthToken(req.params.token, 'reset')) return res.status(400).send(ForgotView({ user:req.user, error:'This reset link is invalid or has expired. Request a new one below.' }));
+  res.send(ResetView({ user:req.user }));
+});
+app.post('/reset/:token', (req,res)=>{
+  const password = String(req.body.password||'');
+  const pending = findAuthToken(req.params.token, 'reset');
+  if (!pending) return res.status(400).send(ForgotView({ user:req.user, error:'This reset link is invalid or has expired. Request a new one below.' }));
+  const policyError = passwordPolicyError(password, db.prepare('SELECT email, name FROM users WHERE id=?').get(pending.user_id));
+  if (policyError) return res.status(400).send(ResetView({ user:req.user, error:policyError }));
+  if (password !== String(req.body.confirm||'')) return res.status(400).send(ResetView({ user:req.user, error:'Passwords do not match' }));
+  const token = consumeAuthToken(req.params.token, 'reset');
+  if (!token) return res.status(400).send(ForgotView({ user:req.user, error:'This reset link was already used.' }));
+  // the reset mail proved access to the inbox, so the address counts as verified
+  db.prepare("UPDATE users SET password_hash=?, email_verified_at=COALESCE(email_verified_at, datetime('now')) WHERE id=?").run(hashPassword(password), token.user_id);
+  unlockAccount(token.user_id);
+  req.session = null;
+  res.send(LoginView({ user:null, message:'Password updated — sign in with your new password.' }));
+});
+
+// Email verification
+app.get('/verify/:token', (req,res)=>{
+  const token = consumeAuthToken(req.params.token, 'verify');
+  if (!token) return res.status(400).send(GenericView({ user:req.user, title:'Verify email', body:'This verification link is invalid, expired or already used. Sign in and request a new one from your account page.' }));
+  db.prepare("UPDATE users SET email_verified_at=COALESCE(email_verified_at, datetime('now')) WHERE id=?").run(token.user_id);
+  if (req.user && req.user.id === token.user_id) return res.redirect('/account?saved=verified');
+  res.send(GenericView({ user:req.user, title:'Email verified', body:`Thanks — your email address is confirmed. <a class='text-indigo-600 underline' href='/login'>Sign in</a>` }));
+});
+app.post('/account/resend_verification', (req,res)=>{
+  if (!req.user) return res.redirect('/login');
+  if (req.user.email_verified_at) return res.redirect('/account');
+  if (recentAuthToken(req.user.id, 'verify')) return res.send(renderAccount(req, { error: 'We just sent a link — please wait a minute before asking again.' }));
+  sendVerificationEmail(req.user);
+  res.redirect('/account?saved=verification');
+});
+
 app.get('/signup', (req,res)=> res.send(SignupView({ user:req.user })));
 app.post('/signup', (req,res)=>{
   const { name, email, instagram, password } = req.body;
   if (!email || !password) return res.send(SignupView({ user:req.user, error:'Email & password required' }));
+  const policyError = passwordPolicyError(password, { email, name });
+  if (policyError) return res.send(SignupView({ user:req.user, error:policyError }));
   try {
     db.prepare('INSERT INTO users(email,password_hash,name,instagram,role) VALUES (?,?,?,?,?)')
-      .run(String(email).toLowerCase(), sha256(password), name||'', instagram||'', 'user');
+      .run(String(email).toLowerCase(), hashPassword(password), name||'', instagram||'', 'user');
     const uid = db.prepare('SELECT id FROM users WHERE email=?').get(String(email).toLowerCase()).id;
     db.prepare('INSERT OR IGNORE INTO statuses(user_id) VALUES(?)').run(uid);
-    db.prepare('INSERT OR IGNORE INTO targets(user_id,niche,competitors,hashtags,geo,notes) VALUES(?,?,?,?,?,?)').run(uid,'','','','','');
-    db.prepare('INSERT OR IGNORE INTO metrics(user_id,likes,follows) VALUES (?,?,?)').run(uid,10,8);
+    db.prepare('INSERT OR IGNORE INTO targets(user_id,niche,competitors,hashtags,geo,notes) VALUES(?,?,?,?,?,?)').run(uid,'','[]','[]','','');
+    sendVerificationEmail(db.prepare('SELECT * FROM users WHERE id=?').get(uid), 'welcome');
     req.session.uid = uid;
-    res.redirect('/');
+    res.redirect(popReturnTo(req) || '/account');
   } catch(e) {
+    if (e.code !== 'SQLITE_CONSTRAINT_UNIQUE') throw e;
     return res.send(SignupView({ user:req.user, error:'Email already exists' }));
   }
 });
 
 // Contact, ticket & subscribe
-app.get('/contact', (req,res)=> res.send(GenericView({ user:req.user, title:'Contact', body: `
+const ContactView = ({ user, error, values = {} }) => GenericView({ user, title:'Contact', body: `
   <h3>Contact Us</h3>
   <p class="text-slate-700">Send us a message using the form. We'll reply within 24 hours.</p>
+  ${error ? `<div class='mt-3 p-3 bg-rose-50 border border-rose-100 text-rose-700 rounded'>${escapeHtml(error)}</div>` : ''}
   <form method="post" action="/contact_submit" class="mt-4 space-y-3">
-    <input name="name" placeholder="Your name" class="w-full px-3 py-2 rounded border" />
-    <input name="email" placeholder="Your email" class="w-full px-3 py-2 rounded border" />
-    <input name="instagram" placeholder="Instagram (optional)" class="w-full px-3 py-2 rounded border" />
-    <textarea name="message" rows="6" placeholder="Message" class="w-full px-3 py-2 rounded border"></textarea>
+    <input name="name" placeholder="Your name" value="${escapeHtml(values.name)}" class="w-full px-3 py-2 rounded border" />
+    <input name="email" type="email" required placeholder="Your email" value="${escapeHtml(values.email)}" class="w-full px-3 py-2 rounded border" />
+    <input name="instagram" placeholder="Instagram (optional)" value="${escapeHtml(values.instagram)}" class="w-full px-3 py-2 rounded border" />
+    <textarea name="message" rows="6" placeholder="Message" class="w-full px-3 py-2 rounded border">${escapeHtml(values.message)}</textarea>
     <button class="px-4 py-2 rounded bg-indigo-600 text-white">Send Message</button>
   </form>
-` })));
+` });
+app.get('/contact', (req,res)=> res.send(ContactView({ user:req.user })));
+function notifyNewTicket(ticketId) {
+  const ticket = db.prepare('SELECT * FROM tickets WHERE id=?').get(ticketId);
+  if (normalizeEmail(ticket.email)) queueMail(ticket.email, 'ticket_received', { ticket });
+  if (MAIL_SUPPORT_TO) queueMail(MAIL_SUPPORT_TO, 'staff_new_ticket', { ticket });
+}
 app.post('/contact_submit', (req,res)=>{
   const { name, email, instagram, message } = req.body;
-  db.prepare('INSERT INTO tickets(user_id,email,instagram,subject,message) VALUES (?,?,?,?,?)').run(null, email||'', instagram||'', `Contact: ${name||'Guest'}`, message||'');
+  const address = normalizeEmail(email);
+  if (!address) return res.status(400).send(ContactView({ user:req.user, error:'Enter a valid email address so we can reply.', values:req.body }));
+  const info = db.prepare('INSERT INTO tickets(user_id,email,instagram,subject,message) VALUES (?,?,?,?,?)').run(null, address, instagram||'', `Contact: ${String(name||'Guest').replace(/\s+/g, ' ')}`, message||'');
+  notifyNewTicket(info.lastInsertRowid);
   res.redirect('/contact');
 });
 app.post('/ticket', (req,res)=>{
   if (!req.user) return res.status(403).send('Forbidden');
   const { subject, message } = req.body;
-  db.prepare('INSERT INTO tickets(user_id,email,instagram,subject,message) VALUES (?,?,?,?,?)').run(req.user.id, req.user.email, req.user.instagram, subject, message);
+  const info = db.prepare('INSERT INTO tickets(user_id,email,instagram,subject,message) VALUES (?,?,?,?,?)').run(req.user.id, req.user.email, req.user.instagram, subject, message);
+  notifyNewTicket(info.lastInsertRowid);
   res.redirect(req.get('Referer')||'/');
 });
+// Signed one-click unsubscribe (link in every newsletter + List-Unsubscribe-Post)
+app.get('/unsubscribe', (req,res)=>{
+  const email = String(req.query.e||'');
+  if (!verifyUnsubscribeToken(email, req.query.t)) return res.status(400).send(GenericView({ user:req.user, title:'Unsubscribe', body:'This unsubscribe link is invalid.' }));
+  res.send(GenericView({ user:req.user, title:'Unsubscribe', body:`<form method='post' class='space-y-3'>
+    <p>Stop sending newsletters to <b>${escapeHtml(email)}</b>?</p>
+    <button class='px-4 py-2 rounded-xl bg-indigo-600 text-white'>Unsubscribe</button></form>` }));
+});
+app.post('/unsubscribe', (req,res)=>{
+  const email = String(req.query.e||'');
+  if (!verifyUnsubscribeToken(email, req.query.t)) return res.status(400).send('Invalid unsubscribe link');
+  unsubscribeEmail(email);
+  res.send(GenericView({ user:req.user, title:'Unsubscribed', body:`<b>${escapeHtml(email)}</b> will no longer receive our newsletter.` }));
+});
+// The form mails whatever address is typed in, so it is throttled per client IP (in memory,
+// per process) and per address (confirmation mails in mail_queue, so it holds across restarts)
+const SUBSCRIBE_LIMIT = { windowMinutes: 60, perIp: 10, perAddress: 3 };
+const subscribeHits = new Map();
+function subscribeThrottled(req, email) {
+  const since = Date.now() - SUBSCRIBE_LIMIT.windowMinutes * 60 * 1000;
+  for (const [ip, hits] of subscribeHits) if (hits[hits.length - 1] < since) subscribeHits.delete(ip);
+  const hits = (subscribeHits.get(req.ip || '') || []).filter(t => t >= since);
+  hits.push(Date.now());
+  subscribeHits.set(req.ip || '', hits);
+  if (hits.length > SUBSCRIBE_LIMIT.perIp) return 'ip';
+  const mailed = db.prepare("SELECT COUNT(*) n FROM mail_queue WHERE to_email=? AND template='subscribe_confirm' AND created_at > datetime('now', ?)")
+    .get(email, `-${SUBSCRIBE_LIMIT.windowMinutes} minutes`).n;
+  return mailed >= SUBSCRIBE_LIMIT.perAddress ? 'address' : null;
+}
 app.post('/subscribe', (req,res)=>{
-  const email = String(req.body.email||'').trim();
-  if (email) {
-    try { db.prepare('INSERT INTO subscribers(email) VALUES (?)').run(email); } catch(e){}
-  }
-  res.redirect(req.get('Referer')||'/');
+  const email = normalizeEmail(req.body.email);
+  if (!email) return res.status(400).send(GenericView({ user:req.user, title:'Subscribe', body:`<p>Please enter a valid email address.</p><a class='text-indigo-600 underline' href='${escapeHtml(req.get('Referer')||'/')}'>Go back</a>` }));
+  const throttled = subscribeThrottled(req, email);
+  if (throttled === 'ip') return res.status(429).send(GenericView({ user:req.user, title:'Subscribe', body:`Too many subscription requests from your network — try again in ${SUBSCRIBE_LIMIT.windowMinutes} minutes.` }));
+  // an address that already got its share of confirmation mails gets the same answer, just no new mail
+  if (!throttled) requestSubscription(email);
+  // same answer for new, pending and already-confirmed addresses
+  res.send(GenericView({ user:req.user, title:'Check your inbox', body:`We sent a confirmation link to <b>${escapeHtml(email)}</b>. Click it to start receiving our newsletter.` }));
+});
+app.get('/subscribe/confirm', (req,res)=>{
+  const row = confirmSubscription(req.query.token);
+  if (!row) return res.status(400).send(GenericView({ user:req.user, title:'Subscribe', body:'This confirmation link is invalid or was already used.' }));
+  res.send(GenericView({ user:req.user, title:'Subscribed', body:`Thanks! <b>${escapeHtml(row.email)}</b> will now receive our newsletter. Every issue has a one-click unsubscribe link.` }));
 });
 
 // Pricing & checkout
 app.get('/pricing', (req,res)=>{
-  const plans = db.prepare('SELECT * FROM plans').all();
-  res.send(layout({ title:'Pricing', user:req.user, content: `
-<section class="py-16 bg-gray-50">
-  <div class="max-w-7xl mx-auto px-4">
-    <div class="billing-toggle">
-      <div class="toggle-group">
-        <button class="toggle-btn active">Monthly</button>
-        <button class="toggle-btn">Quarterly</button>
-        <button class="toggle-btn">Yearly</button>
-      </div>
-    </div>
-    
-    <div class="pricing-grid">
-      ${plans.map((p,i)=> {
-        const features = JSON.parse(p.features);
-        const badges = ['kickoff-badge', 'growth-badge', 'advanced-badge'];
-        const badgeTexts = ['KICKOFF PLAN', 'GROWTH PLAN', 'ADVANCED PLAN'];
-        const descriptions = [
-          'Put your Instagram growth on autopilot. Perfect for personal accounts.',
-          'Organic Instagram growth designed to connect you with your ideal audience.',
-          'Advanced tools to drive conversion rates. Ideal for influencers and businesses.'
-        ];
-        const dailyRates = ['1.63', '2.30', '4.30'];
-        
-        return `
-        <div class="pricing-card ${i===1?'featured':''}">
-          ${i===1?'<div class="flame-icon">🔥</div>':''}
-          <div class="plan-badge ${badges[i]}">${badgeTexts[i]}</div>
-          <p class="plan-description">${descriptions[i]}</p>
-          
-          <div class="price">$${p.price_usd}<span class="price-period">/mo</span></div>
-          <div class="price-note">(only $${dailyRates[i]}/day)</div>
-          
-          <button class="cta-button" onclick="handleCheckout(${p.id})">
-            <span>Get Started Today</span>
-            <div class="cta-arrow">→</div>
-          </button>
-          
-          <ul class="features-list">
-            ${features.map(f=>`
-              <li class="feature-item">
-                <div class="feature-check"></div>
-                <span>${escapeHtml(f).replace(/(Real|Real & Organic)/g, '<strong>$1</strong>')}</span>
-                <div class="feature-info">?</div>
-              </li>
-            `).join('')}
-          </ul>
-        </div>`;
-      }).join('')}
-    </div>
-  </div>
-</section>
-<script>
-  // Toggle functionality with price updates
-  document.querySelectorAll('.toggle-btn').forEach(btn => {
-    btn.addEventListener('click', function() {
-      const active = document.querySelector('.toggle-btn.active');
-      if (active) active.classList.remove('active');
-      this.classList.add('active');
-      
-      // Update prices based on selection
-      const period = this.textContent;
-      const prices = document.querySelectorAll('.price');
-      const notes = document.querySelectorAll('.price-note');
-      
-      if (period === 'Quarterly') {
-        prices[0].innerHTML = '$44<span class="price-period">/mo</span>';
-        prices[1].innerHTML = '$62<span class="price-period">/mo</span>';
-        prices[2].innerHTML = '$116<span class="price-period">/mo</span>';
-        notes[0].textContent = '(only $1.47/day, billed quarterly)';
-        notes[1].textContent = '(only $2.07/day, billed quarterly)';
-        notes[2].textContent = '(only $3.87/day, billed quarterly)';
-      } else if (period === 'Yearly') {
-        prices[0].innerHTML = '$39<span class="price-period">/mo</span>';
-        prices[1].innerHTML = '$55<span class="price-period">/mo</span>';
-        prices[2].innerHTML = '$103<span class="price-period">/mo</span>';
-        notes[0].textContent = '(only $1.30/day, billed annually)';
-        notes[1].textContent = '(only $1.83/day, billed annually)';
-        notes[2].textContent = '(only $3.43/day, billed annually)';
-      } else {
-        prices[0].innerHTML = '$49<span class="price-period">/mo</span>';
-        prices[1].innerHTML = '$69<span class="price-period">/mo</span>';
-        prices[2].innerHTML = '$129<span class="price-period">/mo</span>';
-        notes[0].textContent = '(only $1.63/day)';
-        notes[1].textContent = '(only $2.30/day)';
-        notes[2].textContent = '(only $4.30/day)';
-      }
-    });
-  });
-  
-  // Checkout handler function
-  function handleCheckout(planId) {
-    fetch('/checkout?plan_id=' + planId)
-      .then(response => {
-        if (response.ok) {
-          window.location.href = '/checkout?plan_id=' + planId;
-        } else {
-          alert('Checkout coming soon! Plan ID: ' + planId + ' selected. Contact support to complete order.');
-        }
-      })
-      .catch(error => {
-        alert('Checkout system is being set up. Contact support for Plan #' + planId);
-      });
+  res.send(layout({ title:'Pricing', user:req.user, content: PricingSection({ plans: plansWithPricing(), periods: billingPeriods() }) }));
+});
+
+app.get('/checkout', (req,res)=>{
+  const plan = db.prepare('SELECT * FROM plans WHERE id=?').get(Number(req.query.plan_id));
+  if (!plan) return res.status(404).send(GenericView({ user:req.user, title:'Checkout', body:`<p>Unknown plan. <a class='text-indigo-600 underline' href='/pricing'>Back to pricing</a></p>` }));
+  const period = findBillingPeriod(req.query.period);
+  if (!req.user) setReturnTo(req, `/checkout?plan_id=${plan.id}&period=${encodeURIComponent(period.code)}`);
+  res.send(CheckoutView({ user:req.user, plan, pricing: planPrice(plan, period), periods: billingPeriods() }));
+});
+app.post('/checkout', (req,res)=>{
+  const plan = db.prepare('SELECT * FROM plans WHERE id=?').get(Number(req.body.plan_id));
+  if (!plan) return res.redirect('/pricing');
+  const period = findBillingPeriod(req.body.billing_period);
+  if (!req.user) {
+    setReturnTo(req, `/checkout?plan_id=${plan.id}&period=${encodeURIComponent(period.code)}`);
+    return res.redirect('/signup');
   }
-</script>
+  const pricing = planPrice(plan, period);
+  if (!req.user.email_verified_at) return res.status(403).send(CheckoutView({ user:req.user, plan, pricing, periods: billingPeriods() }));
+  const ig_username = String(req.body.ig_username||'').trim();
+  const notes = String(req.body.notes||'').trim();
+  if (!ig_username) return res.send(CheckoutView({ user:req.user, plan, pricing, periods: billingPeriods(), error:'Instagram username is required', form:{ ig_username, notes } }));
+  const orderId = createOrder({ user_id: req.user.id, plan_id: plan.id, ig_username, notes, billing_period: period.code, amount_usd: pricing.total });
+  queueMail(req.user.email, 'order_received', { order: db.prepare('SELECT * FROM orders WHERE id=?').get(orderId), plan: plan.name });
+  res.redirect(`/checkout/confirm/${orderId}`);
+});
+app.get('/checkout/confirm/:id', (req,res)=>{
+  if (!req.user) return res.redirect('/login');
+  const order = db.prepare('SELECT o.*, p.name as plan, bp.label as period_label FROM orders o LEFT JOIN plans p ON p.id=o.plan_id LEFT JOIN billing_periods bp ON bp.code=o.billing_period WHERE o.id=? AND o.user_id=?')
+    .get(Number(req.params.id), req.user.id);
+  if (!order) return res.status(404).send('Not found');
+  res.send(CheckoutConfirmView({ user:req.user, order }));
+});
+app.post('/checkout/pay/:id', (req,res)=>{
+  if (!req.user) return res.redirect('/login');
+  const order = db.prepare("SELECT * FROM orders WHERE id=? AND user_id=? AND status IN ('pending','declined')").get(Number(req.params.id), req.user.id);
+  if (!order) return res.redirect('/');
+  if (!paymentsEnabled()) return res.redirect(`/checkout/confirm/${order.id}`);
+  const payment = createPaymentIntent(order, String(req.body.idempotency_key||'') || null);
+  if (payment.status !== 'requires_confirmation') return res.redirect(`/checkout/confirm/${order.id}`);
+  res.redirect(payment.redirect_url);
+});
+
+// Provider callbacks (raw body is kept by the json parser for signature checks)
+app.post('/payments/webhook/:provider', (req,res)=>{
+  const result = handlePaymentWebhook(req.params.provider, req.rawBody, req.headers);
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  res.json({ received: true });
+});
 
-` }));
+// Offline mock gateway: hosted page that "charges" and calls back through the webhook handler.
+// Only mounted with MOCK_PAYMENTS=1 (never in production).
+if (MOCK_PAYMENTS) app.get('/pay/mock/:intentId', (req,res)=>{
+  const payment = db.prepare("SELECT * FROM payments WHERE provider='mock' AND intent_id=?").get(req.params.intentId);
+  if (!payment) return res.status(404).send('Not found');
+  const order = db.prepare('SELECT * FROM orders WHERE id=?').get(payment.order_id);
+  if (payment.status !== 'requires_confirmation') return res.redirect(`/checkout/confirm/${order.id}`);
+  res.send(MockGatewayView({ payment, order }));
+});
+if (MOCK_PAYMENTS) app.post('/pay/mock/:intentId', (req,res)=>{
+  const payment = db.prepare("SELECT * FROM payments WHERE provider='mock' AND intent_id=? AND status='requires_confirmation'").get(req.params.intentId);
+  if (!payment) return res.status(404).send('Not found');
+  const { raw, headers } = paymentProviders.mock.charge(payment, req.body.card_number);
+  handlePaymentWebhook('mock', raw, headers);
+  res.redirect(`/checkout/confirm/${payment.order_id}`);
+});
+
+// Subscriptions (customer)
+app.get('/subscriptions', (req,res)=>{
+  if (!req.user) return res.redirect('/login');
+  const subscriptions = db.prepare(`SELECT s.*, p.name as plan,
+      (SELECT o.id FROM orders o WHERE o.subscription_id=s.id AND o.status IN ('pending','declined') ORDER BY o.id DESC LIMIT 1) as renewal_order_id
+    FROM subscriptions s LEFT JOIN plans p ON p.id=s.plan_id WHERE s.user_id=? ORDER BY s.id DESC`).all(req.user.id);
+  res.send(SubscriptionsView({ user:req.user, subscriptions, serviceActive: hasActiveService(req.user.id) }));
+});
+app.post('/subscriptions/:id/cancel', (req,res)=>{
+  if (!req.user) return res.redirect('/login');
+  const sub = db.prepare('SELECT * FROM subscriptions WHERE id=? AND user_id=?').get(Number(req.params.id), req.user.id);
+  if (sub && sub.status === 'active') {
+    db.prepare("UPDATE subscriptions SET cancel_at_period_end=1, updated_at=datetime('now') WHERE id=?").run(sub.id);
+  } else if (sub && sub.status === 'past_due') {
+    cancelSubscriptionNow(sub, 'Cancelled by customer'); // nothing paid for the new term, so stop right away
+  }
+  res.redirect('/subscriptions');
+});
+app.post('/subscriptions/:id/resume', (req,res)=>{
+  if (!req.user) return res.redirect('/login');
+  db.prepare("UPDATE subscriptions SET cancel_at_period_end=0, updated_at=datetime('now') WHERE id=? AND user_id=? AND status='active'").run(Number(req.params.id), req.user.id);
+  res.redirect('/subscriptions');
+});
+
+// Customer account area
+function renderAccount(req, extra = {}) {
+  const uid = req.user.id;
+  const subscription = db.prepare(`SELECT s.*, p.name as plan FROM subscriptions s LEFT JOIN plans p ON p.id=s.plan_id
+    WHERE s.user_id=? AND s.status IN ('active','past_due') ORDER BY s.id DESC LIMIT 1`).get(uid);
+  const orders = db.prepare('SELECT o.*, p.name as plan FROM orders o LEFT JOIN plans p ON p.id=o.plan_id WHERE o.user_id=? ORDER BY o.id DESC').all(uid);
+  const chart = metricSeries(uid, metricRange(req));
+  const tickets = db.prepare('SELECT * FROM tickets WHERE user_id=? ORDER BY id DESC').all(uid);
+  return AccountView({ user:req.user, subscription, orders, chart, target: latestTarget(uid), tickets, ...extra });
+}
+app.get('/account', (req,res)=>{
+  if (!req.user) { setReturnTo(req, '/account'); return res.redirect('/login'); }
+  const flash = { profile: 'Profile saved', targeting: 'Targeting saved', verified: 'Email address verified', verification: 'Verification link sent — check your inbox' }[req.query.saved];
+  res.send(renderAccount(req, { flash }));
+});
+app.post('/account/profile', (req,res)=>{
+  if (!req.user) return res.redirect('/login');
+  let instagram = String(req.body.instagram||'').trim();
+  if (instagram && !instagram.startsWith('@')) instagram = '@' + instagram;
+  db.prepare('UPDATE users SET name=?, instagram=? WHERE id=?').run(String(req.body.name||'').trim(), instagram, req.user.id);
+  res.redirect('/account?saved=profile');
+});
+app.post('/account/targeting', (req,res)=>{
+  if (!req.user) return res.redirect('/login');
+  const { niche, competitors, hashtags, geo } = req.body;
+  const result = saveTargeting(req.user.id, { niche, competitors, hashtags, geo }, req.user.id);
+  if (result.errors) return res.status(400).send(renderAccount(req, { error: result.errors.join('. ') }));
+  res.redirect('/account?saved=targeting');
+});
+app.get('/account/tickets/:id', (req,res)=>{
+  if (!req.user) return res.redirect('/login');
+  const ticket = db.prepare('SELECT * FROM tickets WHERE id=? AND user_id=?').get(Number(req.params.id), req.user.id);
+  if (!ticket) return res.status(404).send('Not found');
+  res.send(AccountTicketView({ user:req.user, ticket, messages: ticketMessages(ticket.id) }));
+});
+app.post('/account/tickets/:id/reply', (req,res)=>{
+  if (!req.user) return res.redirect('/login');
+  const ticket = db.prepare('SELECT * FROM tickets WHERE id=? AND user_id=?').get(Number(req.params.id), req.user.id);
+  if (!ticket) return res.status(404).send('Not found');
+  const body = String(req.body.body||'').trim();
+  if (body) {
+    addTicketMessage(ticket.id, req.user.id, 'reply', body);
+    setTicketStatus(ticket, 'open', req.user); // back in the staff queue
+  }
+  res.redirect(`/account/tickets/${ticket.id}`);
+});
+
+// Scheduled jobs: Vercel cron calls this with "Authorization: Bearer $CRON_SECRET"; admins may trigger it by hand
+function cronAuthorized(req) {
+  const cronOk = process.env.CRON_SECRET && req.get('authorization') === `Bearer ${process.env.CRON_SECRET}`;
+  return cronOk || can(req.user, 'jobs.run');
+}
+app.get('/cron/subscriptions', (req,res)=>{
+  if (!cronAuthorized(req)) return res.status(403).send('Forbidden');
+  res.json(runSubscriptionJobs());
+});
+app.get('/cron/accounts', (req,res)=>{
+  if (!cronAuthorized(req)) return res.status(403).send('Forbidden');
+  res.json({ ...purgeDeletedAccounts(), ...pruneLoginAttempts() });
+});
+app.get('/cron/mail', (req,res)=>{
+  if (!cronAuthorized(req)) return res.status(403).send('Forbidden');
+  const campaigns = runScheduledCampaigns();
+  processMailQueue().then(result => res.json({ ...result, campaigns }), e => res.status(500).json({ error: e.message }));
 });
 
 // -------------------------- Admin routes --------------------------
 app.get('/dashboard', (req,res)=>{
-  const me = requireRole(req,res,['admin']); if (!me || res.headersSent) return;
+  const me = requirePermission(req,res,'dashboard.view'); if (!me || res.headersSent) return;
   // Use double-quoted JS strings with single quotes in SQL to avoid confusion
   const stats = {
-    users: db.prepare("SELECT COUNT(*) c FROM users").get().c,
+    users: db.prepare("SELECT COUNT(*) c FROM users WHERE deleted_at IS NULL").get().c,
     pendingOrders: db.prepare("SELECT COUNT(*) c FROM orders WHERE status='pending'").get().c,
     declinedCount: db.prepare("SELECT COUNT(*) c FROM orders WHERE status='declined' OR status='cancelled'").get().c,
-    subscribers: db.prepare("SELECT COUNT(*) c FROM subscribers").get().c,
-    totalAccounting: db.prepare("SELECT SUM(p.price_usd) s FROM orders o JOIN plans p ON p.id=o.plan_id WHERE o.status='paid'").get().s || 0
+    subscribers: db.prepare("SELECT COUNT(*) c FROM subscribers WHERE status='confirmed'").get().c,
+    totalAccounting: db.prepare("SELECT SUM(captured_usd) s FROM orders WHERE status='paid'").get().s || 0,
+    activeSubs: db.prepare("SELECT COUNT(*) c FROM subscriptions WHERE status='active'").get().c,
+    pastDueSubs: db.prepare("SELECT COUNT(*) c FROM subscriptions WHERE status='past_due'").get().c,
+    churnedSubs: db.prepare("SELECT COUNT(*) c FROM subscriptions WHERE status IN ('cancelled','expired')").get().c,
+    unenrolled: db.prepare("SELECT COUNT(*) c FROM users WHERE role IN ('admin','staff') AND totp_enabled_at IS NULL AND deleted_at IS NULL").get().c,
+    lockedAccounts: db.prepare("SELECT COUNT(*) c FROM users WHERE locked_until > datetime('now')").get().c
   };
   const posts = db.prepare('SELECT id,title,created_at FROM posts ORDER BY created_at DESC LIMIT 8').all();
   const orders = db.prepare('SELECT o.*, p.name as plan FROM orders o LEFT JOIN plans p ON p.id=o.plan_id ORDER BY o.id DESC LIMIT 8').all();
-  res.send(AdminDashboardView({ me, stats, posts, orders }));
+  // past-due first: those need a nudge before their grace period ends
+  const subscriptions = db.prepare(`SELECT s.*, u.email, p.name as plan FROM subscriptions s LEFT JOIN users u ON u.id=s.user_id LEFT JOIN plans p ON p.id=s.plan_id
+    ORDER BY CASE s.status WHEN 'past_due' THEN 0 WHEN 'active' THEN 1 ELSE 2 END, s.updated_at DESC LIMIT 15`).all();
+  res.send(AdminDashboardView({ me, stats, posts, orders, subscriptions, require2fa: twoFactorRequiredRoles() }));
 });
 
 app.post('/admin/create_post', (req,res)=>{
-  const me = requireRole(req,res,['admin']); if (!me || res.headersSent) return;
+  const me = requirePermission(req,res,'posts.publish'); if (!me || res.headersSent) return;
   const { title, image, excerpt, body } = req.body;
   if (!title) return res.redirect('/dashboard');
-  db.prepare('INSERT INTO posts(title,author,image,excerpt,body) VALUES (?,?,?,?,?)').run(title, me.name||me.email, image||'', excerpt||'', body||'');
+  const info = db.prepare('INSERT INTO posts(title,author,image,excerpt,body) VALUES (?,?,?,?,?)').run(title, me.name||me.email, image||'', excerpt||'', body||'');
+  audit(req, me, 'post.create', { type: 'post', id: info.lastInsertRowid, label: title }, null, { title });
   res.redirect('/dashboard');
 });
 
+// Order management console
+app.get('/admin/orders', (req,res)=>{
+  const me = requirePermission(req,res,'orders.view'); if (!me || res.headersSent) return;
+  const filters = {
+    status: String(req.query.status||''), plan_id: String(req.query.plan_id||''),
+    from: String(req.query.from||''), to: String(req.query.to||''), q: String(req.query.q||'').trim()
+  };
+  const where = [], args = [];
+  if (filters.status) { where.push('o.status=?'); args.push(filters.status); }
+  if (filters.plan_id) { where.push('o.plan_id=?'); args.push(Number(filters.plan_id)); }
+  if (filters.from) { where.push('date(o.created_at) >= date(?)'); args.push(filters.from); }
+  if (filters.to) { where.push('date(o.created_at) <= date(?)'); args.push(filters.to); }
+  if (filters.q) { where.push('(u.email LIKE ? OR u.name LIKE ? OR o.ig_username LIKE ?)'); args.push(...Array(3).fill(`%${filters.q}%`)); }
+  const from = `FROM orders o LEFT JOIN users u ON u.id=o.user_id LEFT JOIN plans p ON p.id=o.plan_id ${where.length ? 'WHERE ' + where.join(' AND ') : ''}`;
+  const pageSize = 20;
+  const total = db.prepare(`SELECT COUNT(*) c ${from}`).get(...args).c;
+  const pages = Math.max(1, Math.ceil(total / pageSize));
+  const page = Math.min(pages, Math.max(1, Number(req.query.page) || 1));
+  const orders = db.prepare(`SELECT o.*, u.email, p.name as plan ${from} ORDER BY o.id DESC LIMIT ? OFFSET ?`).all(...args, pageSize, (page - 1) * pageSize);
+  const plans = db.prepare('SELECT id,name FROM plans ORDER BY sort_order, id').all();
+  res.send(AdminOrdersView({ me, orders, plans, filters, page, pages, total }));
+});
+
+function renderAdminOrder(me, id, error) {
+  const order = db.prepare('SELECT o.*, u.email, u.name as user_name, p.name as plan FROM orders o LEFT JOIN users u ON u.id=o.user_id LEFT JOIN plans p ON p.id=o.plan_id WHERE o.id=?').get(id);
+  if (!order) return null;
+  const history = db.prepare('SELECT h.*, u.email as actor_email FROM order_history h LEFT JOIN users u ON u.id=h.actor_id WHERE h.order_id=? ORDER BY h.id').all(id);
+  const payments = db.prepare('SELECT * FROM payments WHERE order_id=? ORDER BY id').all(id);
+  return AdminOrderDetailView({ me, order, history, payments, error });
+}
+app.get('/admin/orders/:id', (req,res)=>{
+  const me = requirePermission(req,res,'orders.view'); if (!me || res.headersSent) return;
+  const html = renderAdminOrder(me, Number(req.params.id));
+  if (!html) return res.status(404).send('Not found');
+  res.send(html);
+});
+app.post('/admin/orders/:id/action', (req,res)=>{
+  const me = requirePermission(req,res,'orders.manage'); if (!me || res.headersSent) return;
+  const id = Number(req.params.id);
+  if (req.body.action === 'refund' && !can(me, 'orders.refund')) return res.status(403).send(renderAdminOrder(me, id, 'You do not have permission to refund orders') || 'Not found');
+  const action = String(req.body.action||''), reason = String(req.body.reason||'').trim();
+  const before = db.prepare('SELECT status, captured_usd, refunded_usd FROM orders WHERE id=?').get(id);
+  try {
+    db.transaction(() => {
+      applyOrderAction(id, action, reason, me.id);
+      const after = db.prepare('SELECT status, captured_usd, refunded_usd FROM orders WHERE id=?').get(id);
+      audit(req, me, `order.${action}`, { type: 'order', id, label: `#${id}` }, before, { ...after, reason });
+    })();
+  } catch(e) {
+    if (!(e instanceof OrderActionError)) throw e;
+    const html = renderAdminOrder(me, id, e.message);
+    return html ? res.status(e.status).send(html) : res.status(404).send('Not found');
+  }
+  res.redirect(`/admin/orders/${id}`);
+});
+
+// Newsletter campaigns
+function campaignInput(body) {
+  return {
+    subject: String(body.subject||'').trim(),
+    body: String(body.body||''),
+    include_posts: [0,3,5].includes(Number(body.include_posts)) ? Number(body.include_posts) : 0
+  };
+}
+app.get('/admin/newsletter', (req,res)=>{
+  const me = requirePermission(req,res,'newsletter.manage'); if (!me || res.headersSent) return;
+  const campaigns = db.prepare(`SELECT c.*,
+      (SELECT COUNT(*) FROM campaign_recipients r JOIN mail_queue m ON m.id=r.mail_id WHERE r.campaign_id=c.id AND m.status='sent') delivered,
+      (SELECT COUNT(*) FROM campaign_recipients r JOIN mail_queue m ON m.id=r.mail_id WHERE r.campaign_id=c.id AND m.status='failed') failed
+    FROM campaigns c ORDER BY c.id DESC`).all();
+  res.send(AdminNewsletterView({ me, campaigns, audience: newsletterAudience().length }));
+});
+app.post('/admin/newsletter', (req,res)=>{
+  const me = requirePermission(req,res,'newsletter.manage'); if (!me || res.headersSent) return;
+  const input = campaignInput(req.body);
+  if (!input.subject) return res.status(400).send(AdminNewsletterView({ me, campaigns: [], audience: newsletterAudience().length, error: 'Subject is required', form: input }));
+  const info = db.prepare('INSERT INTO campaigns(subject,body,include_posts,created_by) VALUES (?,?,?,?)').run(input.subject, input.body, input.include_posts, me.id);
+  audit(req, me, 'campaign.create', { type: 'campaign', id: info.lastInsertRowid, label: input.subject }, null, input);
+  res.redirect(`/admin/newsletter/${info.lastInsertRowid}`);
+});
+
+function renderCampaignPage(me, id, extra = {}) {
+  const campaign = db.prepare('SELECT * FROM campaigns WHERE id=?').get(id);
+  if (!campaign) return null;
+  const recipients = db.prepare('SELECT r.email, m.status, m.attempts, m.last_error FROM campaign_recipients r LEFT JOIN mail_queue m ON m.id=r.mail_id WHERE r.campaign_id=? ORDER BY r.id').all(id);
+  const stats = { audience: newsletterAudience().length, sent: 0, queued: 0, failed: 0 };
+  for (const r of recipients) stats[r.status || 'queued'] = (stats[r.status || 'queued'] || 0) + 1;
+  return AdminCampaignView({ me, campaign, preview: renderCampaign(campaign, me.email), recipients, stats, ...extra });
+}
+app.get('/admin/newsletter/:id', (req,res)=>{
+  const me = requirePermission(req,res,'newsletter.manage'); if (!me || res.headersSent) return;
+  const flash = req.session.flash; req.session.flash = null;
+  const html = renderCampaignPage(me, Number(req.params.id), { flash });
+  if (!html) return res.status(404).send('Not found');
+  res.send(html);
+});
+app.post('/admin/newsletter/:id', (req,res)=>{
+  const me = requirePermission(req,res,'newsletter.manage'); if (!me || res.headersSent) return;
+  const id = Number(req.params.id);
+  const input = campaignInput(req.body);
+  if (!input.subject) return res.status(400).send(renderCampaignPage(me, id, { error: 'Subject is required' }) || 'Not found');
+  const current = db.prepare("SELECT subject, body, include_posts FROM campaigns WHERE id=? AND status='draft'").get(id);
+  if (current) {
+    db.prepare("UPDATE campaigns SET subject=?, body=?, include_posts=? WHERE id=?").run(input.subject, input.body, input.include_posts, id);
+    const [before, after] = auditDiff(current, input);
+    if (Object.keys(after).length) audit(req, me, 'campaign.update', { type: 'campaign', id, label: input.subject }, before, after);
+  }
+  res.redirect(`/admin/newsletter/${id}`);
+});
+app.post('/admin/newsletter/:id/test', (req,res)=>{
+  const me = requirePermission(req,res,'newsletter.manage'); if (!me || res.headersSent) return;
+  const campaign = db.prepare('SELECT * FROM campaigns WHERE id=?').get(Number(req.params.id));
+  if (!campaign) return res.status(404).send('Not found');
+  queueCampaignMail({ ...campaign, subject: `[Test] ${campaign.subject}` }, me.email);
+  audit(req, me, 'campaign.test', { type: 'campaign', id: campaign.id, label: campaign.subject }, null, { to: me.email });
+  req.session.flash = { message: `Test sent to ${me.email}` };
+  res.redirect(`/admin/newsletter/${campaign.id}`);
+});
+app.post('/admin/newsletter/:id/schedule', (req,res)=>{
+  const me = requirePermission(req,res,'newsletter.manage'); if (!me || res.headersSent) return;
+  const id = Number(req.params.id);
+  const when = new Date(String(req.body.scheduled_at||'') + 'Z');
+  if (isNaN(when) || when <= new Date()) return res.status(400).send(renderCampaignPage(me, id, { error: 'Pick a time in the future (UTC)' }) || 'Not found');
+  const info = db.prepare("UPDATE campaigns SET status='scheduled', scheduled_at=? WHERE id=? AND status='draft'").run(sqlNow(when), id);
+  if (info.changes) audit(req, me, 'campaign.schedule', { type: 'campaign', id }, { status: 'draft' }, { status: 'scheduled', scheduled_at: sqlNow(when) });
+  req.session.flash = { message: 'Campaign scheduled' };
+  res.redirect(`/admin/newsletter/${id}`);
+});
+app.post('/admin/newsletter/:id/unschedule', (req,res)=>{
+  const me = requirePermission(req,res,'newsletter.manage'); if (!me || res.headersSent) return;
+  const id = Number(req.params.id);
+  const current = db.prepare("SELECT scheduled_at FROM campaigns WHERE id=? AND status='scheduled'").get(id);
+  const info = db.prepare("UPDATE campaigns SET status='draft', scheduled_at=NULL WHERE id=? AND status='scheduled'").run(id);
+  if (info.changes) audit(req, me, 'campaign.unschedule', { type: 'campaign', id }, { status: 'scheduled', scheduled_at: current.scheduled_at }, { status: 'draft' });
+  res.redirect(`/admin/newsletter/${id}`);
+});
+app.post('/admin/newsletter/:id/send', (req,res)=>{
+  const me = requirePermission(req,res,'newsletter.manage'); if (!me || res.headersSent) return;
+  const id = Number(req.params.id);
+  const count = sendCampaign(id);
+  if (count != null) audit(req, me, 'campaign.send', { type: 'campaign', id }, null, { recipients: count });
+  req.session.flash = { message: count == null ? 'Campaign was already sent' : `Queued for ${count} recipients` };
+  res.redirect(`/admin/newsletter/${id}`);
+});
+
+// Subscriber list: browse, CSV export / import
+function renderSubscribers(req, me, extra = {}) {
+  const q = String(req.query.q||'').trim(), status = String(req.query.status||'');
+  const where = [], args = [];
+  if (q) { where.push('email LIKE ?'); args.push(`%${q.toLowerCase()}%`); }
+  if (status) { where.push('status=?'); args.push(status); }
+  const subscribers = db.prepare(`SELECT * FROM subscribers ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY id DESC LIMIT 200`).all(...args);
+  const counts = Object.fromEntries(db.prepare('SELECT status, COUNT(*) c FROM subscribers GROUP BY status').all().map(r => [r.status, r.c]));
+  return AdminSubscribersView({ me, subscribers, counts, q, status, ...extra });
+}
+app.get('/admin/subscribers', (req,res)=>{
+  const me = requirePermission(req,res,'subscribers.manage'); if (!me || res.headersSent) return;
+  res.send(renderSubscribers(req, me));
+});
+app.get('/admin/subscribers.csv', (req,res)=>{
+  const me = requirePermission(req,res,'subscribers.manage'); if (!me || res.headersSent) return;
+  const rows = db.prepare('SELECT email,status,source,created_at,confirmed_at,unsubscribed_at FROM subscribers ORDER BY id').all();
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="subscribers-${sqlNow().slice(0,10)}.csv"`);
+  res.send(toCsv(['email','status','source','created_at','confirmed_at','unsubscribed_at'], rows.map(r => Object.values(r))));
+});
+app.post('/admin/subscribers/import', (req,res)=>{
+  const me = requirePermission(req,res,'subscribers.manage'); if (!me || res.headersSent) return;
+  const csv = String(req.body.csv||'');
+  if (!csv.trim()) return res.status(400).send(renderSubscribers(req, me, { error: 'Paste or choose a CSV file first' }));
+  const importResult = importSubscribers(csv);
+  audit(req, me, 'subscribers.import', { type: 'subscribers' }, null, { ...importResult, invalid: importResult.invalid.length });
+  res.send(renderSubscribers(req, me, { importResult }));
+});
+
+// Reports for every active client at once
+app.get('/admin/reports', (req,res)=>{
+  const me = requirePermission(req,res,'reports.batch'); if (!me || res.headersSent) return;
+  res.send(AdminReportsView({ me, month: reportMonth(req.query.month), clients: activeClients() }));
+});
+app.get('/admin/reports/all.csv', (req,res)=>{
+  const me = requirePermission(req,res,'reports.batch'); if (!me || res.headersSent) return;
+  const month = reportMonth(req.query.month);
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="reports-${month}.csv"`);
+  res.send(clientReportsSummaryCsv(activeClients().map(u => clientReport(u, month))));
+});
+app.get('/admin/reports/all', (req,res)=>{
+  const me = requirePermission(req,res,'reports.batch'); if (!me || res.headersSent) return;
+  const month = reportMonth(req.query.month);
+  res.send(ClientReportDocument({ title: `Client reports ${month}`, reports: activeClients().map(u => clientReport(u, month)), month,
+    backHref: `/admin/reports?month=${month}`, csvHref: `/admin/reports/all.csv?month=${month}` }));
+});
+
+// Login activity & lockouts
+app.get('/admin/logins', (req,res)=>{
+  const me = requirePermission(req,res,'security.manage'); if (!me || res.headersSent) return;
+  const filters = { email: String(req.query.email||'').trim().toLowerCase(), ip: String(req.query.ip||'').trim(), result: String(req.query.result||'') };
+  const where = [], args = [];
+  if (filters.email) { where.push('email LIKE ?'); args.push(`%${filters.email}%`); }
+  if (filters.ip) { where.push('ip=?'); args.push(filters.ip); }
+  if (filters.result) { where.push('success=?'); args.push(filters.result === 'success' ? 1 : 0); }
+  const attempts = db.prepare(`SELECT * FROM login_attempts ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY id DESC LIMIT 200`).all(...args);
+  const locked = db.prepare("SELECT id,email,role,locked_until FROM users WHERE locked_until > datetime('now') ORDER BY locked_until").all();
+  res.send(AdminLoginsView({ me, locked, attempts, filters }));
+});
+app.post('/admin/logins/unlock', (req,res)=>{
+  const me = requirePermission(req,res,'security.manage'); if (!me || res.headersSent) return;
+  const target = db.prepare('SELECT id, email, locked_until FROM users WHERE id=?').get(Number(req.body.id));
+  if (target) {
+    unlockAccount(target.id);
+    audit(req, me, 'user.unlock', auditUser(target), { locked_until: target.locked_until }, { locked_until: null });
+  }
+  res.redirect('/admin/logins');
+});
+
+// 2FA policy
+app.post('/admin/security', (req,res)=>{
+  const me = requirePermission(req,res,'security.manage'); if (!me || res.headersSent) return;
+  const roles = [].concat(req.body.require_2fa || []).filter(r => ['admin','staff'].includes(r));
+  const before = twoFactorRequiredRoles();
+  setSetting('require_2fa_roles', JSON.stringify(roles), me.id);
+  audit(req, me, 'setting.update', { type: 'setting', label: 'require_2fa_roles' }, before, roles);
+  // an admin turning the policy on for themselves goes straight to enrollment
+  res.redirect(roles.includes(me.role) && !me.totp_enabled_at ? '/account/2fa' : '/dashboard');
+});
+
+// Audit log: same filters for the page and the CSV export
+function auditFilters(query) {
+  const filters = {
+    actor: String(query.actor||'').trim().toLowerCase(), action: String(query.action||''),
+    target_type: String(query.target_type||''), target_id: String(query.target_id||'').trim(), target: String(query.target||'').trim(),
+    from: String(query.from||''), to: String(query.to||'')
+  };
+  const where = [], args = [];
+  if (filters.actor) { where.push('actor_email LIKE ?'); args.push(`%${filters.actor}%`); }
+  if (filters.action) { where.push('action=?'); args.push(filters.action); }
+  if (filters.target_type) { where.push('target_type=?'); args.push(filters.target_type); }
+  if (filters.target_id) { where.push('target_id=?'); args.push(Number(filters.target_id)); }
+  if (filters.target) { where.push('target_label LIKE ?'); args.push(`%${filters.target}%`); }
+  if (filters.from) { where.push('date(created_at) >= date(?)'); args.push(filters.from); }
+  if (filters.to) { where.push('date(created_at) <= date(?)'); args.push(filters.to); }
+  return { filters, sql: `FROM audit_log ${where.length ? 'WHERE ' + where.join(' AND ') : ''}`, args };
+}
+app.get('/admin/audit', (req,res)=>{
+  const me = requirePermission(req,res,'audit.view'); if (!me || res.headersSent) return;
+  const { filters, sql, args } = auditFilters(req.query);
+  const pageSize = 50;
+  const total = db.prepare(`SELECT COUNT(*) c ${sql}`).get(...args).c;
+  const pages = Math.max(1, Math.ceil(total / pageSize));
+  const page = Math.min(pages, Math.max(1, Number(req.query.page) || 1));
+  const entries = db.prepare(`SELECT * ${sql} ORDER BY id DESC LIMIT ? OFFSET ?`).all(...args, pageSize, (page - 1) * pageSize);
+  const actions = db.prepare('SELECT DISTINCT action FROM audit_log ORDER BY action').all().map(r => r.action);
+  const targetTypes = db.prepare('SELECT DISTINCT target_type FROM audit_log WHERE target_type IS NOT NULL ORDER BY target_type').all().map(r => r.target_type);
+  res.send(AdminAuditView({ me, entries, filters, actions, targetTypes, page, pages, total }));
+});
+app.get('/admin/audit.csv', (req,res)=>{
+  const me = requirePermission(req,res,'audit.view'); if (!me || res.headersSent) return;
+  const { sql, args } = auditFilters(req.query);
+  const cols = ['id','created_at','actor_id','actor_email','action','target_type','target_id','target_label','before_value','after_value','ip'];
+  const rows = db.prepare(`SELECT ${cols.join(',')} ${sql} ORDER BY id`).all(...args);
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="audit-${sqlNow().slice(0,10)}.csv"`);
+  res.send(toCsv(cols, rows.map(r => cols.map(c => r[c]))));
+});
+
+// Role capability editor
+app.get('/admin/roles', (req,res)=>{
+  const me = requirePermission(req,res,'roles.manage'); if (!me || res.headersSent) return;
+  const matrix = Object.fromEntries(ROLES.map(r => [r, roleCapabilities(r)]));
+  res.send(AdminRolesView({ me, matrix, saved: req.query.saved }));
+});
+app.post('/admin/roles', (req,res)=>{
+  const me = requirePermission(req,res,'roles.manage'); if (!me || res.headersSent) return;
+  db.transaction(() => {
+    for (const role of ROLES.filter(r => canEditRole(me, r))) {
+      const before = roleCapabilities(role);
+      setRoleCapabilities(role, [].concat(req.body[`cap_${role}`] || []));
+      const after = roleCapabilities(role);
+      if (before.slice().sort().join() !== after.slice().sort().join()) audit(req, me, 'role.capabilities', { type: 'role', label: role }, before, after);
+    }
+  })();
+  res.redirect('/admin/roles?saved=1');
+});
+
 // Admin role assign
 app.post('/admin/assign_role', (req,res)=>{
-  const me = requireRole(req,res,['admin']); if (!me || res.headersSent) return;
-  const email = String(req.body.email||'').toLowerCase();
+  const me = requirePermission(req,res,'roles.assign'); if (!me || res.headersSent) return;
+  const email = String(req.body.email||'').trim().toLowerCase();
   const role = String(req.body.role||'user');
-  if (!email) return res.redirect('/dashboard');
-  db.prepare('UPDATE users SET role=? WHERE email=?').run(role, email);
+  const target = email && db.prepare('SELECT * FROM users WHERE email=? AND deleted_at IS NULL').get(email);
+  if (!target) return res.status(400).send(GenericView({ user:me, title:'Assign role', body:'No account with that email.' }));
+  if (!ROLES.includes(role)) return res.status(400).send(GenericView({ user:me, title:'Assign role', body:'Unknown role.' }));
+  if (!canActOn(me, target) || !canGrantRole(me, role)) return res.status(403).send(GenericView({ user:me, title:'Assign role', body:'You cannot change the role of that account.' }));
+  db.transaction(() => {
+    db.prepare('UPDATE users SET role=? WHERE id=?').run(role, target.id);
+    if (role !== target.role) audit(req, me, 'user.role', auditUser(target), { role: target.role }, { role });
+  })();
   res.redirect('/dashboard');
 });
 
 // -------------------------- Staff routes --------------------------
 app.get('/staff', (req,res)=>{
-  const me = requireRole(req,res,['staff','admin']); if (!me || res.headersSent) return;
-  const users = db.prepare('SELECT id,email,role,instagram FROM users ORDER BY id DESC').all();
-  res.send(StaffPanelView({ me, users }));
+  const me = requirePermission(req,res,'users.view'); if (!me || res.headersSent) return;
+  const users = db.prepare('SELECT id,email,role,instagram FROM users WHERE deleted_at IS NULL ORDER BY id DESC').all();
+  // with ?user= the detail fragment shows (and clears) the flash instead
+  const flash = req.query.user ? null : req.session.flash;
+  if (flash) req.session.flash = null;
+  res.send(StaffPanelView({ me, users, flash }));
 });
 
 // Provide user detail fragment endpoint used by client-side fetch
 app.get('/staff/user_detail/:id', (req,res)=>{
-  const me = requireRole(req,res,['staff','admin']); if (!me || res.headersSent) return;
+  const me = requirePermission(req,res,'users.view'); if (!me || res.headersSent) return;
   const id = Number(req.params.id);
-  const user = db.prepare('SELECT * FROM users WHERE id=?').get(id);
+  const user = db.prepare('SELECT * FROM users WHERE id=? AND deleted_at IS NULL').get(id);
   if (!user) return res.send('<div class="p-4 bg-white border rounded">User not found</div>');
-  const metrics = db.prepare('SELECT * FROM metrics WHERE user_id=? ORDER BY id DESC').all(id);
-  const latest = metrics[metrics.length-1] || {likes:0,follows:0};
+  const latest = latestMetricTotals(id);
+  const recentPoints = db.prepare('SELECT p.*, u.email as actor_email FROM metric_points p LEFT JOIN users u ON u.id=p.actor_id WHERE p.user_id=? ORDER BY p.recorded_at DESC, p.id DESC LIMIT 8').all(id);
+  const targetHistory = db.prepare('SELECT h.*, u.email as actor_email FROM target_history h LEFT JOIN users u ON u.id=h.actor_id WHERE h.user_id=? ORDER BY h.id DESC LIMIT 10').all(id);
+  const flash = req.session.flash; req.session.flash = null;
+  const automation = automationSettings(id);
+  const automationLog = db.prepare('SELECT a.*, u.email as actor_email FROM automation_audit a LEFT JOIN users u ON u.id=a.actor_id WHERE a.user_id=? ORDER BY a.id DESC LIMIT 15').all(id);
   // render a small detail panel HTML
   res.send(`
     <div class="bg-white border rounded-xl p-4">
+      ${FlashMessage(flash, { spacing: 'mb-3' })}
       <div class="flex items-center justify-between">
         <div>
           <div class="font-bold">${escapeHtml(user.email)} <span class="text-xs text-slate-500">#${user.id}</span></div>
-          <div class="text-xs text-slate-500">${escapeHtml(user.role)} • IG: ${escapeHtml(user.instagram||'—')}</div>
+          <div class="text-xs text-slate-500">${escapeHtml(user.role)} • IG: ${escapeHtml(user.instagram||'—')}${can(me, 'audit.view') ? ` • <a class="text-indigo-600 underline" href="/admin/audit?target_type=user&target_id=${user.id}">Audit trail</a>` : ''}</div>
         </div>
         <div>
-          <form method="post" action="/staff/toggle_unsubscribe" style="display:inline">
+          ${can(me, 'users.edit') ? `<form method="post" action="/staff/toggle_unsubscribe" style="display:inline">
             <input type="hidden" name="id" value="${user.id}" />
             <button class="px-3 py-1 rounded ${user.unsubscribed? 'bg-yellow-500':'bg-slate-200'}">${user.unsubscribed? 'Unsubscribed':'Subscribed'}</button>
-          </form>
+          </form>` : `<span class="text-xs text-slate-500">${user.unsubscribed? 'Unsubscribed':'Subscribed'}</span>`}
         </div>
       </div>
 
-      <div class="mt-4 grid grid-cols-2 gap-4">
-        <div class="bg-slate-50 p-3 rounded">
-          <div class="text-xs text-slate-500">Latest Likes</div>
-          <div class="text-xl font-bold">${latest.likes}</div>
-        </div>
-        <div class="bg-slate-50 p-3 rounded">
-          <div class="text-xs text-slate-500">Latest Follows</div>
-          <div class="text-xl font-bold">${latest.follows}</div>
-        </div>
+      <div class="mt-4 grid grid-cols-2 md:grid-cols-4 gap-4">
+        ${METRICS.map(([m, label]) => `<div class="bg-slate-50 p-3 rounded">
+          <div class="text-xs text-slate-500">${label}</div>
+          <div class="text-xl font-bold">${latest[m] ? latest[m].total : '—'}</div>
+          <div class="text-xs text-slate-500">${latest[m] ? `as of ${escapeHtml(latest[m].day)}` : 'not recorded'}</div>
+        </div>`).join('')}
       </div>
+      <div class="mt-2 text-xs">${can(me, 'performance.view') ? `<a class="text-indigo-600 underline mr-3" href="/performance/${user.id}">Performance chart →</a><a class="text-indigo-600 underline" href="/staff/reports/${user.id}">Monthly report →</a>` : ''}</div>
 
-      <div class="mt-4">
-        <form method="post" action="/staff/metrics" class="grid grid-cols-2 gap-2">
+      ${can(me, 'metrics.edit') ? `<div class="mt-4">
+        <form method="post" action="/staff/metrics" class="grid grid-cols-2 md:grid-cols-4 gap-2">
           <input type="hidden" name="user_id" value="${user.id}" />
-          <input name="add_likes" type="number" placeholder="Add likes" class="px-3 py-2 rounded border" />
-          <input name="add_follows" type="number" placeholder="Add follows" class="px-3 py-2 rounded border" />
-          <div class="col-span-2 mt-2"><button class="px-3 py-2 rounded bg-indigo-600 text-white">Update Metrics</button></div>
+          <select name="metric" class="px-3 py-2 rounded border">${METRICS.map(([m, label]) => `<option value="${m}">${label}</option>`).join('')}</select>
+          <select name="kind" class="px-3 py-2 rounded border">
+            <option value="snapshot">Set total to</option>
+            <option value="increment">Add (or subtract)</option>
+          </select>
+          <input name="value" type="number" step="1" required placeholder="Value" class="px-3 py-2 rounded border" />
+          <input name="day" type="date" value="${sqlNow().slice(0,10)}" max="${sqlNow().slice(0,10)}" class="px-3 py-2 rounded border" />
+          <div class="col-span-2 md:col-span-4 mt-2"><button class="px-3 py-2 rounded bg-indigo-600 text-white">Record Metric</button></div>
         </form>
+        ${recentPoints.length ? `<ul class="mt-3 text-xs text-slate-600 space-y-1">${recentPoints.map(p => `<li>${escapeHtml(String(p.recorded_at).slice(0,10))} • ${escapeHtml(p.metric)} ${p.kind === 'snapshot' ? '=' : (p.value >= 0 ? '+' : '')}${p.value} <span class="text-slate-400">(${escapeHtml(p.source || '')}${p.actor_email ? `, ${escapeHtml(p.actor_email)}` : ''})</span></li>`).join('')}</ul>` : ''}
+      </div>` : ''}
+
+      <div class="mt-6 grid md:grid-cols-2 gap-4">
+        <div>
+          <h4 class="font-bold">Growth Targeting</h4>
+          ${TargetingForm({ action: '/staff/targeting', target: latestTarget(user.id), userId: user.id, withNotes: true })}
+        </div>
+        <div>
+          <h4 class="font-bold mb-2">Targeting History</h4>
+          ${TargetHistoryList(targetHistory)}
+        </div>
+      </div>
+
+      <div class="mt-6">
+        <h4 class="font-bold">Automation Settings</h4>
+        ${AutomationPanel({ user, settings: automation, audit: automationLog })}
       </div>
     </div>
   `);
 });
 
+app.post('/staff/targeting', (req,res)=>{
+  const me = requirePermission(req,res,'targeting.edit'); if (!me || res.headersSent) return;
+  const user_id = Number(req.body.user_id);
+  if (!db.prepare('SELECT 1 FROM users WHERE id=? AND deleted_at IS NULL').get(user_id)) return res.redirect('/staff');
+  const result = db.transaction(() => {
+    const saved = saveTargeting(user_id, req.body, me.id);
+    if (saved.changes && Object.keys(saved.changes).length) {
+      const fields = Object.keys(saved.changes);
+      audit(req, me, 'targeting.update', auditUser(db.prepare('SELECT id,email FROM users WHERE id=?').get(user_id)),
+        Object.fromEntries(fields.map(f => [f, saved.changes[f][0]])), Object.fromEntries(fields.map(f => [f, saved.changes[f][1]])));
+    }
+    return saved;
+  })();
+  req.session.flash = result.errors ? { error: true, message: result.errors.join('. ') } : { message: 'Targeting saved' };
+  res.redirect(`/staff?user=${user_id}`);
+});
+
+app.post('/staff/automation', (req,res)=>{
+  const me = requirePermission(req,res,'automation.edit'); if (!me || res.headersSent) return;
+  const user_id = Number(req.body.user_id);
+  if (!db.prepare('SELECT 1 FROM users WHERE id=? AND deleted_at IS NULL').get(user_id)) return res.redirect('/staff');
+  const result = db.transaction(() => {
+    const before = { ...automationSettings(user_id) };
+    const saved = saveAutomation(user_id, req.body, me.id);
+    if (saved.changed && saved.changed.length) {
+      const after = automationSettings(user_id);
+      audit(req, me, 'automation.update', auditUser(db.prepare('SELECT id,email FROM users WHERE id=?').get(user_id)),
+        Object.fromEntries(saved.changed.map(f => [f, before[f]])), Object.fromEntries(saved.changed.map(f => [f, after[f]])));
+    }
+    return saved;
+  })();
+  req.session.flash = result.errors ? { error: true, message: result.errors.join('. ') } : { message: 'Automation settings saved' };
+  res.redirect(`/staff?user=${user_id}`);
+});
+
+// Support inbox
+function ticketMessages(ticketId) {
+  return db.prepare('SELECT m.*, u.email as author_email FROM ticket_messages m LEFT JOIN users u ON u.id=m.author_id WHERE m.ticket_id=? ORDER BY m.id').all(ticketId);
+}
+app.get('/staff/tickets', (req,res)=>{
+  const me = requirePermission(req,res,'tickets.manage'); if (!me || res.headersSent) return;
+  const filters = {
+    status: ['open','pending','closed','all'].includes(req.query.status) ? req.query.status : 'open',
+    assigned: ['me','unassigned','all'].includes(req.query.assigned) ? req.query.assigned : 'all'
+  };
+  const where = [], args = [];
+  if (filters.status !== 'all') { where.push('t.status=?'); args.push(filters.status); }
+  if (filters.assigned === 'me') { where.push('t.assigned_to=?'); args.push(me.id); }
+  if (filters.assigned === 'unassigned') where.push('t.assigned_to IS NULL');
+  const tickets = db.prepare(`SELECT t.*, a.email as assignee_email, (SELECT COUNT(*) FROM ticket_messages m WHERE m.ticket_id=t.id AND m.kind!='event') as replies
+    FROM tickets t LEFT JOIN users a ON a.id=t.assigned_to ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+    ORDER BY COALESCE(t.updated_at, t.created_at) DESC LIMIT 200`).all(...args);
+  const counts = Object.fromEntries(db.prepare('SELECT status, COUNT(*) c FROM tickets GROUP BY status').all().map(r => [r.status, r.c]));
+  res.send(StaffTicketsView({ me, tickets, filters, counts }));
+});
+app.get('/staff/tickets/:id', (req,res)=>{
+  const me = requirePermission(req,res,'tickets.manage'); if (!me || res.headersSent) return;
+  const ticket = db.prepare('SELECT * FROM tickets WHERE id=?').get(Number(req.params.id));
+  if (!ticket) return res.status(404).send('Not found');
+  const staff = db.prepare("SELECT id,email,name FROM users WHERE role IN ('staff','admin') AND deleted_at IS NULL ORDER BY email").all();
+  res.send(StaffTicketView({ me, ticket, messages: ticketMessages(ticket.id), staff }));
+});
+app.post('/staff/tickets/:id/reply', (req,res)=>{
+  const me = requirePermission(req,res,'tickets.manage'); if (!me || res.headersSent) return;
+  const ticket = db.prepare('SELECT * FROM tickets WHERE id=?').get(Number(req.params.id));
+  if (!ticket) return res.status(404).send('Not found');
+  const body = String(req.body.body||'').trim();
+  if (body) {
+    const internal = !!req.body.internal;
+    addTicketMessage(ticket.id, me.id, internal ? 'note' : 'reply', body);
+    if (!internal && !queueMail(ticket.email, 'ticket_reply', { ticket, reply: body })) addTicketMessage(ticket.id, me.id, 'event', 'Reply not emailed: the ticket has no valid email address');
+    if (!internal && ticket.status === 'open') setTicketStatus(ticket, 'pending', me); // waiting on the customer
+    if (!ticket.assigned_to) db.prepare('UPDATE tickets SET assigned_to=? WHERE id=?').run(me.id, ticket.id);
+    audit(req, me, internal ? 'ticket.note' : 'ticket.reply', { type: 'ticket', id: ticket.id, label: ticket.subject }, null, { length: body.length });
+  }
+  res.redirect(`/staff/tickets/${ticket.id}`);
+});
+app.post('/staff/tickets/:id/update', (req,res)=>{
+  const me = requirePermission(req,res,'tickets.manage'); if (!me || res.headersSent) return;
+  const ticket = db.prepare('SELECT * FROM tickets WHERE id=?').get(Number(req.params.id));
+  if (!ticket) return res.status(404).send('Not found');
+  const before = { status: ticket.status, assigned_to: ticket.assigned_to };
+  setTicketStatus(ticket, String(req.body.status||''), me);
+  const assignee = req.body.assigned_to ? db.prepare("SELECT id,email FROM users WHERE id=? AND role IN ('staff','admin') AND deleted_at IS NULL").get(Number(req.body.assigned_to)) : null;
+  const assigneeId = assignee ? assignee.id : null;
+  if (assigneeId !== ticket.assigned_to) {
+    db.prepare('UPDATE tickets SET assigned_to=? WHERE id=?').run(assigneeId, ticket.id);
+    addTicketMessage(ticket.id, me.id, 'event', assignee ? `Assigned to ${assignee.email}` : 'Unassigned');
+  }
+  const [changedFrom, changedTo] = auditDiff(before, { status: ticket.status, assigned_to: assigneeId });
+  if (Object.keys(changedTo).length) audit(req, me, 'ticket.update', { type: 'ticket', id: ticket.id, label: ticket.subject }, changedFrom, changedTo);
+  res.redirect(`/staff/tickets/${ticket.id}`);
+});
+
 app.post('/staff/add', (req,res)=>{
-  const me = requireRole(req,res,['staff','admin']); if (!me || res.headersSent) return;
+  const me = requirePermission(req,res,'users.create_staff'); if (!me || res.headersSent) return;
   const { email, password, name } = req.body;
   if (!email || !password) return res.redirect('/staff');
+  const policyError = passwordPolicyError(password, { email, name });
+  if (policyError) { req.session.flash = { error: true, message: `Staff account not created: ${policyError}` }; return res.redirect('/staff'); }
   try {
-    db.prepare('INSERT INTO users(email,password_hash,name,role) VALUES (?,?,?,?)').run(String(email).toLowerCase(), sha256(password), name||'', 'staff');
+    db.prepare('INSERT INTO users(email,password_hash,name,role) VALUES (?,?,?,?)').run(String(email).toLowerCase(), hashPassword(password), name||'', 'staff');
     const id = db.prepare('SELECT id FROM users WHERE email=?').get(String(email).toLowerCase()).id;
     db.prepare('INSERT OR IGNORE INTO statuses(user_id) VALUES (?)').run(id);
-    db.prepare('INSERT OR IGNORE INTO metrics(user_id,likes,follows) VALUES (?,?,?)').run(id, 0, 0);
+    audit(req, me, 'user.create_staff', { type: 'user', id, label: String(email).toLowerCase() }, null, { role: 'staff', name: name||'' });
   } catch(e) { /* ignore duplicates */ }
   res.redirect('/staff');
 });
 
+// Refused account actions go back to the staff panel with an explanation
+function denyStaffAction(req, res, message) {
+  req.session.flash = { error: true, message };
+  res.redirect('/staff');
+}
 app.post('/staff/promote', (req,res)=>{
-  const me = requireRole(req,res,['staff','admin']); if (!me || res.headersSent) return;
-  const id = Number(req.body.id);
-  db.prepare('UPDATE users SET role=? WHERE id=?').run('staff', id);
+  const me = requirePermission(req,res,'users.promote'); if (!me || res.headersSent) return;
+  const target = db.prepare('SELECT * FROM users WHERE id=? AND deleted_at IS NULL').get(Number(req.body.id));
+  if (!target || target.role !== 'user' || !canActOn(me, target) || !canGrantRole(me, 'staff')) return denyStaffAction(req, res, 'You cannot promote that account');
+  db.transaction(() => {
+    db.prepare('UPDATE users SET role=? WHERE id=?').run('staff', target.id);
+    audit(req, me, 'user.promote', auditUser(target), { role: 'user' }, { role: 'staff' });
+  })();
   res.redirect('/staff');
 });
 app.post('/staff/demote', (req,res)=>{
-  const me = requireRole(req,res,['staff','admin']); if (!me || res.headersSent) return;
-  const id = Number(req.body.id);
-  db.prepare('UPDATE users SET role=? WHERE id=?').run('user', id);
+  const me = requirePermission(req,res,'users.promote'); if (!me || res.headersSent) return;
+  const target = db.prepare('SELECT * FROM users WHERE id=? AND deleted_at IS NULL').get(Number(req.body.id));
+  if (!target || target.role !== 'staff' || !canActOn(me, target)) return denyStaffAction(req, res, 'You cannot demote that account');
+  db.transaction(() => {
+    db.prepare('UPDATE users SET role=? WHERE id=?').run('user', target.id);
+    audit(req, me, 'user.demote', auditUser(target), { role: 'staff' }, { role: 'user' });
+  })();
   res.redirect('/staff');
 });
 app.post('/staff/delete', (req,res)=>{
-  const me = requireRole(req,res,['staff','admin']); if (!me || res.headersSent) return;
-  const id = Number(req.body.id);
-  db.prepare('DELETE FROM users WHERE id=?').run(id);
-  db.prepare('DELETE FROM targets WHERE user_id=?').run(id);
-  db.prepare('DELETE FROM statuses WHERE user_id=?').run(id);
-  db.prepare('DELETE FROM metrics WHERE user_id=?').run(id);
+  const me = requirePermission(req,res,'users.delete'); if (!me || res.headersSent) return;
+  const target = db.prepare('SELECT * FROM users WHERE id=? AND deleted_at IS NULL').get(Number(req.body.id));
+  if (!target || !canActOn(me, target)) return denyStaffAction(req, res, 'You cannot delete that account');
+  db.transaction(() => {
+    const cancelled = softDeleteUser(target.id, me.id);
+    audit(req, me, 'user.delete', auditUser(target), { deleted_at: null }, { deleted_at: sqlNow(), subscriptions_cancelled: cancelled });
+  })();
+  req.session.flash = { message: `${target.email} moved to the trash — it can be restored for ${ACCOUNT_RETENTION_DAYS} days` };
   res.redirect('/staff');
 });
+// Trash: soft-deleted accounts until the purge job removes them
+app.get('/staff/trash', (req,res)=>{
+  const me = requirePermission(req,res,'users.delete'); if (!me || res.headersSent) return;
+  const users = db.prepare(`SELECT u.id, u.email, u.role, u.deleted_at, d.email as deleted_by_email, datetime(u.deleted_at, ?) as purge_at
+    FROM users u LEFT JOIN users d ON d.id=u.deleted_by WHERE u.deleted_at IS NOT NULL ORDER BY u.deleted_at DESC`).all(`+${ACCOUNT_RETENTION_DAYS} days`);
+  const flash = req.session.flash; req.session.flash = null;
+  res.send(StaffTrashView({ me, users, flash }));
+});
+app.post('/staff/restore', (req,res)=>{
+  const me = requirePermission(req,res,'users.delete'); if (!me || res.headersSent) return;
+  const target = db.prepare('SELECT * FROM users WHERE id=? AND deleted_at IS NOT NULL').get(Number(req.body.id));
+  if (!target || !canActOn(me, target)) { req.session.flash = { error: true, message: 'You cannot restore that account' }; return res.redirect('/staff/trash'); }
+  db.transaction(() => {
+    restoreUser(target.id);
+    audit(req, me, 'user.restore', auditUser(target), { deleted_at: target.deleted_at }, { deleted_at: null });
+  })();
+  req.session.flash = { message: `${target.email} restored` };
+  res.redirect('/staff/trash');
+});
+app.post('/staff/purge', (req,res)=>{
+  const me = requirePermission(req,res,'users.purge'); if (!me || res.headersSent) return;
+  const target = db.prepare('SELECT * FROM users WHERE id=? AND deleted_at IS NOT NULL').get(Number(req.body.id));
+  if (!target || !canActOn(me, target)) { req.session.flash = { error: true, message: 'You cannot purge that account' }; return res.redirect('/staff/trash'); }
+  purgeUser(target, req, me);
+  req.session.flash = { message: `${target.email} permanently deleted` };
+  res.redirect('/staff/trash');
+});
+
 app.post('/staff/metrics', (req,res)=>{
-  const me = requireRole(req,res,['staff','admin']); if (!me || res.headersSent) return;
+  const me = requirePermission(req,res,'metrics.edit'); if (!me || res.headersSent) return;
   const user_id = Number(req.body.user_id);
-  const add_likes = Math.max(0, Number(req.body.add_likes || 0));
-  const add_follows = Math.max(0, Number(req.body.add_follows || 0));
-  if (!user_id) return res.redirect('/staff');
-  db.prepare('INSERT INTO metrics(user_id,likes,follows) VALUES (?,?,?)').run(user_id, add_likes, add_follows);
-  res.redirect('/staff');
+  const target = db.prepare('SELECT id,email FROM users WHERE id=? AND deleted_at IS NULL').get(user_id);
+  if (!target) return res.redirect('/staff');
+  const { errors, point } = metricInput(req.body);
+  if (errors) { req.session.flash = { error: true, message: `Metric not recorded: ${errors.join('. ')}` }; return res.redirect(`/staff?user=${user_id}`); }
+  const previous = latestMetricTotals(user_id)[point.metric];
+  const id = recordMetric(user_id, { ...point, source: 'staff', actorId: me.id });
+  const current = latestMetricTotals(user_id)[point.metric];
+  audit(req, me, 'metrics.record', auditUser(target), { [point.metric]: previous ? previous.total : null },
+    { [point.metric]: current ? current.total : null, point_id: id, kind: point.kind, value: point.value, recorded_at: point.recordedAt });
+  const label = METRICS.find(([m]) => m === point.metric)[1];
+  req.session.flash = { message: `${label} ${point.kind === 'snapshot' ? 'set to' : 'changed by'} ${point.value} for ${target.email}` };
+  res.redirect(`/staff?user=${user_id}`);
+});
+
+// Bulk metrics upload: the first submit previews (dry run), the confirm form re-posts with commit=1
+app.get('/staff/metrics/import', (req,res)=>{
+  const me = requirePermission(req,res,'metrics.edit'); if (!me || res.headersSent) return;
+  res.send(StaffMetricsImportView({ me }));
+});
+app.post('/staff/metrics/import', (req,res)=>{
+  const me = requirePermission(req,res,'metrics.edit'); if (!me || res.headersSent) return;
+  const data = String(req.body.data || '');
+  const kinds = Object.fromEntries(METRICS.map(([m]) => [m, METRIC_KINDS.includes(req.body[`kind_${m}`]) ? req.body[`kind_${m}`] : METRIC_IMPORT_KINDS[m]]));
+  if (!data.trim()) return res.status(400).send(StaffMetricsImportView({ me, kinds, error: 'Paste or choose a CSV / JSON file first' }));
+  const parsed = parseMetricImport(data);
+  if (parsed.error) return res.status(400).send(StaffMetricsImportView({ me, data, kinds, error: parsed.error }));
+  const committed = req.body.commit === '1';
+  const report = importMetrics(parsed.rows, kinds, { actorId: me.id, dryRun: !committed });
+  if (committed && report.points) {
+    audit(req, me, 'metrics.import', { type: 'metrics', label: `${report.points} points` }, null,
+      { rows: report.rows, points: report.points, accounts: report.accounts, duplicates: report.duplicates, skipped: report.skipped.length, kinds });
+  }
+  res.send(StaffMetricsImportView({ me, data, kinds, report, committed }));
+});
+
+// Monthly client reports (?month=YYYY-MM, default last month): printable page and CSV
+app.get('/staff/reports/:userId.csv', (req,res)=>{
+  const me = requirePermission(req,res,'performance.view'); if (!me || res.headersSent) return;
+  const user = db.prepare("SELECT * FROM users WHERE id=? AND deleted_at IS NULL").get(Number(req.params.userId));
+  if (!user) return res.status(404).send(GenericView({ user: me, title: 'Not found', body: 'No such user.' }));
+  const report = clientReport(user, reportMonth(req.query.month));
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="report-${user.id}-${report.month}.csv"`);
+  res.send(clientReportCsv(report));
+});
+app.get('/staff/reports/:userId', (req,res)=>{
+  const me = requirePermission(req,res,'performance.view'); if (!me || res.headersSent) return;
+  const user = db.prepare("SELECT * FROM users WHERE id=? AND deleted_at IS NULL").get(Number(req.params.userId));
+  if (!user) return res.status(404).send(GenericView({ user: me, title: 'Not found', body: 'No such user.' }));
+  const report = clientReport(user, reportMonth(req.query.month));
+  res.send(ClientReportDocument({ title: `Report ${user.email} ${report.month}`, reports: [report], month: report.month,
+    backHref: can(me, 'reports.batch') ? `/admin/reports?month=${report.month}` : `/staff?user=${user.id}`, csvHref: `/staff/reports/${user.id}.csv?month=${report.month}` }));
 });
 
 app.post('/staff/toggle_unsubscribe', (req,res)=>{
-  const me = requireRole(req,res,['staff','admin']); if (!me || res.headersSent) return;
+  const me = requirePermission(req,res,'users.edit'); if (!me || res.headersSent) return;
   const id = Number(req.body.id);
-  const u = db.prepare('SELECT unsubscribed FROM users WHERE id=?').get(id);
-  if (u) {
-    db.prepare('UPDATE users SET unsubscribed=? WHERE id=?').run(u.unsubscribed ? 0 : 1, id);
+  const u = db.prepare('SELECT id, email, unsubscribed FROM users WHERE id=? AND deleted_at IS NULL').get(id);
+  if (u && !u.unsubscribed) {
+    db.transaction(() => {
+      setNewsletterOptOut(u.email, true);
+      audit(req, me, 'user.newsletter', auditUser(u), { unsubscribed: false }, { unsubscribed: true });
+    })();
+  } else if (u) {
+    // staff can't opt someone back in: the address gets a double opt-in mail like the public form
+    requestSubscription(String(u.email).toLowerCase());
+    audit(req, me, 'user.newsletter_confirm', auditUser(u), { unsubscribed: true }, { confirmation: 'requested' });
+    req.session.flash = { message: `${u.email} was sent a confirmation link; they stay unsubscribed until they click it` };
   }
   res.redirect('/staff');
 });
 
 // Performance charts (safe fixed sizes and maintainAspectRatio false to avoid animation growth)
-app.get('/performance', (req,res)=>{
-  const me = requireRole(req,res,['staff','admin']); if (!me || res.headersSent) return;
-  const userId = me.id;
-  const rows = db.prepare('SELECT * FROM metrics WHERE user_id=? ORDER BY id').all(userId);
-  if (!rows.length) { for (let i=0;i<6;i++) db.prepare('INSERT INTO metrics(user_id,likes,follows) VALUES (?,?,?)').run(userId, 10+i*5, 8+i*3); }
-  const rows2 = db.prepare('SELECT * FROM metrics WHERE user_id=? ORDER BY id').all(userId);
-  const chart = { labels: rows2.map((_,i)=>`P${i+1}`), likes: rows2.map(r=>r.likes), follows: rows2.map(r=>r.follows) };
-  const user = db.prepare('SELECT * FROM users WHERE id=?').get(userId);
-  res.send(layout({ title:'Performance', user:me, content: `
+function renderPerformance(req, me, user, href) {
+  const data = metricSeries(user.id, metricRange(req));
+  return layout({ title: user.id === me.id ? 'Performance' : `Performance ${user.id}`, user:me, content: `
 <section class='max-w-4xl mx-auto px-4 py-10'>
   <h2 class='text-2xl font-bold'>Performance — ${escapeHtml(user.email)}</h2>
-  <div style="height:320px;"><canvas id='chart' width="800" height="320"></canvas></div>
-  <script>
-    const d = ${JSON.stringify(chart)};
-    new Chart(document.getElementById('chart'), {
-      type: 'line',
-      data: {
-        labels: d.labels,
-        datasets: [
-          { label:'Likes', data:d.likes, tension:.3, fill:false },
-          { label:'Follows', data:d.follows, tension:.3, fill:false }
-        ]
-      },
-      options: { responsive:true, maintainAspectRatio:false, animation:{duration:600} }
-    });
-  </script>
+  <div class='mt-4 bg-white border rounded-xl p-4'>${MetricsChart({ id: 'chart', data, href })}</div>
 </section>
-` })); 
+` });
+}
+app.get('/performance', (req,res)=>{
+  const me = requirePermission(req,res,'performance.view'); if (!me || res.headersSent) return;
+  res.send(renderPerformance(req, me, me, '/performance'));
 });
 
 // performance for a specific user (admin/staff)
 app.get('/performance/:userId', (req,res)=>{
-  const me = requireRole(req,res,['staff','admin']); if (!me || res.headersSent) return;
+  const me = requirePermission(req,res,'performance.view'); if (!me || res.headersSent) return;
   const userId = Number(req.params.userId || me.id);
-  const rows = db.prepare('SELECT * FROM metrics WHERE user_id=? ORDER BY id').all(userId);
-  if (!rows.length) { for (let i=0;i<6;i++) db.prepare('INSERT INTO metrics(user_id,likes,follows) VALUES (?,?,?)').run(userId, 10+i*5, 8+i*3); }
-  const rows2 = db.prepare('SELECT * FROM metrics WHERE user_id=? ORDER BY id').all(userId);
-  const chart = { labels: rows2.map((_,i)=>`P${i+1}`), likes: rows2.map(r=>r.likes), follows: rows2.map(r=>r.follows) };
-  const user = db.prepare('SELECT * FROM users WHERE id=?').get(userId);
-  res.send(layout({ title:`Performance ${userId}`, user:me, content: `
-<section class='max-w-4xl mx-auto px-4 py-10'>
-  <h2 class='text-2xl font-bold'>Performance — ${escapeHtml(user.email)}</h2>
-  <div style="height:320px;"><canvas id='chart' width="800" height="320"></canvas></div>
-  <script>
-    const d = ${JSON.stringify(chart)};
-    new Chart(document.getElementById('chart'), {
-      type: 'line',
-      data: {
-        labels: d.labels,
-        datasets: [
-          { label:'Likes', data:d.likes, tension:.3, fill:false },
-          { label:'Follows', data:d.follows, tension:.3, fill:false }
-        ]
-      },
-      options: { responsive:true, maintainAspectRatio:false, animation:{duration:600} }
-    });
-  </script>
-</section>
-` })); 
+  const user = db.prepare('SELECT * FROM users WHERE id=? AND deleted_at IS NULL').get(userId);
+  if (!user) return res.status(404).send(GenericView({ user: me, title: 'Not found', body: 'No such user.' }));
+  res.send(renderPerformance(req, me, user, `/performance/${user.id}`));
 });
 
 // Static pages
@@ -2146,16 +5306,66 @@ app.get('/services', (req,res)=> {
 
 
 // ------------------------ Start server (only local) -----------------------
-if (require.main === module) {
+if (require.main === module && process.argv[2] === 'seed') {
+  // seedDatabase() already ran above; nothing to serve
+  console.log(`Seeded ${db.name}`);
+} else if (require.main === module && process.argv[2] === 'grant-admin') {
+  // without the demo seed there is no admin: sign up normally, then promote the account from the shell
+  const target = db.prepare('SELECT * FROM users WHERE email=? AND deleted_at IS NULL').get(normalizeEmail(process.argv[3]));
+  if (!target) {
+    console.error('Usage: node smm-matrix-node.js grant-admin <email of an existing account>');
+    process.exitCode = 1;
+  } else {
+    db.transaction(() => {
+      db.prepare("UPDATE users SET role='admin' WHERE id=?").run(target.id);
+      if (target.role !== 'admin') audit(null, null, 'user.role', auditUser(target), { role: target.role }, { role: 'admin' });
+    })();
+    console.log(`${target.email} is now an admin`);
+  }
+} else if (require.main === module && process.argv[2] === 'cleanup-metrics') {
+  // one-off removal of made-up metric points; dry run unless --apply
+  const found = findSynthesizedMetrics();
+  const byReason = {};
+  found.forEach(p => { byReason[p.reason] = (byReason[p.reason] || 0) + 1; });
+  const users = new Set(found.map(p => p.user_id)).size;
+  console.log(found.length ? `${found.length} synthesized metric points for ${users} account(s): ${Object.entries(byReason).map(([r, n]) => `${r} ${n}`).join(', ')}` : 'No synthesized metric points found');
+  if (found.length && process.argv.includes('--apply')) {
+    removeMetricPoints(found);
+    audit(null, null, 'metrics.cleanup', { type: 'metrics', label: 'synthesized points' }, null, { removed: found.length, accounts: users, by_reason: byReason });
+    console.log('Removed.');
+  } else if (found.length) {
+    console.log('Dry run — run again with --apply to delete them.');
+  }
+} else if (require.main === module) {
   // Running locally with: node smm-matrix-node.js
   const PORT = process.env.PORT || 3000;
   app.listen(PORT, () =>
     console.log(`\n${APP_TITLE} running → http://127.0.0.1:${PORT} (DB: ${db.name || 'smm_matrix_complete.db'})`)
   );
+  // renewals / cancellations / grace expiry (Vercel uses the cron in vercel.json instead)
+  const subscriptionJob = () => {
+    try { runSubscriptionJobs(); } catch (e) { console.error('subscription jobs:', e.message); }
+  };
+  subscriptionJob();
+  setInterval(subscriptionJob, Number(process.env.SUBSCRIPTION_JOB_INTERVAL_MS || 60 * 60 * 1000)).unref();
+  // purge accounts whose trash retention has run out, and old sign-in attempts
+  const purgeJob = () => {
+    try { purgeDeletedAccounts(); } catch (e) { console.error('account purge:', e.message); }
+    try { pruneLoginAttempts(); } catch (e) { console.error('login attempts prune:', e.message); }
+  };
+  purgeJob();
+  setInterval(purgeJob, 6 * 60 * 60 * 1000).unref();
+  // send due campaigns and retry queued mail
+  setInterval(() => {
+    try { runScheduledCampaigns(); } catch (e) { console.error('campaigns:', e.message); }
+    processMailQueue().catch(e => console.error('mail queue:', e.message));
+  }, 60 * 1000).unref();
 }
 
 // For Vercel (export the app as a handler)
 module.exports = app;
+// Pure helpers the test suite drives directly
+module.exports.internals = { canActOn, canGrantRole, canEditRole, base32Encode, hotp, totpStep, verifyTotp, verifySecondFactor, generateBackupCodes };
 
 
 
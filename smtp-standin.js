@@ -0,0 +1,54 @@
+/**
+ * smtp-standin.js
+ * Tiny local SMTP server for development: accepts every message and saves it
+ * as an .eml file in <os tmpdir>/smm-matrix-outbox (or MAIL_OUTBOX_DIR). No auth checks, no TLS.
+ *
+ * Run:
+ *   node smtp-standin.js            # listens on 127.0.0.1:2525
+ *   MAIL_TRANSPORT=smtp SMTP_PORT=2525 node smm-matrix-node.js
+ */
+
+const net = require('net');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const PORT = Number(process.env.SMTP_PORT || 2525);
+const OUTBOX = process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'smm-matrix-outbox');
+
+const server = net.createServer(socket => {
+  let buffer = '', inData = false, lines = [], rcpt = [];
+  const reply = s => socket.write(s + '\r\n');
+  reply('220 smm-matrix smtp stand-in');
+  socket.on('data', chunk => {
+    buffer += chunk.toString('utf8');
+    let nl;
+    while ((nl = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, nl).replace(/\r$/, ''); buffer = buffer.slice(nl + 1);
+      if (inData) {
+        if (line === '.') {
+          inData = false;
+          fs.mkdirSync(OUTBOX, { recursive: true });
+          const file = path.join(OUTBOX, `${Date.now()}-smtp.eml`);
+          fs.writeFileSync(file, lines.join('\r\n') + '\r\n');
+          console.log(`saved mail for ${rcpt.join(', ')} → ${file}`);
+          lines = []; rcpt = [];
+          reply('250 OK queued');
+        } else lines.push(line.startsWith('..') ? line.slice(1) : line);
+        continue;
+      }
+      const cmd = line.slice(0, 4).toUpperCase();
+      if (cmd === 'EHLO' || cmd === 'HELO') { reply('250-smm-matrix'); reply('250 AUTH PLAIN'); }
+      else if (cmd === 'AUTH') reply('235 Authenticated');
+      else if (cmd === 'MAIL') reply('250 OK');
+      else if (cmd === 'RCPT') { rcpt.push(line.slice(8).replace(/[<>]/g, '')); reply('250 OK'); }
+      else if (cmd === 'DATA') { inData = true; reply('354 End data with <CR><LF>.<CR><LF>'); }
+      else if (cmd === 'RSET') { lines = []; rcpt = []; reply('250 OK'); }
+      else if (cmd === 'QUIT') { reply('221 Bye'); socket.end(); }
+      else reply('250 OK');
+    }
+  });
+  socket.on('error', () => {});
+});
+
+server.listen(PORT, '127.0.0.1', () => console.log(`SMTP stand-in listening on 127.0.0.1:${PORT}, saving to ${OUTBOX}`));
@@ -0,0 +1,55 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+let t;
+const user = email => t.db.prepare('SELECT * FROM users WHERE email=?').get(email);
+
+before(async () => { t = await startApp(); });
+after(() => t.close());
+
+test('an email verification link works once', async () => {
+  const browser = t.client();
+  await browser.signup('verify-once@example.com');
+  assert.equal(user('verify-once@example.com').email_verified_at, null);
+  const link = t.mailedLink('verify-once@example.com', '/verify/');
+
+  const first = await browser.get(link);
+  assert.equal(first.location, '/account?saved=verified');
+  assert.ok(user('verify-once@example.com').email_verified_at);
+
+  const again = await t.client().get(link);
+  assert.equal(again.status, 400);
+  assert.match(again.text, /invalid, expired or already used/);
+});
+
+test('an expired verification link is refused and verifies nothing', async () => {
+  await t.client().signup('verify-late@example.com');
+  const link = t.mailedLink('verify-late@example.com', '/verify/');
+  t.db.prepare("UPDATE auth_tokens SET expires_at=datetime('now', '-1 minute') WHERE user_id=?").run(user('verify-late@example.com').id);
+  const res = await t.client().get(link);
+  assert.equal(res.status, 400);
+  assert.equal(user('verify-late@example.com').email_verified_at, null);
+});
+
+test('a password reset link works once', async () => {
+  await t.client().signup('reset@example.com');
+  await t.client().post('/forgot', { email: 'reset@example.com' });
+  const link = t.mailedLink('reset@example.com', '/reset/');
+  const form = { password: 'Brand-New-Passphrase-42', confirm: 'Brand-New-Passphrase-42' };
+
+  assert.match((await t.client().post(link, form)).text, /Password updated/);
+  assert.equal((await t.client().login('reset@example.com', form.password)).status, 302);
+  assert.equal((await t.client().post(link, { password: 'Another-Passphrase-77', confirm: 'Another-Passphrase-77' })).status, 400);
+  assert.equal((await t.client().login('reset@example.com', 'Another-Passphrase-77')).status, 401);
+});
+
+test('an expired password reset link is refused', async () => {
+  await t.client().signup('reset-late@example.com');
+  await t.client().post('/forgot', { email: 'reset-late@example.com' });
+  const link = t.mailedLink('reset-late@example.com', '/reset/');
+  t.db.prepare("UPDATE auth_tokens SET expires_at=datetime('now', '-1 minute') WHERE user_id=?").run(user('reset-late@example.com').id);
+  assert.equal((await t.client().get(link)).status, 400);
+  assert.equal((await t.client().post(link, { password: 'Another-Passphrase-77', confirm: 'Another-Passphrase-77' })).status, 400);
+  assert.equal((await t.client().login('reset-late@example.com', 'Another-Passphrase-77')).status, 401);
+});
@@ -0,0 +1,81 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+let t;
+before(async () => { t = await startApp(); });
+after(() => t.close());
+
+test('POST /checkout creates a pending order for the signed-in user and chosen plan', async () => {
+  const browser = t.client();
+  await browser.signup('checkout@example.com');
+  await browser.get(t.mailedLink('checkout@example.com', '/verify/'));
+  const user = t.db.prepare('SELECT id FROM users WHERE email=?').get('checkout@example.com');
+  const plan = t.db.prepare("SELECT * FROM plans WHERE name='Growth Plan'").get();
+
+  const res = await browser.post('/checkout', { plan_id: plan.id, billing_period: 'quarterly', ig_username: '@acme', notes: 'Launch in May' });
+
+  const order = t.db.prepare('SELECT * FROM orders WHERE user_id=?').get(user.id);
+  assert.ok(order, 'order row created');
+  assert.equal(res.status, 302);
+  assert.equal(res.location, `/checkout/confirm/${order.id}`);
+  assert.equal(order.plan_id, plan.id);
+  assert.equal(order.user_id, user.id);
+  assert.equal(order.status, 'pending');
+  assert.equal(order.billing_period, 'quarterly');
+  assert.equal(order.ig_username, '@acme');
+});
+
+test('POST /checkout without a session sends the visitor to sign up and creates nothing', async () => {
+  const plan = t.db.prepare('SELECT id FROM plans ORDER BY id LIMIT 1').get();
+  const ordersBefore = t.db.prepare('SELECT COUNT(*) n FROM orders').get().n;
+  const res = await t.client().post('/checkout', { plan_id: plan.id, billing_period: 'monthly', ig_username: '@guest' });
+  assert.equal(res.status, 302);
+  assert.equal(res.location, '/signup');
+  assert.equal(t.db.prepare('SELECT COUNT(*) n FROM orders').get().n, ordersBefore);
+});
+
+test('POST /checkout with an unknown plan creates no order', async () => {
+  const browser = t.client();
+  await browser.signup('noplan@example.com');
+  const res = await browser.post('/checkout', { plan_id: 9999, billing_period: 'monthly', ig_username: '@acme' });
+  assert.equal(res.location, '/pricing');
+  const user = t.db.prepare('SELECT id FROM users WHERE email=?').get('noplan@example.com');
+  assert.equal(t.db.prepare('SELECT COUNT(*) n FROM orders WHERE user_id=?').get(user.id).n, 0);
+});
+
+test('POST /checkout refuses an account whose email is not verified yet', async () => {
+  const browser = t.client();
+  await browser.signup('unverified@example.com');
+  const plan = t.db.prepare('SELECT id FROM plans ORDER BY id LIMIT 1').get();
+  const res = await browser.post('/checkout', { plan_id: plan.id, billing_period: 'monthly', ig_username: '@acme' });
+  assert.equal(res.status, 403);
+  assert.match(res.text, /Confirm <b>unverified@example.com<\/b> before placing an order/);
+  const user = t.db.prepare('SELECT id FROM users WHERE email=?').get('unverified@example.com');
+  assert.equal(t.db.prepare('SELECT COUNT(*) n FROM orders WHERE user_id=?').get(user.id).n, 0);
+});
+
+test('a payment captured after the order was cancelled is refunded and recorded on the order', async () => {
+  const browser = t.client();
+  await browser.signup('latepay@example.com');
+  await browser.get(t.mailedLink('latepay@example.com', '/verify/'));
+  const plan = t.db.prepare("SELECT id FROM plans WHERE name='Growth Plan'").get();
+  const placed = await browser.post('/checkout', { plan_id: plan.id, billing_period: 'monthly', ig_username: '@late' });
+  const orderId = Number(placed.location.split('/').pop());
+  const gateway = await browser.post(`/checkout/pay/${orderId}`);
+  assert.match(gateway.location, /^\/pay\/mock\//);
+
+  // the order is cancelled while the hosted payment page is still open
+  const admin = t.client();
+  await admin.login('admin@smm.local', 'admin123');
+  await admin.post(`/admin/orders/${orderId}/action`, { action: 'cancel', reason: 'Customer asked to cancel' });
+  await browser.post(gateway.location, { card_number: '4242 4242 4242 4242' });
+
+  const order = t.db.prepare('SELECT * FROM orders WHERE id=?').get(orderId);
+  assert.equal(order.status, 'cancelled');
+  assert.equal(order.paid_at, null);
+  assert.equal(t.db.prepare('SELECT status FROM payments WHERE order_id=?').get(orderId).status, 'refunded');
+  const last = t.db.prepare('SELECT * FROM order_history WHERE order_id=? ORDER BY id DESC').get(orderId);
+  assert.equal(last.to_status, 'cancelled');
+  assert.match(last.reason, /captured \$69 after the order was cancelled; refunded/);
+});
@@ -0,0 +1,62 @@
+// Shared harness for the node:test suites. `node --test` runs every file in its own
+// process, so each file boots one app against its own throwaway database.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+async function startApp(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'smm-test-'));
+  Object.assign(process.env, {
+    DB_FILE: path.join(dir, 'test.db'), SEED_ON_BOOT: '1', MOCK_PAYMENTS: '1', MAIL_TRANSPORT: 'memory'
+  }, env);
+  const app = require('../smm-matrix-node.js');
+  const server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const db = new Database(process.env.DB_FILE);
+
+  // Cookie-jar browser: follows nothing, adds the CSRF token to every POST
+  function client() {
+    const jar = {};
+    const cookie = () => Object.entries(jar).map(([k, v]) => `${k}=${v}`).join('; ');
+    const keep = res => {
+      for (const c of res.headers.getSetCookie()) { const [kv] = c.split(';'); const i = kv.indexOf('='); jar[kv.slice(0, i)] = kv.slice(i + 1); }
+    };
+    const send = async (url, init = {}) => {
+      const res = await fetch(base + url, { redirect: 'manual', ...init, headers: { cookie: cookie(), accept: 'text/html', ...init.headers } });
+      keep(res);
+      return { status: res.status, location: res.headers.get('location'), text: await res.text() };
+    };
+    const csrf = async () => (await send('/login')).text.match(/name="csrf-token" content="([^"]+)"/)[1];
+    return {
+      get: url => send(url),
+      async post(url, form = {}) {
+        const body = new URLSearchParams({ ...form, _csrf: await csrf() }).toString();
+        return send(url, { method: 'POST', body, headers: { 'content-type': 'application/x-www-form-urlencoded' } });
+      },
+      login(email, password) { return this.post('/login', { email, password }); },
+      signup(email, password = 'Correct-Horse-Battery-9', extra = {}) { return this.post('/signup', { name: 'Test User', email, password, ...extra }); }
+    };
+  }
+
+  // Path of the newest link to BASE_URL in mail sent to `to` (e.g. '/verify/' for the welcome mail)
+  function mailedLink(to, prefix) {
+    const mails = db.prepare('SELECT text FROM mail_queue WHERE to_email=? ORDER BY id DESC').all(to);
+    for (const { text } of mails) {
+      const m = text.match(new RegExp(`https?://[^/\\s)]+(${prefix}[\\w-]+)`));
+      if (m) return m[1];
+    }
+    return null;
+  }
+
+  async function close() {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  return { app, base, db, client, mailedLink, close };
+}
+
+module.exports = { startApp };
@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+const { addForeignKeys } = require('../migrate');
+
+// A database from before foreign keys: tickets / auth tokens of accounts that no longer exist
+function legacyDb() {
+  const db = new Database(':memory:');
+  db.exec(`
+    CREATE TABLE users (id INTEGER PRIMARY KEY AUTOINCREMENT, email TEXT);
+    CREATE TABLE tickets (id INTEGER PRIMARY KEY AUTOINCREMENT, user_id INTEGER, subject TEXT);
+    CREATE TABLE auth_tokens (id INTEGER PRIMARY KEY AUTOINCREMENT, user_id INTEGER NOT NULL, purpose TEXT NOT NULL);
+    INSERT INTO users(id,email) VALUES (1,'kept@example.com');
+    INSERT INTO tickets(user_id,subject) VALUES (1,'mine'), (42,'from a deleted account');
+    INSERT INTO auth_tokens(user_id,purpose) VALUES (1,'verify'), (42,'reset');
+  `);
+  return db;
+}
+
+test('orphaned rows are kept: nullable references are cleared and recorded', () => {
+  const db = legacyDb();
+  addForeignKeys(db, { tickets: { user_id: 'users(id) ON DELETE CASCADE' } });
+  assert.deepEqual(db.prepare('SELECT user_id, subject FROM tickets ORDER BY id').all(),
+    [{ user_id: 1, subject: 'mine' }, { user_id: null, subject: 'from a deleted account' }]);
+  const [logged] = db.prepare('SELECT * FROM fk_orphans').all();
+  assert.equal(logged.table_name, 'tickets');
+  assert.equal(logged.action, 'nulled');
+  assert.deepEqual(JSON.parse(logged.row_json), { id: 2, user_id: 42, subject: 'from a deleted account' });
+  assert.equal(db.prepare('PRAGMA foreign_key_list(tickets)').all().length, 1);
+});
+
+test('orphaned rows with a NOT NULL reference move to fk_orphans instead of vanishing', () => {
+  const db = legacyDb();
+  addForeignKeys(db, { auth_tokens: { user_id: 'users(id) ON DELETE CASCADE' } });
+  assert.deepEqual(db.prepare('SELECT user_id FROM auth_tokens').all(), [{ user_id: 1 }]);
+  const rows = db.prepare('SELECT table_name, action, row_json FROM fk_orphans').all();
+  assert.deepEqual(rows, [{ table_name: 'auth_tokens', action: 'detached', row_json: JSON.stringify({ id: 2, user_id: 42, purpose: 'reset' }) }]);
+});
@@ -0,0 +1,93 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+let t, staff, admin;
+const user = email => t.db.prepare('SELECT * FROM users WHERE email=?').get(email);
+const grant = (role, ...caps) => caps.forEach(cap => t.db.prepare('INSERT OR IGNORE INTO role_capabilities(role,capability) VALUES (?,?)').run(role, cap));
+const revoke = (role, ...caps) => caps.forEach(cap => t.db.prepare('DELETE FROM role_capabilities WHERE role=? AND capability=?').run(role, cap));
+
+before(async () => {
+  t = await startApp();
+  staff = t.client();
+  await staff.login('staff@smm.local', 'staff123');
+  admin = t.client();
+  await admin.login('admin@smm.local', 'admin123');
+});
+after(() => t.close());
+
+test('canActOn only reaches lower-ranked accounts (or fellow admins), never yourself', () => {
+  const { canActOn } = t.app.internals;
+  const u = { id: 1, role: 'user' }, s = { id: 2, role: 'staff' }, s2 = { id: 3, role: 'staff' }, a = { id: 4, role: 'admin' }, a2 = { id: 5, role: 'admin' };
+  assert.equal(canActOn(s, u), true);
+  assert.equal(canActOn(s, s2), false);
+  assert.equal(canActOn(s, a), false);
+  assert.equal(canActOn(u, u), false);
+  assert.equal(canActOn(a, a2), true);
+  assert.equal(canActOn(a, a), false);
+  assert.equal(canActOn(s, null), false);
+});
+
+test('canGrantRole never hands out a role above the actor or an unknown one', () => {
+  const { canGrantRole } = t.app.internals;
+  assert.equal(canGrantRole({ role: 'staff' }, 'user'), true);
+  assert.equal(canGrantRole({ role: 'staff' }, 'staff'), true);
+  assert.equal(canGrantRole({ role: 'staff' }, 'admin'), false);
+  assert.equal(canGrantRole({ role: 'admin' }, 'admin'), true);
+  assert.equal(canGrantRole({ role: 'admin' }, 'owner'), false);
+});
+
+test('staff cannot delete an admin', async () => {
+  grant('staff', 'users.delete');
+  const res = await staff.post('/staff/delete', { id: user('admin@smm.local').id });
+  assert.equal(res.location, '/staff');
+  assert.equal(user('admin@smm.local').deleted_at, null);
+  assert.match((await staff.get('/staff')).text, /rose-700'>You cannot delete that account</);
+  revoke('staff', 'users.delete');
+});
+
+test('staff promote ignores a role field and only turns users into staff', async () => {
+  grant('staff', 'users.promote');
+  await admin.post('/admin/assign_role', { email: 'user@smm.local', role: 'user' });
+  await staff.post('/staff/promote', { id: user('user@smm.local').id, role: 'admin' });
+  assert.equal(user('user@smm.local').role, 'staff');
+  // a fellow staff member is not promotable further
+  await staff.post('/staff/promote', { id: user('user@smm.local').id, role: 'admin' });
+  assert.equal(user('user@smm.local').role, 'staff');
+  await admin.post('/admin/assign_role', { email: 'user@smm.local', role: 'user' });
+  revoke('staff', 'users.promote');
+});
+
+test('a non-admin holding roles.assign cannot hand out admin', async () => {
+  grant('staff', 'roles.assign');
+  let res = await staff.post('/admin/assign_role', { email: 'user@smm.local', role: 'admin' });
+  assert.equal(res.status, 403);
+  assert.equal(user('user@smm.local').role, 'user');
+  res = await staff.post('/admin/assign_role', { email: 'staff@smm.local', role: 'admin' });
+  assert.equal(res.status, 403);
+  assert.equal(user('staff@smm.local').role, 'staff');
+  revoke('staff', 'roles.assign');
+});
+
+test('assign_role rejects an unknown role', async () => {
+  const res = await admin.post('/admin/assign_role', { email: 'user@smm.local', role: 'superuser' });
+  assert.equal(res.status, 400);
+  assert.equal(user('user@smm.local').role, 'user');
+});
+
+test('role capabilities cannot be edited without roles.manage', async () => {
+  const res = await staff.post('/admin/roles', { cap_staff: 'roles.assign' });
+  assert.equal(res.status, 403);
+  const caps = t.db.prepare("SELECT capability FROM role_capabilities WHERE role='staff'").all().map(r => r.capability);
+  assert.ok(!caps.includes('roles.assign'));
+});
+
+test('a non-admin holding roles.manage can only edit roles ranked below their own', async () => {
+  grant('staff', 'roles.manage');
+  const before = t.db.prepare("SELECT capability FROM role_capabilities WHERE role='staff' ORDER BY capability").all();
+  const res = await staff.post('/admin/roles', { cap_staff: 'roles.assign', cap_user: 'performance.view' });
+  assert.equal(res.status, 302);
+  assert.deepEqual(t.db.prepare("SELECT capability FROM role_capabilities WHERE role='staff' ORDER BY capability").all(), before);
+  assert.deepEqual(t.db.prepare("SELECT capability FROM role_capabilities WHERE role='user'").all(), [{ capability: 'performance.view' }]);
+  revoke('staff', 'roles.manage');
+});
@@ -0,0 +1,50 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+let t, admin;
+const sqlTime = sql => t.db.prepare(`SELECT ${sql} AS v`).get().v;
+
+before(async () => {
+  t = await startApp();
+  admin = t.client();
+  await admin.login('admin@smm.local', 'admin123');
+});
+after(() => t.close());
+
+async function paidSubscription(email) {
+  const browser = t.client();
+  await browser.signup(email);
+  await browser.get(t.mailedLink(email, '/verify/'));
+  const plan = t.db.prepare("SELECT id FROM plans WHERE name='Growth Plan'").get();
+  const placed = await browser.post('/checkout', { plan_id: plan.id, billing_period: 'monthly', ig_username: '@subs' });
+  const orderId = Number(placed.location.split('/').pop());
+  await admin.post(`/admin/orders/${orderId}/action`, { action: 'mark_paid', reason: 'Bank transfer received' });
+  return t.db.prepare('SELECT subscription_id FROM orders WHERE id=?').get(orderId).subscription_id;
+}
+
+function renewalOrder(subId) {
+  const sub = t.db.prepare('SELECT * FROM subscriptions WHERE id=?').get(subId);
+  return t.db.prepare("INSERT INTO orders(user_id,plan_id,status,billing_period,amount_usd,subscription_id) VALUES (?,?,'pending','monthly',69,?)")
+    .run(sub.user_id, sub.plan_id, subId).lastInsertRowid;
+}
+
+test('paying a renewal of an active subscription extends it from the current period end', async () => {
+  const subId = await paidSubscription('renew@example.com');
+  const { current_period_end: end } = t.db.prepare('SELECT * FROM subscriptions WHERE id=?').get(subId);
+  await admin.post(`/admin/orders/${renewalOrder(subId)}/action`, { action: 'mark_paid', reason: 'Renewal paid' });
+  const sub = t.db.prepare('SELECT * FROM subscriptions WHERE id=?').get(subId);
+  assert.equal(sub.status, 'active');
+  assert.equal(sub.current_period_start, end);
+  assert.equal(sub.current_period_end, sqlTime(`datetime('${end}', '+1 months')`));
+});
+
+test('paying a renewal of an expired subscription starts a fresh term today instead of at the stale end date', async () => {
+  const subId = await paidSubscription('lapsed@example.com');
+  t.db.prepare("UPDATE subscriptions SET status='expired', current_period_start=datetime('now','-4 months'), current_period_end=datetime('now','-3 months') WHERE id=?").run(subId);
+  await admin.post(`/admin/orders/${renewalOrder(subId)}/action`, { action: 'mark_paid', reason: 'Late payment' });
+  const sub = t.db.prepare('SELECT * FROM subscriptions WHERE id=?').get(subId);
+  assert.equal(sub.status, 'active');
+  assert.ok(sub.current_period_start >= sqlTime("datetime('now','-1 minutes')"), `term starts now, not ${sub.current_period_start}`);
+  assert.ok(sub.current_period_end > sqlTime("datetime('now','+27 days')"));
+});
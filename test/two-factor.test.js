@@ -0,0 +1,74 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+let t, totp;
+const fresh = id => t.db.prepare('SELECT * FROM users WHERE id=?').get(id);
+
+before(async () => {
+  t = await startApp();
+  totp = t.app.internals;
+});
+after(() => t.close());
+
+// RFC 6238 appendix B, SHA-1 seed "12345678901234567890"; 6-digit codes are the last six digits
+test('TOTP matches the RFC 6238 test vectors', () => {
+  const secret = totp.base32Encode(Buffer.from('12345678901234567890'));
+  assert.equal(secret, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  const vectors = [[59, '287082'], [1111111109, '081804'], [1111111111, '050471'], [1234567890, '005924'], [2000000000, '279037'], [20000000000, '353130']];
+  for (const [seconds, code] of vectors) {
+    assert.equal(totp.hotp(secret, totp.totpStep(seconds * 1000)), code, `T=${seconds}`);
+    assert.equal(totp.verifyTotp(secret, code, seconds * 1000), totp.totpStep(seconds * 1000));
+  }
+});
+
+test('verifyTotp allows one step of drift and nothing more', () => {
+  const secret = totp.base32Encode(Buffer.from('12345678901234567890'));
+  assert.notEqual(totp.verifyTotp(secret, '005924', 1234567890 * 1000 + 30000), null);
+  assert.equal(totp.verifyTotp(secret, '005924', 1234567890 * 1000 + 90000), null);
+  assert.equal(totp.verifyTotp(secret, '12345', 1234567890 * 1000), null);
+});
+
+async function enrolledUser(email) {
+  await t.client().signup(email);
+  const secret = totp.base32Encode(Buffer.from('2fa-test-secret-0001'));
+  t.db.prepare("UPDATE users SET totp_secret=?, totp_enabled_at=datetime('now') WHERE email=?").run(secret, email);
+  const { id } = t.db.prepare('SELECT id FROM users WHERE email=?').get(email);
+  return { id, secret };
+}
+
+test('a TOTP code cannot be replayed within its time step', async () => {
+  const { id, secret } = await enrolledUser('replay@example.com');
+  const code = totp.hotp(secret, totp.totpStep());
+  assert.equal(totp.verifySecondFactor(fresh(id), code).ok, true);
+  const replay = totp.verifySecondFactor(fresh(id), code);
+  assert.equal(replay.ok, false);
+  assert.match(replay.error, /already used/);
+});
+
+test('two submissions of one code checked against the same stale row only pass once', async () => {
+  const { id, secret } = await enrolledUser('race@example.com');
+  const code = totp.hotp(secret, totp.totpStep());
+  const row = fresh(id);
+  assert.equal(totp.verifySecondFactor(row, code).ok, true);
+  assert.equal(totp.verifySecondFactor(row, code).ok, false);
+
+  const [backup] = totp.generateBackupCodes(id);
+  const before = fresh(id);
+  assert.equal(totp.verifySecondFactor(before, backup).ok, true);
+  assert.equal(totp.verifySecondFactor(before, backup).ok, false);
+});
+
+test('backup codes work once, with or without the dash', async () => {
+  const { id } = await enrolledUser('backup@example.com');
+  const [first, second] = totp.generateBackupCodes(id);
+  assert.match(first, /^[0-9a-f]{5}-[0-9a-f]{5}$/);
+
+  const used = totp.verifySecondFactor(fresh(id), first);
+  assert.deepEqual(used, { ok: true, usedBackup: true, remaining: 9 });
+  assert.equal(totp.verifySecondFactor(fresh(id), first).ok, false);
+
+  assert.equal(totp.verifySecondFactor(fresh(id), ` ${second.replace('-', '').toUpperCase()} `).ok, true);
+  assert.equal(totp.verifySecondFactor(fresh(id), second).ok, false);
+  assert.equal(totp.verifySecondFactor(fresh(id), 'zzzzz-zzzzz').ok, false);
+});